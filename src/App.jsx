@@ -1,6 +1,54 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import FolderStructure from './components/FolderStructure';
 import TextFolderStructure from './components/TextFolderStructure';
+import ScanProgress from './components/ScanProgress';
+import IgnoreSettings from './components/IgnoreSettings';
+import LiveFolderBar from './components/LiveFolderBar';
+import TreemapView from './components/TreemapView';
+import CompareView from './components/CompareView';
+import ContentAnalysis from './components/ContentAnalysis';
+import StatisticsPanel from './components/StatisticsPanel';
+import RecentTrees from './components/RecentTrees';
+import SharePanel from './components/SharePanel';
+import {
+  expandArchiveNode,
+  getAllFolderPaths,
+  hashNodesInWorker,
+  isAbortError,
+  keepExpandedArchives,
+  replaceNode,
+  scanDataTransfer,
+  scanDirectoryHandle,
+  scanFileList
+} from './scanner';
+import { diffTrees, mergeDiffs } from './utils/diff';
+import { attachHashes } from './utils/hash';
+import { countLines } from './utils/stats';
+import { DEFAULT_TREE_OPTIONS } from './utils/formats';
+import { DEFAULT_SEARCH, createNodeMatcher, searchTree } from './utils/search';
+import { collectFiles, getAncestorPaths } from './utils/tree';
+import {
+  clearSessions,
+  createSessionId,
+  deleteSession,
+  listSessions,
+  loadSession,
+  renameSession,
+  saveSessionState,
+  saveSessionTree
+} from './utils/sessions';
+import { isShareHash, readShareLink } from './utils/share';
+import {
+  DEFAULT_IGNORE_SETTINGS,
+  buildIgnoreMatcher,
+  filterTree,
+  getGitignoreRuleSets,
+  listIgnoredPaths,
+  ruleSetFromPaths
+} from './utils/ignore';
+
+// Debounce for writing the current session to IndexedDB
+const SESSION_SAVE_DELAY = 1000;
 
 function App() {
   // View mode state (persisted in localStorage)
@@ -8,28 +56,239 @@ function App() {
     return localStorage.getItem('folderViewMode') || 'text';
   });
 
+  // Text tree drawing options (persisted in localStorage)
+  const [treeOptions, setTreeOptions] = useState(() => {
+    try {
+      return { ...DEFAULT_TREE_OPTIONS, ...JSON.parse(localStorage.getItem('folderTreeStyle')) };
+    } catch {
+      return DEFAULT_TREE_OPTIONS;
+    }
+  });
+
+  // Metadata columns/annotations shown in both views (persisted in localStorage)
+  const [columns, setColumns] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem('folderMetadataColumns')) || {};
+    } catch {
+      return {};
+    }
+  });
+
+  // Ignore rules (persisted in localStorage)
+  const [ignoreSettings, setIgnoreSettings] = useState(() => {
+    try {
+      return { ...DEFAULT_IGNORE_SETTINGS, ...JSON.parse(localStorage.getItem('folderIgnoreSettings')) };
+    } catch {
+      return DEFAULT_IGNORE_SETTINGS;
+    }
+  });
+  const [gitignoreRuleSets, setGitignoreRuleSets] = useState([]);
+
+  // Search box shared by both views
+  const [searchSettings, setSearchSettings] = useState(DEFAULT_SEARCH);
+  const [activeMatch, setActiveMatch] = useState(0);
+
   // Shared state between both components
   const [structure, setStructure] = useState(null);
   const [error, setError] = useState(null);
   const [expandedFolders, setExpandedFolders] = useState(new Set());
+  // Files checked in Folder View for "Download selection as ZIP"
+  const [selectedPaths, setSelectedPaths] = useState(new Set());
   const [isLoading, setIsLoading] = useState(false);
+  // Nested archives open in place, without the loading overlay unmounting the tree
+  const [openingArchivePath, setOpeningArchivePath] = useState(null);
+  const [isScanning, setIsScanning] = useState(false);
+  const [scanProgress, setScanProgress] = useState(null);
+  const scanControllerRef = useRef(null);
+
+  // Folder opened through the File System Access API, which can be rescanned
+  const [liveHandle, setLiveHandle] = useState(null);
+  const [liveDiff, setLiveDiff] = useState(null);
+  const [lastRefreshed, setLastRefreshed] = useState(null);
+  const [autoRefresh, setAutoRefresh] = useState(0);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const isRefreshingRef = useRef(false);
+
+  // SHA-256 of file contents from the optional analysis pass (see attachHashes)
+  const [hashes, setHashes] = useState(null);
+  const [hashErrors, setHashErrors] = useState(null);
+  const [hashProgress, setHashProgress] = useState(null);
+  const hashControllerRef = useRef(null);
+
+  // Lines per text/code file for the statistics panel and text export (see countLines)
+  const [lineCounts, setLineCounts] = useState(null);
+  const [lineCountProgress, setLineCountProgress] = useState(null);
+  const lineCountControllerRef = useRef(null);
+
+  // [before, after] trees of compare mode, kept while switching views
+  const [compareTrees, setCompareTrees] = useState([null, null]);
+
+  // The current tree's saved session (see utils/sessions)
+  const [sessionId, setSessionId] = useState(null);
+  // 'saved' or 'link' for trees reopened from storage or a share link, which
+  // have no file sources; null when the files themselves were scanned
+  const [snapshotSource, setSnapshotSource] = useState(null);
+  const filesAvailable = snapshotSource === null;
+  const [recentSessions, setRecentSessions] = useState([]);
+  // Saving scanned trees can be turned off from the drop zone's notice
+  const [rememberTrees, setRememberTrees] = useState(() => localStorage.getItem('folderRememberTrees') !== 'false');
+  const [lastSessionId] = useState(() => (rememberTrees ? localStorage.getItem('folderSessionId') : null));
+  const [initialShareHash] = useState(() => (isShareHash(window.location.hash) ? window.location.hash : null));
+  // Stands in for the .gitignore rules of a reopened session, whose files can't be read
+  // again: it hides the paths they hid when the session was saved
+  const savedRuleSetsRef = useRef([]);
 
   // Persist view mode preference
   useEffect(() => {
     localStorage.setItem('folderViewMode', viewMode);
   }, [viewMode]);
 
-  // Reset view mode when window closes (optional)
   useEffect(() => {
-    const handleBeforeUnload = () => {
-      localStorage.setItem('folderViewMode', 'text');
-    };
-    window.addEventListener('beforeunload', handleBeforeUnload);
-    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+    localStorage.setItem('folderTreeStyle', JSON.stringify(treeOptions));
+  }, [treeOptions]);
+
+  useEffect(() => {
+    localStorage.setItem('folderMetadataColumns', JSON.stringify(columns));
+  }, [columns]);
+
+  useEffect(() => {
+    localStorage.setItem('folderRememberTrees', String(rememberTrees));
+  }, [rememberTrees]);
+
+  useEffect(() => {
+    localStorage.setItem('folderIgnoreSettings', JSON.stringify(ignoreSettings));
+  }, [ignoreSettings]);
+
+  // Rules from the .gitignore files read during the scan
+  useEffect(() => {
+    if (!structure || !ignoreSettings.useGitignore) {
+      setGitignoreRuleSets([]);
+    } else {
+      setGitignoreRuleSets(filesAvailable ? getGitignoreRuleSets(structure) : savedRuleSetsRef.current);
+    }
+  }, [structure, ignoreSettings.useGitignore, filesAvailable]);
+
+  const hashedStructure = useMemo(
+    () => (structure && hashes ? attachHashes(structure, hashes) : structure),
+    [structure, hashes]
+  );
+
+  // Structure with ignored entries removed; this is what both views render and export
+  const { tree: visibleStructure, hiddenCount } = useMemo(() => {
+    if (!hashedStructure) return { tree: null, hiddenCount: 0 };
+    const isIgnored = buildIgnoreMatcher({
+      gitignoreRuleSets,
+      exclude: ignoreSettings.exclude,
+      include: ignoreSettings.include
+    });
+    return isIgnored ? filterTree(hashedStructure, isIgnored) : { tree: hashedStructure, hiddenCount: 0 };
+  }, [hashedStructure, gitignoreRuleSets, ignoreSettings.exclude, ignoreSettings.include]);
+
+  // Compare mode applies the user's own patterns; .gitignore files differ per side
+  const compareIgnoreMatcher = useMemo(() => buildIgnoreMatcher({
+    exclude: ignoreSettings.exclude,
+    include: ignoreSettings.include
+  }), [ignoreSettings.exclude, ignoreSettings.include]);
+
+  // Search prunes the filtered structure to matches and their ancestors
+  const searchResult = useMemo(() => {
+    const { match, error: searchError } = createNodeMatcher(searchSettings);
+    if (!visibleStructure || !match) {
+      return { tree: visibleStructure, matches: [], ranges: null, ancestors: null, error: searchError };
+    }
+    return { ...searchTree(visibleStructure, match), error: null };
+  }, [visibleStructure, searchSettings]);
+
+  // Reveal every match when the results change
+  useEffect(() => {
+    setActiveMatch(0);
+    if (searchResult.ancestors?.size > 0) {
+      setExpandedFolders(prev => new Set([...prev, ...searchResult.ancestors]));
+    }
+  }, [searchResult]);
+
+  const navigateMatch = useCallback((delta) => {
+    const { matches } = searchResult;
+    if (matches.length === 0) return;
+    const next = (activeMatch + delta + matches.length) % matches.length;
+    setActiveMatch(next);
+    setExpandedFolders(prev => new Set([...prev, ...getAncestorPaths(matches[next].path)]));
+  }, [searchResult, activeMatch]);
+
+  const search = {
+    settings: searchSettings,
+    onChange: setSearchSettings,
+    matches: searchResult.matches,
+    ranges: searchResult.ranges,
+    activeIndex: activeMatch,
+    activePath: searchResult.matches[activeMatch]?.path ?? null,
+    error: searchResult.error,
+    onNavigate: navigateMatch
+  };
+
+  const refreshSessions = useCallback(() => {
+    listSessions()
+      .then(setRecentSessions)
+      .catch(err => console.warn('Saved trees are unavailable:', err));
   }, []);
 
-  // Shared structure update handler
-  const handleStructureUpdate = (newStructure, errorMsg = null) => {
+  // Save scanned trees; reopened ones are already stored as they are
+  useEffect(() => {
+    if (!rememberTrees || !sessionId || !structure || !filesAvailable) return;
+    const timer = setTimeout(() => {
+      saveSessionTree(sessionId, structure)
+        .then(refreshSessions)
+        .catch(err => console.warn('Could not save the tree:', err));
+    }, SESSION_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [rememberTrees, sessionId, structure, filesAvailable, refreshSessions]);
+
+  useEffect(() => {
+    if (!rememberTrees || !sessionId) return;
+    const timer = setTimeout(() => {
+      saveSessionState(sessionId, {
+        expandedPaths: [...expandedFolders],
+        viewMode,
+        ignoreSettings,
+        searchSettings,
+        // What the .gitignore files hide, but not their contents
+        gitignoredPaths: structure
+          ? listIgnoredPaths(structure, filesAvailable ? getGitignoreRuleSets(structure) : savedRuleSetsRef.current)
+          : []
+      }).catch(err => console.warn('Could not save the view state:', err));
+    }, SESSION_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [rememberTrees, sessionId, structure, expandedFolders, viewMode, ignoreSettings, searchSettings, filesAvailable]);
+
+  // Remember which session to reopen after a reload
+  useEffect(() => {
+    if (rememberTrees && sessionId) localStorage.setItem('folderSessionId', sessionId);
+    else localStorage.removeItem('folderSessionId');
+  }, [rememberTrees, sessionId]);
+
+  // Shared structure update handler. With `refresh`, the tree is a rescan of the
+  // current source: view, session and hashes stay, and only the selection of
+  // files that are gone is dropped
+  const handleStructureUpdate = useCallback((newStructure, errorMsg = null, { refresh = false } = {}) => {
+    if (refresh) {
+      const filePaths = new Set(collectFiles(newStructure).map(file => file.path));
+      setSelectedPaths(prev => {
+        const kept = [...prev].filter(path => filePaths.has(path));
+        return kept.length === prev.size ? prev : new Set(kept);
+      });
+      setStructure(newStructure);
+      setError(errorMsg);
+      return;
+    }
+
+    hashControllerRef.current?.abort();
+    setHashes(null);
+    setHashErrors(null);
+    setSelectedPaths(new Set());
+    lineCountControllerRef.current?.abort();
+    setLineCounts(null);
+    setSessionId(null);
+    setSnapshotSource(null);
     setStructure(newStructure);
     setError(errorMsg);
     setIsLoading(false);
@@ -38,18 +297,267 @@ function App() {
       const allPaths = getAllFolderPaths(newStructure);
       setExpandedFolders(new Set(allPaths));
     }
+  }, []);
+
+  // Shared scan runner for drops and file pickers; progress and cancellation live here.
+  // `startScan` must start reading synchronously (see scanDataTransfer).
+  const runScan = async (startScan) => {
+    scanControllerRef.current?.abort();
+    const controller = new AbortController();
+    scanControllerRef.current = controller;
+
+    const pending = startScan({
+      signal: controller.signal,
+      onProgress: setScanProgress
+    });
+
+    handleStructureUpdate(null, null);
+    setScanProgress(null);
+    setIsScanning(true);
+    setIsLoading(true);
+
+    try {
+      const tree = await pending;
+      if (scanControllerRef.current !== controller) return;
+      handleStructureUpdate(tree, null);
+      setSessionId(createSessionId());
+    } catch (err) {
+      // A scan replaced by a newer scan, saved tree or share link leaves the tree alone
+      if (scanControllerRef.current !== controller) return;
+      if (isAbortError(err)) {
+        handleStructureUpdate(null, null);
+      } else {
+        console.error('Drop processing failed:', err);
+        handleStructureUpdate(null, err.message);
+      }
+    } finally {
+      if (scanControllerRef.current === controller) {
+        scanControllerRef.current = null;
+        setScanProgress(null);
+        setIsScanning(false);
+        setIsLoading(false);
+      }
+    }
   };
 
-  // Helper function to get all folder paths
-  const getAllFolderPaths = (node) => {
-    if (node.type !== 'directory') return [];
-    let paths = [node.path];
-    if (node.children) {
-      node.children.forEach(child => {
-        paths = [...paths, ...getAllFolderPaths(child)];
-      });
+  // Abandons the running scan when another tree replaces it
+  const stopScan = useCallback(() => {
+    scanControllerRef.current?.abort();
+    scanControllerRef.current = null;
+    setScanProgress(null);
+    setIsScanning(false);
+  }, []);
+
+  const closeLiveFolder = useCallback(() => {
+    setLiveHandle(null);
+    setLiveDiff(null);
+    setLastRefreshed(null);
+    setAutoRefresh(0);
+  }, []);
+
+  // Shows a saved tree with the view state it was left in
+  const openSession = useCallback(async (id) => {
+    try {
+      const session = await loadSession(id);
+      if (!session) {
+        setError('This saved tree no longer exists');
+        refreshSessions();
+        return;
+      }
+      stopScan();
+      closeLiveFolder();
+      handleStructureUpdate(session.tree, null);
+
+      const { state = {} } = session.info;
+      savedRuleSetsRef.current = state.gitignoredPaths ? [ruleSetFromPaths(state.gitignoredPaths)] : [];
+      setSessionId(id);
+      setSnapshotSource('saved');
+      if (state.expandedPaths) setExpandedFolders(new Set(state.expandedPaths));
+      if (state.viewMode) setViewMode(state.viewMode);
+      if (state.ignoreSettings) setIgnoreSettings({ ...DEFAULT_IGNORE_SETTINGS, ...state.ignoreSettings });
+      if (state.searchSettings) setSearchSettings({ ...DEFAULT_SEARCH, ...state.searchSettings });
+    } catch (err) {
+      console.error('Failed to open saved tree:', err);
+      setError(`Failed to open saved tree: ${err.message}`);
+    }
+  }, [handleStructureUpdate, stopScan, closeLiveFolder, refreshSessions]);
+
+  // Shows the read-only tree of a share link
+  const openShareLink = useCallback(async (hash) => {
+    try {
+      const tree = await readShareLink(hash);
+      stopScan();
+      closeLiveFolder();
+      handleStructureUpdate(tree, null);
+      // Shared trees were filtered before sharing
+      savedRuleSetsRef.current = [];
+      setSnapshotSource('link');
+    } catch (err) {
+      console.error('Failed to open share link:', err);
+      setError(err.message);
+    }
+  }, [handleStructureUpdate, stopScan, closeLiveFolder]);
+
+  // Open the share link the page was loaded with, or else reopen the tree
+  // from before the reload
+  useEffect(() => {
+    refreshSessions();
+    if (initialShareHash) openShareLink(initialShareHash);
+    else if (lastSessionId) openSession(lastSessionId);
+  }, [initialShareHash, lastSessionId, openShareLink, openSession, refreshSessions]);
+
+  // Share links pasted into the address bar of an open page
+  useEffect(() => {
+    const handleHashChange = () => {
+      if (isShareHash(window.location.hash)) openShareLink(window.location.hash);
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, [openShareLink]);
+
+  // Drop the share fragment once another tree replaces the shared one, so a
+  // reload doesn't bring the shared tree back
+  useEffect(() => {
+    if (structure && snapshotSource !== 'link' && isShareHash(window.location.hash)) {
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+  }, [structure, snapshotSource]);
+
+  const renameSavedTree = async (id, name) => {
+    await renameSession(id, name).catch(err => setError(`Failed to rename: ${err.message}`));
+    refreshSessions();
+  };
+
+  // Turning saving off also forgets the trees saved so far
+  const changeRememberTrees = async (remember) => {
+    setRememberTrees(remember);
+    if (remember) return;
+    await clearSessions().catch(err => setError(`Failed to forget saved trees: ${err.message}`));
+    refreshSessions();
+  };
+
+  const deleteSavedTree = async (id) => {
+    await deleteSession(id).catch(err => setError(`Failed to delete: ${err.message}`));
+    if (id === sessionId) setSessionId(null);
+    refreshSessions();
+  };
+
+  const handleScan = (dataTransfer) => {
+    closeLiveFolder();
+    return runScan(options => scanDataTransfer(dataTransfer, options));
+  };
+
+  const handleFiles = (files) => {
+    closeLiveFolder();
+    return runScan(options => scanFileList(files, options));
+  };
+
+  const openLiveFolder = async () => {
+    let handle;
+    try {
+      handle = await window.showDirectoryPicker();
+    } catch (err) {
+      if (!isAbortError(err)) setError(err.message);
+      return;
+    }
+    closeLiveFolder();
+    setLiveHandle(handle);
+    setLastRefreshed(Date.now());
+    return runScan(options => scanDirectoryHandle(handle, options));
+  };
+
+  // Rescans the live folder in the background, keeping expansion state and
+  // flagging what changed since it was opened (or the flags were cleared)
+  const refreshLiveFolder = useCallback(async () => {
+    if (!liveHandle || !structure || isRefreshingRef.current) return;
+    isRefreshingRef.current = true;
+    setIsRefreshing(true);
+    try {
+      // Opened nested archives stay open while their file is unchanged
+      const next = keepExpandedArchives(structure, await scanDirectoryHandle(liveHandle));
+      setLiveDiff(prev => mergeDiffs(prev, diffTrees(structure, next)));
+      handleStructureUpdate(next, null, { refresh: true });
+      setLastRefreshed(Date.now());
+    } catch (err) {
+      console.error('Refresh failed:', err);
+      setError(`Refresh failed: ${err.message}`);
+      setAutoRefresh(0);
+    } finally {
+      isRefreshingRef.current = false;
+      setIsRefreshing(false);
+    }
+  }, [liveHandle, structure, handleStructureUpdate]);
+
+  useEffect(() => {
+    if (!liveHandle || !autoRefresh) return;
+    const timer = setInterval(refreshLiveFolder, autoRefresh * 1000);
+    return () => clearInterval(timer);
+  }, [liveHandle, autoRefresh, refreshLiveFolder]);
+
+  // Hashes the visible files that have no hash yet, off the main thread
+  const analyzeContents = async () => {
+    const files = collectFiles(visibleStructure).filter(file => !file.hash);
+    hashControllerRef.current?.abort();
+    const controller = new AbortController();
+    hashControllerRef.current = controller;
+    setHashProgress({ entries: 0, bytes: 0, currentPath: '', totalEntries: files.length });
+
+    try {
+      const result = await hashNodesInWorker(files, { onProgress: setHashProgress, signal: controller.signal });
+      setHashes(prev => new Map([...(prev || []), ...result.hashes]));
+      setHashErrors(result.errors);
+    } catch (err) {
+      if (!isAbortError(err)) {
+        console.error('Hashing failed:', err);
+        setError(err.message);
+      }
+    } finally {
+      if (hashControllerRef.current === controller) {
+        hashControllerRef.current = null;
+        setHashProgress(null);
+      }
+    }
+  };
+
+  const countVisibleLines = async () => {
+    const files = collectFiles(visibleStructure);
+    lineCountControllerRef.current?.abort();
+    const controller = new AbortController();
+    lineCountControllerRef.current = controller;
+    setLineCountProgress({ entries: 0, bytes: 0, currentPath: '', totalEntries: null });
+
+    try {
+      setLineCounts(await countLines(files, { onProgress: setLineCountProgress, signal: controller.signal }));
+    } catch (err) {
+      if (!isAbortError(err)) {
+        console.error('Line count failed:', err);
+        setError(err.message);
+      }
+    } finally {
+      if (lineCountControllerRef.current === controller) {
+        lineCountControllerRef.current = null;
+        setLineCountProgress(null);
+      }
+    }
+  };
+
+  const cancelScan = () => {
+    scanControllerRef.current?.abort();
+  };
+
+  // Opens a nested archive in place; failures are reported on the archive's row
+  const expandArchive = async (node) => {
+    setOpeningArchivePath(node.path);
+    try {
+      const expanded = await expandArchiveNode(node);
+      setStructure(prev => prev && replaceNode(prev, node.path, expanded));
+      setExpandedFolders(prev => new Set(prev).add(node.path));
+    } catch (err) {
+      console.error('Failed to open archive:', err);
+      setStructure(prev => prev && replaceNode(prev, node.path, { ...node, errors: [err.message] }));
+    } finally {
+      setOpeningArchivePath(null);
     }
-    return paths;
   };
 
   return (
@@ -60,7 +568,11 @@ function App() {
           <p className="text-gray-600">
             {viewMode === 'text' 
               ? 'Text view of your folder structure' 
-              : 'Visual folder navigation with file previews'}
+              : viewMode === 'compare'
+                ? 'Structural diff of two folders or archives'
+                : viewMode === 'treemap'
+                  ? 'Disk usage of your folder structure'
+                  : 'Visual folder navigation with file previews'}
           </p>
         </div>
 
@@ -78,7 +590,7 @@ function App() {
           </button>
           <button 
             onClick={() => setViewMode('folder')}
-            className={`px-4 py-2 rounded-r-lg transition-colors ${
+            className={`px-4 py-2 transition-colors ${
               viewMode === 'folder' 
                 ? 'bg-rose-600 text-white' 
                 : 'bg-gray-200/60 hover:bg-gray-300/60'
@@ -86,27 +598,156 @@ function App() {
           >
             Folder View
           </button>
+          <button 
+            onClick={() => setViewMode('treemap')}
+            className={`px-4 py-2 transition-colors ${
+              viewMode === 'treemap' 
+                ? 'bg-rose-600 text-white' 
+                : 'bg-gray-200/60 hover:bg-gray-300/60'
+            }`}
+          >
+            Treemap
+          </button>
+          <button 
+            onClick={() => setViewMode('compare')}
+            className={`px-4 py-2 rounded-r-lg transition-colors ${
+              viewMode === 'compare' 
+                ? 'bg-rose-600 text-white' 
+                : 'bg-gray-200/60 hover:bg-gray-300/60'
+            }`}
+          >
+            Compare
+          </button>
         </div>
 
+        {recentSessions.length > 0 && viewMode !== 'compare' && (
+          <RecentTrees
+            sessions={recentSessions}
+            activeId={sessionId}
+            defaultOpen={!lastSessionId}
+            onOpen={openSession}
+            onRename={renameSavedTree}
+            onDelete={deleteSavedTree}
+          />
+        )}
+
+        <IgnoreSettings
+          settings={ignoreSettings}
+          onChange={setIgnoreSettings}
+          hiddenCount={hiddenCount}
+        />
+
+        {liveHandle && viewMode !== 'compare' && (
+          <LiveFolderBar
+            name={liveHandle.name}
+            isRefreshing={isRefreshing}
+            lastRefreshed={lastRefreshed}
+            autoRefresh={autoRefresh}
+            onAutoRefreshChange={setAutoRefresh}
+            onRefresh={refreshLiveFolder}
+            diff={liveDiff}
+            onClearChanges={() => setLiveDiff(null)}
+            onClose={closeLiveFolder}
+          />
+        )}
+
+        {structure && !filesAvailable && viewMode !== 'compare' && (
+          <div className="mb-4 p-3 border border-amber-200 rounded-lg bg-amber-50 text-sm text-amber-800">
+            {snapshotSource === 'link'
+              ? 'Showing a shared, read-only tree. Share links hold no file contents, so files cannot be previewed.'
+              : 'Showing a saved tree without its files. Drop the folder or archive again to preview, hash or download files.'}
+          </div>
+        )}
+
+        {visibleStructure && filesAvailable && viewMode !== 'compare' && (
+          <ContentAnalysis
+            structure={visibleStructure}
+            progress={hashProgress}
+            errors={hashErrors}
+            onAnalyze={analyzeContents}
+            onCancel={() => hashControllerRef.current?.abort()}
+          />
+        )}
+
+        {visibleStructure && viewMode !== 'compare' && (
+          <StatisticsPanel
+            structure={visibleStructure}
+            lineCounts={lineCounts}
+            progress={lineCountProgress}
+            onCountLines={filesAvailable ? countVisibleLines : undefined}
+            onCancel={() => lineCountControllerRef.current?.abort()}
+          />
+        )}
+
+        {visibleStructure && viewMode !== 'compare' && (
+          <SharePanel structure={visibleStructure} />
+        )}
+
         {/* Main content area */}
         <div className="bg-white rounded-xl shadow-md shadow-gray-200/40 border-2 border-gray-400/10 overflow-hidden w-full transition-all duration-200">
-          {viewMode === 'text' ? (
+          {viewMode === 'compare' ? (
+            <CompareView
+              trees={compareTrees}
+              onTreesChange={setCompareTrees}
+              isIgnored={compareIgnoreMatcher}
+              treeOptions={treeOptions}
+            />
+          ) : viewMode === 'treemap' ? (
+            <TreemapView
+              structure={searchResult.tree}
+              error={error}
+              onScan={handleScan}
+              onFiles={handleFiles}
+              onOpenDirectory={'showDirectoryPicker' in window ? openLiveFolder : undefined}
+              isLoading={isLoading}
+              rememberTrees={rememberTrees}
+              onRememberTreesChange={changeRememberTrees}
+            />
+          ) : viewMode === 'text' ? (
             <TextFolderStructure 
-              structure={structure}
+              structure={searchResult.tree}
+              search={search}
+              hiddenCount={hiddenCount}
+              treeOptions={treeOptions}
+              onTreeOptionsChange={setTreeOptions}
+              lineCounts={lineCounts}
+              columns={columns}
+              onColumnsChange={setColumns}
+              hashAvailable={!!hashes?.size}
               error={error}
-              onStructureUpdate={handleStructureUpdate}
+              onScan={handleScan}
+              onFiles={handleFiles}
+              onOpenDirectory={'showDirectoryPicker' in window ? openLiveFolder : undefined}
               isLoading={isLoading}
-              setIsLoading={setIsLoading}
+              rememberTrees={rememberTrees}
+              onRememberTreesChange={changeRememberTrees}
             />
           ) : (
             <FolderStructure 
-              structure={structure}
+              structure={searchResult.tree}
+              sourceStructure={structure}
+              unsearchedStructure={visibleStructure}
+              search={search}
+              hiddenCount={hiddenCount}
+              treeOptions={treeOptions}
+              columns={columns}
+              onColumnsChange={setColumns}
+              hashAvailable={!!hashes?.size}
               error={error}
               expandedFolders={expandedFolders}
               setExpandedFolders={setExpandedFolders}
               isLoading={isLoading}
-              setIsLoading={setIsLoading}
-              onStructureUpdate={handleStructureUpdate}
+              rememberTrees={rememberTrees}
+              onRememberTreesChange={changeRememberTrees}
+              onScan={handleScan}
+              onFiles={handleFiles}
+              onOpenDirectory={'showDirectoryPicker' in window ? openLiveFolder : undefined}
+              onExpandArchive={filesAvailable ? expandArchive : undefined}
+              openingArchivePath={openingArchivePath}
+              changes={liveDiff?.changes}
+              selectedPaths={selectedPaths}
+              onSelectionChange={filesAvailable ? setSelectedPaths : undefined}
+              filesAvailable={filesAvailable}
             />
           )}
         </div>
@@ -122,13 +763,18 @@ function App() {
         {/* Loading overlay */}
         {isLoading && (
           <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
-            <div className="bg-white p-6 rounded-lg shadow-xl text-center">
-              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-rose-600 mx-auto mb-4"></div>
+            <div className="bg-white p-6 rounded-lg shadow-xl text-center w-full max-w-md">
+              {!isScanning && (
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-rose-600 mx-auto mb-4"></div>
+              )}
               <p className="text-lg font-medium text-gray-800">
                 {viewMode === 'text' 
                   ? 'Processing folder structure...' 
                   : 'Building visual hierarchy...'}
               </p>
+              {isScanning && (
+                <ScanProgress progress={scanProgress} onCancel={cancelScan} />
+              )}
             </div>
           </div>
         )}
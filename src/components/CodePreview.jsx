@@ -0,0 +1,184 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Highlight, themes } from 'prism-react-renderer';
+import { formatBytes } from '../utils/format';
+import '../utils/prismLanguages';
+
+// Lines rendered up front and added per "Load more", so huge files don't freeze the modal
+const LINES_PER_PAGE = 500;
+// Bytes of a file read at a time; "Load more" reads the next slice once the read lines run out
+const BYTES_PER_SLICE = 1024 * 1024;
+// Characters of a line passed to the highlighter; the rest of a minified or one-line file is cut off
+const MAX_LINE_LENGTH = 2000;
+
+// Text of `file` read in slices, as far as `readMore` has been called
+const useFileSlices = (file) => {
+  const [slices, setSlices] = useState({ text: '', bytesRead: 0 });
+  const [isReading, setIsReading] = useState(false);
+  const [error, setError] = useState(null);
+  const fileRef = useRef(null);
+  // Streaming decoder, so characters split between two slices decode correctly
+  const decoderRef = useRef(null);
+
+  const readSlice = useCallback(async (start) => {
+    setIsReading(true);
+    try {
+      const end = Math.min(file.size, start + BYTES_PER_SLICE);
+      const bytes = await file.slice(start, end).arrayBuffer();
+      if (fileRef.current !== file) return;
+      const text = decoderRef.current.decode(bytes, { stream: end < file.size });
+      setSlices(prev => ({ text: start === 0 ? text : prev.text + text, bytesRead: end }));
+    } catch (err) {
+      if (fileRef.current === file) setError(`Failed to read file: ${err.message}`);
+    } finally {
+      if (fileRef.current === file) setIsReading(false);
+    }
+  }, [file]);
+
+  useEffect(() => {
+    fileRef.current = file;
+    if (!file) return;
+    decoderRef.current = new TextDecoder();
+    setSlices({ text: '', bytesRead: 0 });
+    setError(null);
+    readSlice(0);
+  }, [file, readSlice]);
+
+  return {
+    ...slices,
+    hasMore: !!file && slices.bytesRead < file.size,
+    isReading,
+    error,
+    readMore: () => readSlice(slices.bytesRead)
+  };
+};
+
+// Shows `code`, or the text of `file`, which is read in slices as more lines are loaded
+const CodePreview = ({ code = '', file, language }) => {
+  const [wrap, setWrap] = useState(false);
+  const [lineLimit, setLineLimit] = useState(LINES_PER_PAGE);
+  const slices = useFileSlices(file);
+  const text = file ? slices.text : code;
+
+  const lines = useMemo(() => {
+    const all = text.split(/\r?\n/);
+    if (all.length > 1 && all[all.length - 1] === '') all.pop();
+    // The last line may continue in the next slice
+    if (slices.hasMore && all.length > 1) all.pop();
+    return all;
+  }, [text, slices.hasMore]);
+
+  const { visibleCode, truncatedLines } = useMemo(() => {
+    const truncated = new Map();
+    const visible = lines.slice(0, lineLimit).map((line, i) => {
+      if (line.length <= MAX_LINE_LENGTH) return line;
+      truncated.set(i, line.length);
+      return line.slice(0, MAX_LINE_LENGTH);
+    });
+    return { visibleCode: visible.join('\n'), truncatedLines: truncated };
+  }, [lines, lineLimit]);
+  const visibleCount = Math.min(lines.length, lineLimit);
+  const remaining = lines.length - visibleCount;
+  const gutterWidth = `${String(visibleCount).length + 2}ch`;
+
+  const loadMore = () => {
+    setLineLimit(lineLimit + LINES_PER_PAGE);
+    if (slices.hasMore && remaining < LINES_PER_PAGE) slices.readMore();
+  };
+
+  if (file && slices.isReading && !slices.bytesRead) {
+    return (
+      <div className="flex justify-center items-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-rose-500"></div>
+      </div>
+    );
+  }
+
+  if (file && slices.error) {
+    return (
+      <div className="bg-red-50 border-l-4 border-red-400 text-red-700 p-4 rounded">
+        <p>{slices.error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2 text-xs text-gray-500">
+        <span>
+          {language || 'plain text'} · {lines.length.toLocaleString()}{slices.hasMore ? '+' : ''}{' '}
+          {lines.length === 1 && !slices.hasMore ? 'line' : 'lines'}
+        </span>
+        <button
+          onClick={() => setWrap(!wrap)}
+          aria-pressed={wrap}
+          className={`px-2 py-1 rounded-md transition-colors ${
+            wrap ? 'bg-rose-100 text-rose-700' : 'bg-gray-100 hover:bg-gray-200'
+          }`}
+        >
+          Wrap lines
+        </button>
+      </div>
+
+      <Highlight theme={themes.github} code={visibleCode} language={language || 'plain'}>
+        {({ className, style, tokens, getLineProps, getTokenProps }) => (
+          <pre
+            className={`${className} text-sm rounded-md overflow-auto max-h-[60vh] py-2 border border-gray-200`}
+            style={style}
+          >
+            {tokens.map((line, i) => (
+              <div key={i} {...getLineProps({ line, className: 'flex' })}>
+                <span
+                  className="shrink-0 select-none text-right pr-3 text-gray-400"
+                  style={{ width: gutterWidth }}
+                >
+                  {i + 1}
+                </span>
+                <span className={`pr-4 ${wrap ? 'whitespace-pre-wrap break-all' : 'whitespace-pre'}`}>
+                  {line.map((token, key) => (
+                    <span key={key} {...getTokenProps({ token })} />
+                  ))}
+                  {truncatedLines.has(i) && (
+                    <span className="select-none italic text-gray-400">
+                      {' '}… line truncated ({truncatedLines.get(i).toLocaleString()}
+                      {slices.hasMore && lines.length === 1 ? '+' : ''} characters)
+                    </span>
+                  )}
+                </span>
+              </div>
+            ))}
+          </pre>
+        )}
+      </Highlight>
+
+      {(remaining > 0 || slices.hasMore) && (
+        <div className="flex items-center justify-between mt-2 text-xs text-gray-500">
+          <span>
+            Showing {visibleCount.toLocaleString()} of {lines.length.toLocaleString()}
+            {slices.hasMore
+              ? ` lines read so far (${formatBytes(slices.bytesRead)} of ${formatBytes(file.size)})`
+              : ' lines'}
+          </span>
+          <button
+            onClick={loadMore}
+            disabled={slices.isReading}
+            className="px-2 py-1 rounded-md bg-gray-100 hover:bg-gray-200 transition-colors disabled:opacity-50"
+          >
+            {slices.isReading
+              ? 'Reading…'
+              : slices.hasMore ? 'Load more' : `Load ${Math.min(remaining, LINES_PER_PAGE).toLocaleString()} more`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+CodePreview.propTypes = {
+  // Either the text itself or the file to read it from
+  code: PropTypes.string,
+  file: PropTypes.instanceOf(Blob),
+  language: PropTypes.string
+};
+
+export default CodePreview;
@@ -0,0 +1,331 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  FiAlertCircle,
+  FiCopy,
+  FiDownload,
+  FiFolder,
+  FiRepeat,
+  FiUpload,
+  FiX
+} from 'react-icons/fi';
+import { isAbortError, scanDataTransfer, scanFileList } from '../scanner';
+import {
+  diffTrees,
+  findContentChanges,
+  hasSizeChanged,
+  mergeTrees,
+  describeSizeChange,
+  pruneUnchanged,
+  renderDiffReport
+} from '../utils/diff';
+import { formatBytes, pluralize } from '../utils/format';
+import { renderTextTreeRows } from '../utils/formats';
+import { filterTree } from '../utils/ignore';
+import FilePickerButtons from './FilePickerButtons';
+import ScanProgress from './ScanProgress';
+
+const SIDE_LABELS = ['Before', 'After'];
+
+const STATUS_STYLES = {
+  added: { marker: '+', className: 'text-green-700 bg-green-50' },
+  removed: { marker: '-', className: 'text-red-700 bg-red-50 line-through decoration-red-300' },
+  modified: { marker: '~', className: 'text-amber-700 bg-amber-50' },
+  unchanged: { marker: ' ', className: 'text-gray-600' }
+};
+
+// One side of the comparison: its own drop zone, pickers and scan progress
+const CompareDropZone = ({ label, tree, onLoad, onClear }) => {
+  const [progress, setProgress] = useState(null);
+  const [isScanning, setIsScanning] = useState(false);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const runScan = async (startScan) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const pending = startScan({ signal: controller.signal, onProgress: setProgress });
+
+    setError(null);
+    setProgress(null);
+    setIsScanning(true);
+    try {
+      onLoad(await pending);
+    } catch (err) {
+      if (!isAbortError(err)) setError(err.message);
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsScanning(false);
+      }
+    }
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = 'copy';
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const { dataTransfer } = e;
+    runScan(options => scanDataTransfer(dataTransfer, options));
+  };
+
+  return (
+    <div
+      onDragOver={handleDragOver}
+      onDrop={handleDrop}
+      className={`flex-1 min-w-0 border-2 border-dashed rounded-lg p-4 text-center transition-colors ${
+        error ? 'border-red-400 bg-red-50' : 'border-gray-300 bg-gray-50/60 hover:border-rose-400'
+      }`}
+    >
+      <p className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">{label}</p>
+
+      {isScanning ? (
+        <ScanProgress progress={progress} onCancel={() => controllerRef.current?.abort()} />
+      ) : tree ? (
+        <div className="flex items-center justify-center gap-2 text-sm">
+          <FiFolder className="text-rose-600 flex-shrink-0" />
+          <span className="font-medium text-gray-700 truncate" title={tree.name}>{tree.name}</span>
+          <span className="text-gray-400 whitespace-nowrap">
+            {pluralize(tree.fileCount ?? 0, 'file', 'files')} · {formatBytes(tree.size ?? 0)}
+          </span>
+          <button
+            onClick={onClear}
+            className="p-1 rounded-full hover:bg-gray-200 text-gray-500"
+            title={`Clear ${label.toLowerCase()}`}
+            aria-label={`Clear ${label.toLowerCase()}`}
+          >
+            <FiX size={14} />
+          </button>
+        </div>
+      ) : (
+        <div className="flex flex-col items-center space-y-3">
+          <FiUpload className="w-8 h-8 text-gray-400" />
+          <p className="text-sm text-gray-600">Drop a folder or archive</p>
+          <FilePickerButtons onFiles={files => runScan(options => scanFileList(files, options))} />
+        </div>
+      )}
+
+      {error && (
+        <p className="mt-2 text-xs text-red-700 flex items-center justify-center">
+          <FiAlertCircle className="mr-1 flex-shrink-0" />
+          {error}
+        </p>
+      )}
+    </div>
+  );
+};
+
+CompareDropZone.propTypes = {
+  label: PropTypes.string.isRequired,
+  tree: PropTypes.object,
+  onLoad: PropTypes.func.isRequired,
+  onClear: PropTypes.func.isRequired
+};
+
+const CompareView = ({ trees, onTreesChange, isIgnored, treeOptions }) => {
+  const [compareContent, setCompareContent] = useState(false);
+  const [onlyChanges, setOnlyChanges] = useState(true);
+  const [contentChanges, setContentChanges] = useState(null);
+  const [hashProgress, setHashProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  // Ignore rules apply to both sides, so build output noise can be left out
+  const [before, after] = useMemo(
+    () => trees.map(tree => (tree && isIgnored ? filterTree(tree, isIgnored).tree : tree)),
+    [trees, isIgnored]
+  );
+
+  useEffect(() => {
+    setContentChanges(null);
+    setError(null);
+    if (!compareContent || !before || !after) return;
+
+    const controller = new AbortController();
+    findContentChanges(before, after, { onProgress: setHashProgress, signal: controller.signal })
+      .then(setContentChanges)
+      .catch(err => {
+        if (!isAbortError(err)) setError(err.message);
+      })
+      .finally(() => setHashProgress(null));
+    return () => controller.abort();
+  }, [before, after, compareContent]);
+
+  const result = useMemo(() => {
+    if (!before || !after) return null;
+    if (compareContent && !contentChanges) return null;
+
+    const isModified = contentChanges
+      ? (old, current) => hasSizeChanged(old, current) || contentChanges.has(current.path)
+      : hasSizeChanged;
+    const diff = diffTrees(before, after, isModified);
+    const merged = mergeTrees(before, after, diff.changes);
+    return { diff, merged };
+  }, [before, after, compareContent, contentChanges]);
+
+  const displayed = result && (onlyChanges ? pruneUnchanged(result.merged) : result.merged);
+
+  const buildReport = () => renderDiffReport(displayed, result.diff, {
+    ...treeOptions,
+    beforeName: before.name,
+    afterName: after.name
+  });
+
+  const copyReport = () => {
+    navigator.clipboard.writeText(buildReport())
+      .then(() => {
+        setCopied(true);
+        setTimeout(() => setCopied(false), 2000);
+      })
+      .catch(() => setError('Failed to copy to clipboard'));
+  };
+
+  const downloadReport = () => {
+    const blob = new Blob([buildReport()], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'structure-diff.txt';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  // Sides load independently, so update from the latest pair rather than this render's
+  const setSide = (index, tree) => onTreesChange(prev => prev.map((current, i) => (i === index ? tree : current)));
+
+  const renderTree = () => {
+    const rows = renderTextTreeRows(displayed, treeOptions);
+    return rows.map(({ text, node }, i) => {
+      const style = STATUS_STYLES[node?.status] || STATUS_STYLES.unchanged;
+      const sizes = node ? describeSizeChange(node) : '';
+      return (
+        <div key={i} className={node ? style.className : 'text-gray-500'}>
+          {`${node ? style.marker : ' '} ${text}${sizes}`}
+        </div>
+      );
+    });
+  };
+
+  return (
+    <div className="p-4 md:p-6 space-y-4">
+      <div className="flex flex-col md:flex-row items-stretch gap-3">
+        {SIDE_LABELS.map((label, i) => (
+          <CompareDropZone
+            key={label}
+            label={label}
+            tree={trees[i]}
+            onLoad={tree => setSide(i, tree)}
+            onClear={() => setSide(i, null)}
+          />
+        ))}
+      </div>
+
+      {trees[0] && trees[1] && (
+        <div className="flex justify-center">
+          <button
+            onClick={() => onTreesChange(prev => [prev[1], prev[0]])}
+            className="flex items-center text-sm px-3 py-1.5 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+          >
+            <FiRepeat className="mr-1.5" size={14} />
+            Swap sides
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-400 text-red-700 p-4 rounded flex items-start">
+          <FiAlertCircle className="flex-shrink-0 mr-2 mt-0.5" />
+          <p>{error}</p>
+        </div>
+      )}
+
+      {before && after && (
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600">
+              <label className="flex items-center gap-1.5">
+                <input
+                  type="checkbox"
+                  checked={compareContent}
+                  onChange={e => setCompareContent(e.target.checked)}
+                />
+                Compare contents (SHA-256)
+              </label>
+              <label className="flex items-center gap-1.5">
+                <input
+                  type="checkbox"
+                  checked={onlyChanges}
+                  onChange={e => setOnlyChanges(e.target.checked)}
+                />
+                Only changes
+              </label>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={copyReport}
+                disabled={!result}
+                className="flex items-center text-sm px-3 py-1.5 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors disabled:opacity-50"
+              >
+                <FiCopy className="mr-1.5" size={14} />
+                {copied ? 'Copied!' : 'Copy report'}
+              </button>
+              <button
+                onClick={downloadReport}
+                disabled={!result}
+                className="flex items-center text-sm px-3 py-1.5 bg-rose-100 hover:bg-rose-200 text-rose-700 rounded-md transition-colors disabled:opacity-50"
+              >
+                <FiDownload className="mr-1.5" size={14} />
+                Download report
+              </button>
+            </div>
+          </div>
+
+          {hashProgress && (
+            <p className="text-xs text-gray-500">
+              Hashing files… {hashProgress.entries.toLocaleString()} / {hashProgress.totalEntries.toLocaleString()}
+            </p>
+          )}
+
+          {result && (
+            <>
+              <div className="flex flex-wrap gap-3 text-sm">
+                <span className="text-green-700">+{result.diff.added} added</span>
+                <span className="text-red-700">−{result.diff.removed} removed</span>
+                <span className="text-amber-700">~{result.diff.modified} modified</span>
+              </div>
+
+              {result.merged.containsChanges || !onlyChanges ? (
+                <div className="bg-gray-50/60 rounded-lg border border-gray-100 p-3 max-h-[60vh] overflow-auto">
+                  <pre className="font-mono text-sm leading-6 whitespace-pre">{renderTree()}</pre>
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500">Both sides have the same structure{compareContent ? ' and contents' : ' and sizes'}.</p>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+CompareView.propTypes = {
+  // [before, after]; either may be null until dropped
+  trees: PropTypes.arrayOf(PropTypes.object).isRequired,
+  // State setter for `trees`; called with an updater function
+  onTreesChange: PropTypes.func.isRequired,
+  isIgnored: PropTypes.func,
+  treeOptions: PropTypes.object
+};
+
+export default CompareView;
@@ -0,0 +1,121 @@
+import { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { FiHash, FiChevronDown, FiChevronRight, FiAlertCircle } from 'react-icons/fi';
+import { findDuplicates } from '../utils/hash';
+import { collectFiles } from '../utils/tree';
+import { formatBytes, pluralize } from '../utils/format';
+import ScanProgress from './ScanProgress';
+
+// Groups rendered before "Show all", to keep huge reports responsive
+const INITIAL_GROUPS = 20;
+
+const ContentAnalysis = ({ structure, progress, errors, onAnalyze, onCancel }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [showAll, setShowAll] = useState(false);
+
+  const files = useMemo(() => collectFiles(structure), [structure]);
+  const hashedCount = useMemo(() => files.filter(file => file.hash).length, [files]);
+  const duplicates = useMemo(() => findDuplicates(structure), [structure]);
+  const groups = showAll ? duplicates.groups : duplicates.groups.slice(0, INITIAL_GROUPS);
+
+  return (
+    <div className="mb-6 border border-gray-200 rounded-lg bg-gray-50/60">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between px-4 py-2 text-sm text-gray-700"
+      >
+        <span className="flex items-center">
+          {isOpen ? (
+            <FiChevronDown className="mr-1.5 text-gray-500" />
+          ) : (
+            <FiChevronRight className="mr-1.5 text-gray-500" />
+          )}
+          <FiHash className="mr-1.5 text-rose-600" />
+          Content analysis
+        </span>
+        {duplicates.groups.length > 0 && (
+          <span className="text-xs text-gray-500">{formatBytes(duplicates.wasted)} in duplicates</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="px-4 pb-4 space-y-3 text-sm">
+          {progress ? (
+            <ScanProgress progress={progress} onCancel={onCancel} />
+          ) : (
+            <div className="flex flex-wrap items-center gap-3">
+              <button
+                onClick={onAnalyze}
+                disabled={hashedCount === files.length}
+                className="flex items-center px-3 py-1.5 bg-rose-100 hover:bg-rose-200 text-rose-700 rounded-md transition-colors disabled:opacity-50"
+              >
+                <FiHash className="mr-1.5" size={14} />
+                {hashedCount > 0 ? 'Hash remaining files' : 'Hash all files'}
+              </button>
+              <span className="text-gray-500">
+                {hashedCount.toLocaleString()} of {pluralize(files.length, 'file', 'files')} hashed (SHA-256)
+              </span>
+            </div>
+          )}
+
+          {errors?.size > 0 && (
+            <p
+              className="flex items-center text-xs text-amber-700"
+              title={[...errors].map(([path, message]) => `${path}: ${message}`).join('\n')}
+            >
+              <FiAlertCircle className="mr-1 flex-shrink-0" />
+              {pluralize(errors.size, 'file', 'files')} could not be read
+            </p>
+          )}
+
+          {hashedCount > 0 && (duplicates.groups.length === 0 ? (
+            <p className="text-gray-500">No duplicate files found.</p>
+          ) : (
+            <div className="space-y-2">
+              <p className="text-gray-700">
+                {pluralize(duplicates.duplicateFiles, 'redundant copy', 'redundant copies')} in{' '}
+                {pluralize(duplicates.groups.length, 'group', 'groups')}, wasting{' '}
+                <span className="font-medium">{formatBytes(duplicates.wasted)}</span>
+              </p>
+              <ul className="space-y-2 max-h-80 overflow-auto">
+                {groups.map(group => (
+                  <li key={group.hash} className="bg-white border border-gray-200 rounded-md p-2">
+                    <div className="flex justify-between text-xs text-gray-500">
+                      <span>
+                        {group.paths.length} × {formatBytes(group.size)} ·{' '}
+                        <span className="font-mono" title={group.hash}>{group.hash.slice(0, 12)}</span>
+                      </span>
+                      <span>{formatBytes(group.wasted)} wasted</span>
+                    </div>
+                    <ul className="mt-1 font-mono text-xs text-gray-700">
+                      {group.paths.map(path => (
+                        <li key={path} className="truncate" title={path}>{path}</li>
+                      ))}
+                    </ul>
+                  </li>
+                ))}
+              </ul>
+              {duplicates.groups.length > groups.length && (
+                <button onClick={() => setShowAll(true)} className="text-xs text-rose-600 hover:underline">
+                  Show all {duplicates.groups.length} groups
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+ContentAnalysis.propTypes = {
+  // Tree shown in the views, with `hash` on every hashed file
+  structure: PropTypes.object.isRequired,
+  progress: PropTypes.object,
+  // Read failures by path from the last pass
+  errors: PropTypes.instanceOf(Map),
+  onAnalyze: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default ContentAnalysis;
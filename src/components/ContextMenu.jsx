@@ -0,0 +1,99 @@
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Menu shown at viewport coordinates. Closes on Escape, on scroll, or on any
+ * click outside of it; items close it after running.
+ */
+const ContextMenu = ({ x, y, title, items, onClose }) => {
+  const menuRef = useRef(null);
+  const [position, setPosition] = useState({ left: x, top: y });
+
+  // Keep the menu inside the viewport
+  useLayoutEffect(() => {
+    const menu = menuRef.current;
+    if (!menu) return;
+    const { width, height } = menu.getBoundingClientRect();
+    setPosition({
+      left: Math.max(0, Math.min(x, window.innerWidth - width - 4)),
+      top: Math.max(0, Math.min(y, window.innerHeight - height - 4))
+    });
+    menu.querySelector('[role="menuitem"]')?.focus();
+  }, [x, y]);
+
+  useEffect(() => {
+    const handlePointerDown = (e) => {
+      if (!menuRef.current?.contains(e.target)) onClose();
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('mousedown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('scroll', onClose, true);
+    window.addEventListener('resize', onClose);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('scroll', onClose, true);
+      window.removeEventListener('resize', onClose);
+    };
+  }, [onClose]);
+
+  // Arrow keys move between items
+  const handleMenuKeyDown = (e) => {
+    if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+    e.preventDefault();
+    const buttons = [...menuRef.current.querySelectorAll('[role="menuitem"]')];
+    const index = buttons.indexOf(document.activeElement);
+    const next = e.key === 'ArrowDown' ? index + 1 : index - 1;
+    buttons[(next + buttons.length) % buttons.length]?.focus();
+  };
+
+  return (
+    <div
+      ref={menuRef}
+      role="menu"
+      aria-label={title}
+      onKeyDown={handleMenuKeyDown}
+      onContextMenu={(e) => e.preventDefault()}
+      className="fixed z-[60] min-w-[14rem] py-1 bg-white border border-gray-200 rounded-md shadow-lg text-sm"
+      style={position}
+    >
+      {title && (
+        <div className="px-3 py-1 text-xs text-gray-400 truncate max-w-xs">{title}</div>
+      )}
+      {items.map((item, i) => (item.separator ? (
+        <div key={i} role="separator" className="my-1 border-t border-gray-100" />
+      ) : (
+        <button
+          key={i}
+          role="menuitem"
+          onClick={() => {
+            onClose();
+            item.onSelect();
+          }}
+          className="w-full flex items-center px-3 py-1.5 text-left text-gray-700 hover:bg-rose-50 hover:text-rose-700 focus:bg-rose-50 focus:outline-none"
+        >
+          {item.icon && <item.icon className="mr-2 flex-shrink-0" size={14} />}
+          {item.label}
+        </button>
+      )))}
+    </div>
+  );
+};
+
+ContextMenu.propTypes = {
+  x: PropTypes.number.isRequired,
+  y: PropTypes.number.isRequired,
+  title: PropTypes.string,
+  items: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string,
+    icon: PropTypes.elementType,
+    onSelect: PropTypes.func,
+    separator: PropTypes.bool
+  })).isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default ContextMenu;
@@ -0,0 +1,77 @@
+import { useRef } from 'react';
+import PropTypes from 'prop-types';
+import { FiFolder, FiArchive, FiHardDrive } from 'react-icons/fi';
+
+const ARCHIVE_ACCEPT = '.zip,.tar,.tgz,.gz,application/zip,application/gzip,application/x-tar';
+
+// Keyboard- and touch-friendly alternative to dropping files on the drop zone
+const FilePickerButtons = ({ onFiles, onOpenDirectory }) => {
+  const folderInputRef = useRef(null);
+  const archiveInputRef = useRef(null);
+
+  const handleChange = (e) => {
+    // Copy before clearing the input, which empties the live FileList
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (files.length > 0) onFiles(files);
+  };
+
+  const buttonClass = 'flex items-center px-3 py-1.5 text-sm bg-white border border-gray-300 rounded-md hover:border-rose-400 hover:text-rose-600 transition-colors';
+
+  return (
+    <div className="flex flex-wrap justify-center gap-2">
+      <button
+        type="button"
+        onClick={() => folderInputRef.current?.click()}
+        className={buttonClass}
+      >
+        <FiFolder className="mr-1.5" />
+        Choose folder
+      </button>
+      <button
+        type="button"
+        onClick={() => archiveInputRef.current?.click()}
+        className={buttonClass}
+        title="ZIP, TAR, TAR.GZ or GZ archives, or any other files"
+      >
+        <FiArchive className="mr-1.5" />
+        Choose ZIP
+      </button>
+      {onOpenDirectory && (
+        <button
+          type="button"
+          onClick={onOpenDirectory}
+          className={buttonClass}
+          title="Keep the folder open so it can be refreshed after changes on disk"
+        >
+          <FiHardDrive className="mr-1.5" />
+          Open live folder
+        </button>
+      )}
+
+      <input
+        ref={folderInputRef}
+        type="file"
+        webkitdirectory=""
+        multiple
+        onChange={handleChange}
+        className="hidden"
+      />
+      <input
+        ref={archiveInputRef}
+        type="file"
+        accept={ARCHIVE_ACCEPT}
+        multiple
+        onChange={handleChange}
+        className="hidden"
+      />
+    </div>
+  );
+};
+
+FilePickerButtons.propTypes = {
+  onFiles: PropTypes.func.isRequired,
+  onOpenDirectory: PropTypes.func
+};
+
+export default FilePickerButtons;
@@ -1,7 +1,33 @@
-import React, { useState, useCallback, useEffect, useRef } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import PropTypes from 'prop-types';
-import JSZip from 'jszip';
+import { FixedSizeList } from 'react-window';
+import AutoSizer from 'react-virtualized-auto-sizer';
+import {
+  MAX_FILE_SIZE_MB,
+  collectScanErrors,
+  getAllFolderPaths,
+  isAbortError,
+  isExpandableArchive,
+  readNodeFile
+} from '../scanner';
+import { collectEmptyFolders, collectFiles, findNodeByPath, flattenVisibleRows, formatNodePath } from '../utils/tree';
+import { countSelected, getSelectedFiles, getSelectionState, toggleSelection } from '../utils/selection';
+import { createZip, downloadBlob } from '../utils/zipExport';
+import { getIconCategory } from '../utils/fileTypes';
+import { DEFAULT_TREE_OPTIONS, renderTextTree } from '../utils/formats';
+import { formatBytes, formatDate } from '../utils/format';
+import MetadataToggles from './MetadataToggles';
+import TreeSummary from './TreeSummary';
+import FilePickerButtons from './FilePickerButtons';
+import StorageNotice from './StorageNotice';
+import SearchBar from './SearchBar';
+import HighlightedName from './HighlightedName';
+import PreviewFile from './PreviewFile';
+import ContextMenu from './ContextMenu';
+import SelectionToolbar from './SelectionToolbar';
+import TriStateCheckbox from './TriStateCheckbox';
 import { 
+  FiClipboard,
   FiCopy, 
   FiFolder, 
   FiFile, 
@@ -16,171 +42,120 @@ import {
   FiCode,
   FiMusic,
   FiVideo,
-  FiFileMinus,
   FiDownload,
-  FiX,
   FiEye,
   FiEyeOff,
-  FiChevronUp
+  FiChevronUp,
+  FiAlertTriangle,
+  FiArchive
 } from 'react-icons/fi';
 
-const PreviewFile = ({ file, onClose }) => {
-  const [content, setContent] = useState(null);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  const getFileType = (filename) => {
-    if (!filename) return 'other';
-    const ext = filename.split('.').pop().toLowerCase();
-    const textFiles = ['txt', 'md', 'json', 'csv', 'log', 'html', 'css'];
-    const imageFiles = ['jpg', 'jpeg', 'png', 'gif', 'svg', 'webp'];
-    const codeFiles = ['js', 'jsx', 'ts', 'tsx', 'py', 'java', 'php'];
-    const mediaFiles = ['mp3', 'wav', 'ogg'];
-    const videoFiles = ['mp4', 'webm', 'mov'];
-
-    if (textFiles.includes(ext)) return 'text';
-    if (imageFiles.includes(ext)) return 'image';
-    if (codeFiles.includes(ext)) return 'code';
-    if (mediaFiles.includes(ext)) return 'audio';
-    if (videoFiles.includes(ext)) return 'video';
-    return 'other';
-  };
-
-  const getFileIcon = (type) => {
-    switch (type) {
-      case 'text': return <FiFileText className="mr-2" />;
-      case 'image': return <FiImage className="mr-2" />;
-      case 'code': return <FiCode className="mr-2" />;
-      case 'audio': return <FiMusic className="mr-2" />;
-      case 'video': return <FiVideo className="mr-2" />;
-      default: return <FiFileMinus className="mr-2" />;
-    }
-  };
+const ROW_HEIGHT = 28;
 
-  useEffect(() => {
-    if (!file) return;
-
-    const fileType = getFileType(file.name);
-    const reader = new FileReader();
-    
-    reader.onload = (e) => {
-      setIsLoading(false);
-      
-      if (fileType === 'image') {
-        setContent(
-          <div className="flex justify-center">
-            <img 
-              src={e.target.result} 
-              alt={file.name} 
-              className="max-h-64 max-w-full object-contain"
-            />
-          </div>
-        );
-      } else if (fileType === 'text' || fileType === 'code') {
-        setContent(
-          <pre className="bg-gray-100 p-4 rounded-md overflow-auto max-h-64">
-            {e.target.result}
-          </pre>
-        );
-      } else {
-        setContent(
-          <div className="text-center py-8 text-gray-500">
-            <p>Preview not available for this file type</p>
-            <p className="text-sm mt-2">Download the file to view full content</p>
-          </div>
-        );
-      }
-    };
-    
-    reader.onerror = () => {
-      setIsLoading(false);
-      setError('Failed to read file');
-    };
-
-    if (fileType === 'image') {
-      reader.readAsDataURL(file);
-    } else if (fileType === 'text' || fileType === 'code') {
-      reader.readAsText(file);
-    } else {
-      setIsLoading(false);
-      setContent(
-        <div className="text-center py-8 text-gray-500">
-          <p>Preview not available for this file type</p>
-          <p className="text-sm mt-2">Download the file to view full content</p>
-        </div>
-      );
-    }
-
-    return () => {
-      reader.abort();
-    };
-  }, [file]);
-
-  if (!file) return null;
+const CATEGORY_ICONS = {
+  document: FiFileText,
+  image: FiImage,
+  code: FiCode,
+  audio: FiMusic,
+  video: FiVideo,
+  archive: FiFile,
+  other: FiFile
+};
 
-  const fileType = getFileType(file.name);
+const ICON_COLORS = {
+  txt: 'text-blue-500',
+  pdf: 'text-red-500',
+  doc: 'text-blue-600',
+  docx: 'text-blue-600',
+  md: 'text-gray-600',
+  csv: 'text-green-600',
+  xls: 'text-green-600',
+  xlsx: 'text-green-600',
+  jpg: 'text-yellow-500',
+  jpeg: 'text-yellow-500',
+  png: 'text-blue-400',
+  gif: 'text-purple-400',
+  svg: 'text-orange-400',
+  webp: 'text-green-400',
+  js: 'text-yellow-400',
+  jsx: 'text-blue-300',
+  ts: 'text-blue-500',
+  html: 'text-orange-500',
+  css: 'text-blue-400',
+  json: 'text-gray-500',
+  py: 'text-blue-400',
+  java: 'text-red-400',
+  mp3: 'text-purple-500',
+  wav: 'text-blue-400',
+  mp4: 'text-red-400',
+  mov: 'text-blue-500',
+  zip: 'text-yellow-600',
+  rar: 'text-red-500',
+  '7z': 'text-green-500',
+  tar: 'text-amber-700',
+  gz: 'text-amber-600',
+  tgz: 'text-amber-600'
+};
 
-  return (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col">
-        <div className="flex justify-between items-center border-b p-4">
-          <div className="flex items-center">
-            {getFileIcon(fileType)}
-            <h3 className="font-medium truncate max-w-xs">{file.name}</h3>
-          </div>
-          <button 
-            onClick={onClose}
-            className="p-1 rounded-full hover:bg-gray-100"
-          >
-            <FiX />
-          </button>
-        </div>
-        
-        <div className="p-4 overflow-auto flex-1">
-          {isLoading ? (
-            <div className="flex justify-center items-center h-32">
-              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-rose-500"></div>
-            </div>
-          ) : error ? (
-            <div className="bg-red-50 border-l-4 border-red-400 text-red-700 p-4 rounded">
-              <p>{error}</p>
-            </div>
-          ) : (
-            content
-          )}
-        </div>
-        
-        <div className="border-t p-4 flex justify-end">
-          <a
-            href={URL.createObjectURL(file)}
-            download={file.name}
-            className="px-4 py-2 bg-rose-600 text-white rounded hover:bg-rose-700 transition-colors"
-          >
-            Download File
-          </a>
-        </div>
-      </div>
-    </div>
-  );
+const CHANGE_STYLES = {
+  added: { label: 'new', text: 'text-green-700', badge: 'bg-green-100 text-green-700' },
+  modified: { label: 'changed', text: 'text-amber-700', badge: 'bg-amber-100 text-amber-700' }
 };
+const FULLSCREEN_LIST_HEIGHT = 'calc(100vh - 10rem)';
+// Keystrokes typed within this many ms build up one typeahead search
+const TYPEAHEAD_TIMEOUT = 500;
+
+// Stable row renderer for react-window; the actual markup comes from FolderStructure
+const TreeRow = ({ index, style, data }) => data.renderRow(data.rows[index], {
+  ...style,
+  width: 'auto',
+  minWidth: '100%'
+});
 
 const FolderStructure = ({ 
   structure, 
+  sourceStructure,
+  unsearchedStructure,
+  search,
+  hiddenCount = 0,
+  treeOptions = DEFAULT_TREE_OPTIONS,
+  columns = {},
+  onColumnsChange,
+  hashAvailable = false,
   error, 
   expandedFolders,
   setExpandedFolders,
   isLoading,
-  setIsLoading,
-  onStructureUpdate,
+  rememberTrees = false,
+  onRememberTreesChange,
+  onScan,
+  onFiles,
+  onOpenDirectory,
+  onExpandArchive,
+  openingArchivePath = null,
+  changes,
+  selectedPaths,
+  onSelectionChange,
+  filesAvailable = true,
   maxHeight = '35vh'
 }) => {
   const [copied, setCopied] = useState(false);
   const [currentError, setCurrentError] = useState(null);
-  const [previewFile, setPreviewFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [loadingPreviewPath, setLoadingPreviewPath] = useState(null);
+  const [compressionLevel, setCompressionLevel] = useState(6);
+  const [zipProgress, setZipProgress] = useState(null);
+  const [contextMenu, setContextMenu] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [focusedPath, setFocusedPath] = useState(null);
+  const zipControllerRef = useRef(null);
+  const pendingFocusRef = useRef(false);
+  const typeaheadRef = useRef({ text: '', time: 0 });
   const [isFullMode, setIsFullMode] = useState(false);
   const [showScrollToTop, setShowScrollToTop] = useState(false);
   const fullscreenRef = useRef(null);
-  const MAX_FILE_SIZE_MB = 1000;
+  const fullscreenListRef = useRef(null);
+  const listRef = useRef(null);
 
   // Track scroll position in fullscreen mode
   useEffect(() => {
@@ -197,90 +172,51 @@ const FolderStructure = ({
     };
   }, [isFullMode]);
 
-  const areAllFoldersExpanded = useCallback(() => {
-    if (!structure) return false;
-    const allPaths = getAllFolderPaths(structure);
-    return allPaths.length > 0 && allPaths.every(path => expandedFolders.has(path));
-  }, [structure, expandedFolders]);
+  // Whole-tree walks are memoized, so focus moves and typeahead don't repeat them
+  const allFolderPaths = useMemo(() => (structure ? getAllFolderPaths(structure) : []), [structure]);
+  const areAllFoldersExpanded = useMemo(
+    () => allFolderPaths.length > 0 && allFolderPaths.every(path => expandedFolders.has(path)),
+    [allFolderPaths, expandedFolders]
+  );
+  const scanErrors = useMemo(() => (structure ? collectScanErrors(structure) : []), [structure]);
 
-  const countItems = useCallback((node) => {
-    if (!node.children) return 1;
-    return 1 + node.children.reduce((sum, child) => sum + countItems(child), 0);
-  }, []);
+  const visibleRows = useMemo(
+    () => (structure ? flattenVisibleRows(structure, expandedFolders) : []),
+    [structure, expandedFolders]
+  );
+  const activeMatchPath = search?.activePath;
 
-  const itemCount = structure ? countItems(structure) : 0;
+  // Roving tabindex: the focused row is the tree's only tab stop, falling
+  // back to the root when it is collapsed away or filtered out
+  const focusedIndex = Math.max(0, visibleRows.findIndex(row => row.node.path === focusedPath));
+  const tabStopPath = visibleRows[focusedIndex]?.node.path;
 
-  const getFileIconComponent = (fileName) => {
-    const extension = fileName.split('.').pop().toLowerCase();
-    
-    const iconMap = {
-      txt: <FiFileText className="text-blue-500" />,
-      pdf: <FiFileText className="text-red-500" />,
-      doc: <FiFileText className="text-blue-600" />,
-      docx: <FiFileText className="text-blue-600" />,
-      md: <FiFileText className="text-gray-600" />,
-      csv: <FiFileText className="text-green-600" />,
-      xls: <FiFileText className="text-green-600" />,
-      xlsx: <FiFileText className="text-green-600" />,
-      jpg: <FiImage className="text-yellow-500" />,
-      jpeg: <FiImage className="text-yellow-500" />,
-      png: <FiImage className="text-blue-400" />,
-      gif: <FiImage className="text-purple-400" />,
-      svg: <FiImage className="text-orange-400" />,
-      webp: <FiImage className="text-green-400" />,
-      js: <FiCode className="text-yellow-400" />,
-      jsx: <FiCode className="text-blue-300" />,
-      ts: <FiCode className="text-blue-500" />,
-      html: <FiCode className="text-orange-500" />,
-      css: <FiCode className="text-blue-400" />,
-      json: <FiCode className="text-gray-500" />,
-      py: <FiCode className="text-blue-400" />,
-      java: <FiCode className="text-red-400" />,
-      mp3: <FiMusic className="text-purple-500" />,
-      wav: <FiMusic className="text-blue-400" />,
-      mp4: <FiVideo className="text-red-400" />,
-      mov: <FiVideo className="text-blue-500" />,
-      zip: <FiFile className="text-yellow-600" />,
-      rar: <FiFile className="text-red-500" />,
-      '7z': <FiFile className="text-green-500" />,
-      default: <FiFile className="text-gray-400" />
-    };
+  // Keep the active search match in view
+  useEffect(() => {
+    if (activeMatchPath === null || activeMatchPath === undefined) return;
+    const index = visibleRows.findIndex(row => row.node.path === activeMatchPath);
+    if (index === -1) return;
+    (isFullMode ? fullscreenListRef : listRef).current?.scrollToItem(index, 'smart');
+  }, [activeMatchPath, visibleRows, isFullMode]);
 
-    return iconMap[extension] || iconMap.default;
+  const getFileIconComponent = (fileName) => {
+    const Icon = CATEGORY_ICONS[getIconCategory(fileName)];
+    const color = ICON_COLORS[fileName.split('.').pop().toLowerCase()] || 'text-gray-400';
+    return <Icon className={color} />;
   };
 
+  // Text rendering of the tree as currently expanded, with folder/file icons
+  const renderVisualStructure = useCallback(() => renderTextTree(structure, {
+    ...treeOptions,
+    annotations: columns,
+    icons: true,
+    isExpanded: (node) => expandedFolders.has(node.path)
+  }), [structure, expandedFolders, treeOptions, columns]);
+
   const downloadAsTextFile = useCallback(() => {
     if (!structure) return;
 
-    const renderStructureWithIcons = (node, prefix = '', isLast = true, isRoot = true) => {
-      const isExpanded = expandedFolders.has(node.path);
-      
-      if (isRoot) {
-        const rootLine = `📁 ${node.name}/`;
-        const childLines = isExpanded ? node.children.flatMap((child, i) => 
-          renderStructureWithIcons(child, '    ', i === node.children.length - 1, false)
-        ) : [];
-        return [rootLine, ...childLines];
-      }
-
-      const connector = isLast ? '└── ' : '├── ';
-      const icon = node.type === 'directory' ? (isExpanded ? '📂' : '📁') : '📄';
-      const line = `${prefix}${connector}${icon} ${node.name}${node.type === 'directory' ? '/' : ''}`;
-
-      if (node.type !== 'directory' || !node.children || node.children.length === 0 || !isExpanded) {
-        return [line];
-      }
-
-      const childPrefix = prefix + (isLast ? '    ' : '│   ');
-      const childLines = node.children.flatMap((child, i) => 
-        renderStructureWithIcons(child, childPrefix, i === node.children.length - 1, false)
-      );
-
-      return [line, ...childLines];
-    };
-
-    const structureWithIcons = renderStructureWithIcons(structure);
-    const textContent = structureWithIcons.join('\n');
+    const textContent = renderVisualStructure().join('\n');
     
     const blob = new Blob([textContent], { type: 'text/plain' });
     const url = URL.createObjectURL(blob);
@@ -291,40 +227,12 @@ const FolderStructure = ({
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
-  }, [structure, expandedFolders]);
+  }, [structure, renderVisualStructure]);
 
   const copyVisualStructure = useCallback(() => {
     if (!structure) return;
 
-    const renderStructureWithIcons = (node, prefix = '', isLast = true, isRoot = true) => {
-      const isExpanded = expandedFolders.has(node.path);
-      
-      if (isRoot) {
-        const rootLine = `📁 ${node.name}/`;
-        const childLines = isExpanded ? node.children.flatMap((child, i) => 
-          renderStructureWithIcons(child, '    ', i === node.children.length - 1, false)
-        ) : [];
-        return [rootLine, ...childLines];
-      }
-
-      const connector = isLast ? '└── ' : '├── ';
-      const icon = node.type === 'directory' ? (isExpanded ? '📂' : '📁') : '📄';
-      const line = `${prefix}${connector}${icon} ${node.name}${node.type === 'directory' ? '/' : ''}`;
-
-      if (node.type !== 'directory' || !node.children || node.children.length === 0 || !isExpanded) {
-        return [line];
-      }
-
-      const childPrefix = prefix + (isLast ? '    ' : '│   ');
-      const childLines = node.children.flatMap((child, i) => 
-        renderStructureWithIcons(child, childPrefix, i === node.children.length - 1, false)
-      );
-
-      return [line, ...childLines];
-    };
-
-    const structureWithIcons = renderStructureWithIcons(structure);
-    navigator.clipboard.writeText(structureWithIcons.join('\n'))
+    navigator.clipboard.writeText(renderVisualStructure().join('\n'))
       .then(() => {
         setCopied(true);
         setTimeout(() => setCopied(false), 2000);
@@ -332,7 +240,7 @@ const FolderStructure = ({
       .catch(err => {
         console.error('Failed to copy:', err);
       });
-  }, [structure, expandedFolders]);
+  }, [structure, renderVisualStructure]);
 
   const handleDragOver = (e) => {
     e.preventDefault();
@@ -340,156 +248,123 @@ const FolderStructure = ({
     e.dataTransfer.dropEffect = 'copy';
   };
 
-  const extractZipStructure = async (file) => {
-    try {
-      if (file.size > MAX_FILE_SIZE_MB * 1024 * 1024) {
-        throw new Error(`File exceeds ${MAX_FILE_SIZE_MB}MB limit`);
-      }
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
 
-      const zip = new JSZip();
-      const content = await zip.loadAsync(file);
-      const root = {
-        name: file.name.replace(/\.zip$/i, ''),
-        type: 'directory',
-        path: '',
-        children: [],
-        fileMap: new Map()
-      };
-
-      Object.keys(content.files).forEach(relativePath => {
-        const zipEntry = content.files[relativePath];
-        const parts = relativePath.split('/').filter(part => part.length > 0);
-        let current = root;
-
-        parts.forEach((part, i) => {
-          const isDirectory = zipEntry.dir || i < parts.length - 1;
-          const existing = current.children.find(child => child.name === part);
-
-          if (isDirectory) {
-            if (!existing) {
-              const newDir = {
-                name: part,
-                type: 'directory',
-                path: `${current.path}/${part}`,
-                children: []
-              };
-              current.children.push(newDir);
-              current = newDir;
-            } else {
-              current = existing;
-            }
-          } else if (!existing) {
-            const fileNode = {
-              name: part,
-              type: 'file',
-              path: `${current.path}/${part}`,
-              zipEntry: zipEntry
-            };
-            current.children.push(fileNode);
-            root.fileMap.set(fileNode.path, zipEntry);
-          }
-        });
-      });
+    setCurrentError(null);
+    onScan(e.dataTransfer);
+  };
+
+
+  // Selected files below each folder, for the tri-state checkboxes
+  const selectionCounts = useMemo(
+    () => (structure && onSelectionChange ? countSelected(structure, selectedPaths) : null),
+    [structure, selectedPaths, onSelectionChange]
+  );
+  const selectedFiles = useMemo(
+    () => (selectionCounts ? getSelectedFiles(structure, selectedPaths) : []),
+    [structure, selectedPaths, selectionCounts]
+  );
 
-      const sortStructure = (node) => {
-        node.children?.sort((a, b) => {
-          if (a.type === b.type) return a.name.localeCompare(b.name);
-          return a.type === 'directory' ? -1 : 1;
-        });
-        node.children?.forEach(sortStructure);
-      };
-      sortStructure(root);
+  // Builds and saves a ZIP; selection and folder downloads share the toolbar's progress bar
+  const downloadZip = async (files, options, filename) => {
+    zipControllerRef.current?.abort();
+    const controller = new AbortController();
+    zipControllerRef.current = controller;
+    setZipProgress({ phase: 'reading', percent: 0, currentPath: '' });
 
-      return root;
+    try {
+      const blob = await createZip(files, {
+        ...options,
+        compressionLevel,
+        onProgress: setZipProgress,
+        signal: controller.signal
+      });
+      downloadBlob(blob, filename);
     } catch (err) {
-      throw new Error(`Failed to process ZIP: ${err.message}`);
+      if (!isAbortError(err)) {
+        console.error('Failed to create ZIP:', err);
+        setCurrentError(`Failed to create ZIP: ${err.message}`);
+      }
+    } finally {
+      if (zipControllerRef.current === controller) {
+        zipControllerRef.current = null;
+        setZipProgress(null);
+      }
     }
   };
 
-  const readDirectoryStructure = async (entry, currentPath = '') => {
-    const reader = entry.createReader();
-    const path = currentPath ? `${currentPath}/${entry.name}` : entry.name;
-    const dirStructure = {
-      name: entry.name,
-      type: 'directory',
-      path,
-      children: []
-    };
-
-    const entries = await new Promise((resolve) => {
-      reader.readEntries(resolve, () => resolve([]));
-    });
+  const toSafeName = (name) => name.replace(/[^\w-]+/g, '-') || 'folder';
 
-    for (const item of entries) {
-      if (item.isDirectory) {
-        const subDir = await readDirectoryStructure(item, path);
-        dirStructure.children.push(subDir);
-      } else {
-        dirStructure.children.push({
-          name: item.name,
-          type: 'file',
-          path: `${path}/${item.name}`,
-          fileEntry: item
-        });
-      }
-    }
+  const downloadSelection = () => downloadZip(
+    selectedFiles,
+    { rootName: structure.name },
+    `${toSafeName(structure.name)}-selection.zip`
+  );
 
-    dirStructure.children.sort((a, b) => {
-      if (a.type === b.type) return a.name.localeCompare(b.name);
-      return a.type === 'directory' ? -1 : 1;
-    });
+  // The folder is looked up again without the search applied, so files that
+  // don't match a search are still downloaded; ignored files stay out
+  const downloadFolder = (folder) => {
+    const node = findNodeByPath(unsearchedStructure ?? structure, folder.path) ?? folder;
+    return downloadZip(
+      collectFiles(node),
+      { basePath: node.path, rootName: node.name, emptyFolders: collectEmptyFolders(node) },
+      `${toSafeName(node.name)}.zip`
+    );
+  };
 
-    return dirStructure;
+  const copyText = (text, message) => {
+    navigator.clipboard.writeText(text)
+      .then(() => {
+        setNotice(message);
+        setTimeout(() => setNotice(null), 2000);
+      })
+      .catch(() => setCurrentError('Failed to copy to clipboard'));
   };
 
-  const handleDrop = async (e) => {
+  const openContextMenu = (e, node) => {
     e.preventDefault();
-    e.stopPropagation();
-    
-    if (typeof onStructureUpdate !== 'function') {
-      console.error('onStructureUpdate is not a function');
-      return;
-    }
-
-    setIsLoading(true);
-    setCurrentError(null);
-    
-    try {
-      const item = e.dataTransfer.items[0];
-      if (!item) throw new Error('No files were dropped');
-
-      if (item.webkitGetAsEntry?.().isDirectory) {
-        const structure = await readDirectoryStructure(item.webkitGetAsEntry());
-        const allPaths = getAllFolderPaths(structure);
-        setExpandedFolders(new Set(allPaths));
-        onStructureUpdate(structure, null);
-        return;
-      }
-
-      if (item.kind === 'file') {
-        const file = item.getAsFile();
-        
-        if (/\.zip$/i.test(file.name)) {
-          const structure = await extractZipStructure(file);
-          const allPaths = getAllFolderPaths(structure);
-          setExpandedFolders(new Set(allPaths));
-          onStructureUpdate(structure, null);
-          return;
-        }
+    setContextMenu({ node, x: e.clientX, y: e.clientY });
+  };
 
-        throw new Error('Only folders and ZIP files are supported');
-      }
+  const closeContextMenu = useCallback(() => setContextMenu(null), []);
 
-      throw new Error('Unsupported item type');
-    } catch (err) {
-      console.error('Drop processing failed:', err);
-      setCurrentError(err.message);
-      onStructureUpdate(null, err.message);
-    } finally {
-      setIsLoading(false);
-    }
+  const getFolderMenuItems = (node) => {
+    const copyPath = (options, label) => ({
+      label,
+      icon: FiClipboard,
+      onSelect: () => copyText(formatNodePath(structure, node, options), 'Path copied')
+    });
+    return [
+      ...(filesAvailable ? [{ label: 'Download folder as ZIP', icon: FiDownload, onSelect: () => downloadFolder(node) }] : []),
+      {
+        label: 'Copy subtree as text',
+        icon: FiCopy,
+        onSelect: () => copyText(
+          renderTextTree(node, { ...treeOptions, annotations: columns }).join('\n'),
+          'Subtree copied'
+        )
+      },
+      { separator: true },
+      copyPath({}, 'Copy relative path'),
+      copyPath({ windows: true }, 'Copy relative path (Windows)'),
+      copyPath({ absolute: true }, 'Copy absolute path'),
+      copyPath({ absolute: true, windows: true }, 'Copy absolute path (Windows)')
+    ];
   };
 
+  const renderCheckbox = (node) => selectionCounts && (
+    <span className="flex items-center pl-1">
+      <TriStateCheckbox
+        state={getSelectionState(node, selectedPaths, selectionCounts)}
+        onChange={() => onSelectionChange(toggleSelection(selectedPaths, node, selectionCounts))}
+        label={`Select ${node.name}`}
+        tabIndex={-1}
+      />
+    </span>
+  );
+
   const toggleFolder = (path) => {
     setExpandedFolders(prev => {
       const newSet = new Set(prev);
@@ -498,84 +373,211 @@ const FolderStructure = ({
     });
   };
 
+  // Archives that failed to open fall back to the regular file preview
+  const isClosedArchive = (node) => !!onExpandArchive && isExpandableArchive(node) && !node.errors;
+
+  // `element` is the row's treeitem, which gets focus back when a preview closes
+  const activateRow = ({ node, hasChildren }, element) => {
+    if (node.type === 'directory') {
+      if (hasChildren) toggleFolder(node.path);
+    } else if (isClosedArchive(node)) {
+      if (openingArchivePath === node.path) return;
+      // The archive's node is replaced once opened, so its row remounts
+      pendingFocusRef.current = true;
+      onExpandArchive(node);
+    } else {
+      handleFileClick(node, element);
+    }
+  };
+
+  // Focuses the row once it is rendered, which may be after scrolling to it
+  const focusPendingRow = useCallback((element) => {
+    if (!element || !pendingFocusRef.current || element.getClientRects().length === 0) return;
+    pendingFocusRef.current = false;
+    element.focus();
+  }, []);
+
+  const moveFocus = (index) => {
+    const row = visibleRows[Math.max(0, Math.min(index, visibleRows.length - 1))];
+    if (!row || row.node.path === tabStopPath) return;
+    pendingFocusRef.current = true;
+    setFocusedPath(row.node.path);
+    (isFullMode ? fullscreenListRef : listRef).current?.scrollToItem(visibleRows.indexOf(row), 'smart');
+  };
+
+  // Next row whose name starts with the typed text, wrapping around
+  const findTypeaheadMatch = (key) => {
+    const now = Date.now();
+    const typeahead = typeaheadRef.current;
+    typeahead.text = now - typeahead.time > TYPEAHEAD_TIMEOUT ? key : typeahead.text + key;
+    typeahead.time = now;
+
+    const prefix = typeahead.text.toLowerCase();
+    // A fresh search starts after the focused row, so repeating a letter cycles
+    const start = prefix.length === 1 ? focusedIndex + 1 : focusedIndex;
+    for (let i = 0; i < visibleRows.length; i++) {
+      const index = (start + i) % visibleRows.length;
+      if (visibleRows[index].node.name.toLowerCase().startsWith(prefix)) return index;
+    }
+    return -1;
+  };
+
+  // WAI-ARIA tree pattern keyboard interaction
+  const handleTreeKeyDown = (e) => {
+    const row = visibleRows[focusedIndex];
+    if (!row || e.ctrlKey || e.metaKey || e.altKey) return;
+    const { node, level, hasChildren, isExpanded } = row;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        moveFocus(focusedIndex + 1);
+        break;
+      case 'ArrowUp':
+        moveFocus(focusedIndex - 1);
+        break;
+      case 'Home':
+        moveFocus(0);
+        break;
+      case 'End':
+        moveFocus(visibleRows.length - 1);
+        break;
+      case 'ArrowRight':
+        if (hasChildren && !isExpanded) toggleFolder(node.path);
+        else if (hasChildren) moveFocus(focusedIndex + 1);
+        else if (isClosedArchive(node)) activateRow(row, e.target.closest('[role="treeitem"]'));
+        break;
+      case 'ArrowLeft':
+        if (hasChildren && isExpanded) {
+          toggleFolder(node.path);
+        } else {
+          const parentIndex = visibleRows.findLastIndex((other, i) => i < focusedIndex && other.level < level);
+          if (parentIndex !== -1) moveFocus(parentIndex);
+        }
+        break;
+      case 'Enter':
+        activateRow(row, e.target.closest('[role="treeitem"]'));
+        break;
+      case ' ':
+        // A focused checkbox toggles itself
+        if (!selectionCounts || e.target.tagName === 'INPUT') return;
+        onSelectionChange(toggleSelection(selectedPaths, node, selectionCounts));
+        break;
+      case '*': {
+        // Expands every folder at the focused row's level under the same parent
+        const siblingPaths = [];
+        for (let i = focusedIndex; i >= 0 && visibleRows[i].level >= level; i--) {
+          if (visibleRows[i].level === level && visibleRows[i].hasChildren) siblingPaths.push(visibleRows[i].node.path);
+        }
+        for (let i = focusedIndex + 1; i < visibleRows.length && visibleRows[i].level >= level; i++) {
+          if (visibleRows[i].level === level && visibleRows[i].hasChildren) siblingPaths.push(visibleRows[i].node.path);
+        }
+        setExpandedFolders(prev => new Set([...prev, ...siblingPaths]));
+        break;
+      }
+      default: {
+        if (e.key.length !== 1 || e.key === ' ') return;
+        const match = findTypeaheadMatch(e.key);
+        if (match !== -1) moveFocus(match);
+      }
+    }
+    e.preventDefault();
+  };
+
   const toggleExpandAll = () => {
     if (!structure) return;
     
-    if (areAllFoldersExpanded()) {
+    if (areAllFoldersExpanded) {
       setExpandedFolders(new Set());
     } else {
-      const allPaths = getAllFolderPaths(structure);
-      setExpandedFolders(new Set(allPaths));
+      setExpandedFolders(new Set(allFolderPaths));
     }
   };
 
-  const handleFileClick = async (node) => {
-    if (node.type !== 'file') return;
+  // The tree stays mounted while the file is read, so the row keeps its focus
+  const handleFileClick = async (node, opener) => {
+    if (node.type !== 'file' || !filesAvailable || loadingPreviewPath) return;
     
     try {
-      setIsLoading(true);
-      
-      if (node.zipEntry && structure.fileMap) {
-        const zipEntry = structure.fileMap.get(node.path);
-        if (zipEntry) {
-          const ext = node.name.split('.').pop().toLowerCase();
-          const mimeTypes = {
-            'txt': 'text/plain',
-            'md': 'text/markdown',
-            'json': 'application/json',
-            'js': 'application/javascript',
-            'jsx': 'application/javascript',
-            'ts': 'application/typescript',
-            'html': 'text/html',
-            'css': 'text/css',
-            'jpg': 'image/jpeg',
-            'jpeg': 'image/jpeg',
-            'png': 'image/png',
-            'gif': 'image/gif',
-            'svg': 'image/svg+xml'
-          };
-
-          const mimeType = mimeTypes[ext] || 'application/octet-stream';
-          const content = await zipEntry.async('blob');
-          const file = new File([content], node.name, { type: mimeType });
-          setPreviewFile(file);
-          return;
-        }
-      } 
-      else if (node.fileEntry) {
-        const file = await new Promise((resolve, reject) => {
-          node.fileEntry.file(resolve, reject);
-        });
-        
-        if (file.size > 5 * 1024 * 1024) {
-          throw new Error('File too large for preview (max 5MB)');
-        }
-        
-        setPreviewFile(file);
-        return;
-      }
-      
-      throw new Error('File source not recognized');
+      setLoadingPreviewPath(node.path);
+      setCurrentError(null);
+      // No size cap: text previews read the file in slices as they page
+      const file = await readNodeFile(node);
+      setPreview({ file, node, opener });
     } catch (err) {
       console.error('Failed to load file:', err);
-      setPreviewFile(null);
+      setPreview(null);
+      setCurrentError(`Failed to open ${node.name}: ${err.message}`);
     } finally {
-      setIsLoading(false);
+      setLoadingPreviewPath(null);
     }
   };
 
-  const renderStructure = (node, level = 0, isLast = true, parentPrefixes = []) => {
+  const renderErrorMarker = (node) => node.errors?.length > 0 && (
+    <FiAlertTriangle
+      className="ml-1.5 text-amber-500 flex-shrink-0"
+      title={node.type === 'directory'
+        ? `Partially read: ${node.errors.join('; ')}`
+        : node.errors.join('; ')}
+    />
+  );
+
+  const renderMetadata = (node) => {
     const isFolder = node.type === 'directory';
-    const isExpanded = isFolder && expandedFolders.has(node.path);
-    const hasChildren = isFolder && node.children?.length > 0;
-    const isRoot = level === 0;
+    if (!columns.size && !columns.count && !columns.date && !columns.hash) return null;
 
-    if (isRoot) {
+    return (
+      <div className="ml-auto flex flex-shrink-0 items-center pl-4 text-xs text-gray-500 tabular-nums">
+        {columns.count && (
+          <span className="w-20 text-right">
+            {isFolder ? `${node.fileCount ?? 0} files` : ''}
+          </span>
+        )}
+        {columns.size && (
+          <span className="w-20 text-right">{formatBytes(node.size)}</span>
+        )}
+        {columns.date && (
+          <span className="w-32 text-right">{formatDate(node.mtime)}</span>
+        )}
+        {columns.hash && (
+          <span className="w-28 text-right font-mono" title={node.hash}>{node.hash?.slice(0, 12)}</span>
+        )}
+      </div>
+    );
+  };
+
+  const renderRow = (row, style) => {
+    const { node, level, isLast, parentPrefixes, hasChildren, isExpanded, setSize, posInSet } = row;
+    const isFolder = node.type === 'directory';
+    const isArchive = isClosedArchive(node);
+    const FolderIcon = node.archive ? FiArchive : FiFolder;
+    const change = changes?.get(node.path);
+    const isTabStop = node.path === tabStopPath;
+    const isBusy = node.path === loadingPreviewPath || node.path === openingArchivePath;
+    const treeItemProps = {
+      role: 'treeitem',
+      'aria-level': level + 1,
+      'aria-setsize': setSize,
+      'aria-posinset': posInSet,
+      'aria-expanded': hasChildren ? isExpanded : isArchive ? false : undefined,
+      'aria-busy': isBusy || undefined,
+      tabIndex: isTabStop ? 0 : -1,
+      ref: isTabStop ? focusPendingRow : undefined,
+      onFocus: () => setFocusedPath(node.path),
+      style
+    };
+    const focusClassName = 'focus:outline-none focus-visible:bg-rose-50 focus-visible:ring-1 focus-visible:ring-inset focus-visible:ring-rose-300';
+
+    if (level === 0) {
       return (
-        <div key={node.path} className="font-mono text-sm">
+        <div
+          {...treeItemProps}
+          className={`flex items-center ${focusClassName}`}
+          onContextMenu={(e) => openContextMenu(e, node)}
+        >
+          {renderCheckbox(node)}
           <div 
             className={`flex items-center ${hasChildren ? 'cursor-pointer hover:bg-gray-100' : ''} p-1 rounded`}
-            onClick={() => hasChildren && toggleFolder(node.path)}
+            onClick={() => activateRow(row)}
           >
             {hasChildren ? (
               isExpanded ? (
@@ -587,81 +589,74 @@ const FolderStructure = ({
               <span className="w-5 mr-1"></span>
             )}
             <FiFolder className="mr-1.5 text-rose-600 flex-shrink-0" />
-            <span className="font-medium truncate">{node.name}/</span>
+            <span className="font-medium whitespace-nowrap">{node.name}/</span>
+            {renderErrorMarker(node)}
           </div>
-          {hasChildren && isExpanded && (
-            <div className="ml-6">
-              {node.children.map((child, index) =>
-                renderStructure(
-                  child,
-                  level + 1,
-                  index === node.children.length - 1,
-                  []
-                )
-              )}
-            </div>
-          )}
+          {renderMetadata(node)}
         </div>
       );
     }
 
     return (
-      <div key={node.path} className="flex flex-col">
-        <div className="flex items-center">
-          <div className="flex">
-            {parentPrefixes.map((showLine, i) => (
-              <div 
-                key={i} 
-                className={`w-4 ${showLine ? 'border-l-2 border-gray-300' : ''} h-6`}
-              />
-            ))}
-          </div>
-          
-          <div className={`w-4 flex justify-center ${isLast ? '' : 'border-l-2 border-gray-300'}`}>
-            <div className={`w-4 h-4 border-b-2 border-gray-300 ${isLast ? 'border-l-2 rounded-bl' : ''}`}/>
-          </div>
-
+      <div
+        {...treeItemProps}
+        className={`flex items-stretch pl-6 ${focusClassName}`}
+        onContextMenu={isFolder ? (e) => openContextMenu(e, node) : undefined}
+      >
+        {parentPrefixes.map((showLine, i) => (
           <div 
-            className={`flex items-center ${
-              isFolder && hasChildren ? 'cursor-pointer hover:bg-gray-100' : 'cursor-pointer'
-            } p-1 rounded`}
-            onClick={() => isFolder && hasChildren ? toggleFolder(node.path) : handleFileClick(node)}
-          >
-            {isFolder && hasChildren ? (
-              isExpanded ? (
-                <FiChevronDown className="mr-1.5 text-gray-500 flex-shrink-0" />
-              ) : (
-                <FiChevronRight className="mr-1.5 text-gray-500 flex-shrink-0" />
-              )
-            ) : (
-              null
-            )}
-            {isFolder ? (
-              <FiFolder className="mr-1.5 text-rose-600 flex-shrink-0" />
+            key={i} 
+            className={`w-8 flex-shrink-0 ${showLine ? 'border-l-2 border-gray-300' : ''}`}
+          />
+        ))}
+
+        <div className="w-4 flex-shrink-0 flex flex-col">
+          <div className={`h-1/2 border-l-2 border-b-2 border-gray-300 ${isLast ? 'rounded-bl' : ''}`}/>
+          <div className={`h-1/2 ${isLast ? '' : 'border-l-2 border-gray-300'}`}/>
+        </div>
+
+        {renderCheckbox(node)}
+        <div 
+          className={`flex items-center ${
+            isFolder && hasChildren ? 'cursor-pointer hover:bg-gray-100' : isFolder || filesAvailable ? 'cursor-pointer' : ''
+          } ${node.path === activeMatchPath ? 'bg-yellow-50 ring-1 ring-yellow-300' : ''} p-1 rounded`}
+          onClick={(e) => activateRow(row, e.currentTarget.closest('[role="treeitem"]'))}
+          title={isArchive
+            ? 'Click to browse archive contents'
+            : !isFolder && !filesAvailable ? 'Preview is not available without the original files' : undefined}
+        >
+          {isBusy ? (
+            <span className="mr-1.5 h-3.5 w-3.5 animate-spin rounded-full border-b-2 border-rose-500 flex-shrink-0" />
+          ) : isFolder && hasChildren ? (
+            isExpanded ? (
+              <FiChevronDown className="mr-1.5 text-gray-500 flex-shrink-0" />
             ) : (
-              <span className="mr-1.5 flex-shrink-0">
-                {getFileIconComponent(node.name)}
-              </span>
-            )}
-            <span className={`${isFolder ? 'font-medium' : ''} truncate`}>
-              {node.name}
-              {isFolder ? '/' : ''}
+              <FiChevronRight className="mr-1.5 text-gray-500 flex-shrink-0" />
+            )
+          ) : isArchive ? (
+            <FiChevronRight className="mr-1.5 text-gray-400 flex-shrink-0" />
+          ) : (
+            null
+          )}
+          {isFolder ? (
+            <FolderIcon className="mr-1.5 text-rose-600 flex-shrink-0" />
+          ) : (
+            <span className="mr-1.5 flex-shrink-0">
+              {getFileIconComponent(node.name)}
             </span>
-          </div>
+          )}
+          <span className={`${isFolder ? 'font-medium' : ''} whitespace-nowrap ${CHANGE_STYLES[change]?.text || ''}`}>
+            <HighlightedName text={node.name} ranges={search?.ranges?.get(node.path)} />
+            {isFolder ? '/' : ''}
+          </span>
+          {change && (
+            <span className={`ml-1.5 px-1.5 rounded text-[10px] uppercase ${CHANGE_STYLES[change].badge}`}>
+              {CHANGE_STYLES[change].label}
+            </span>
+          )}
+          {renderErrorMarker(node)}
         </div>
-
-        {isFolder && isExpanded && hasChildren && (
-          <div className="ml-8">
-            {node.children.map((child, index) =>
-              renderStructure(
-                child,
-                level + 1,
-                index === node.children.length - 1,
-                [...parentPrefixes, !isLast]
-              )
-            )}
-          </div>
-        )}
+        {renderMetadata(node)}
       </div>
     );
   };
@@ -687,12 +682,12 @@ const FolderStructure = ({
             onClick={toggleExpandAll}
             className="flex items-center text-sm px-3 py-1.5 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
           >
-            {areAllFoldersExpanded() ? (
+            {areAllFoldersExpanded ? (
               <FiEyeOff className="mr-1.5" size={14} />
             ) : (
               <FiEye className="mr-1.5" size={14} />
             )}
-            {areAllFoldersExpanded() ? 'Collapse All' : 'Expand All'}
+            {areAllFoldersExpanded ? 'Collapse All' : 'Expand All'}
           </button>
           <button 
             onClick={copyVisualStructure}
@@ -710,22 +705,85 @@ const FolderStructure = ({
           </button>
         </div>
       </div>
+
+      {search && <SearchBar search={search} />}
+
+      {onColumnsChange && (
+        <MetadataToggles columns={columns} onChange={onColumnsChange} hashAvailable={hashAvailable} />
+      )}
+
+      {selectionCounts && (
+        <SelectionToolbar
+          selectedCount={selectedFiles.length}
+          selectedBytes={selectedFiles.reduce((sum, file) => sum + (file.size ?? 0), 0)}
+          onSelectAll={() => onSelectionChange(new Set(collectFiles(structure).map(file => file.path)))}
+          onSelectNone={() => onSelectionChange(new Set())}
+          compressionLevel={compressionLevel}
+          onCompressionLevelChange={setCompressionLevel}
+          onDownload={downloadSelection}
+          progress={zipProgress}
+          onCancel={() => zipControllerRef.current?.abort()}
+        />
+      )}
       
       <div className={`bg-gray-50/60 rounded-lg border border-gray-100 overflow-hidden ${
         isFullScreen ? 'flex-1 flex flex-col' : ''
       }`}>
         <div 
-          className={`p-4 overflow-x-auto overflow-y-auto font-mono text-sm bg-gray-50/60 ${
+          className={`p-4 font-mono text-sm bg-gray-50/60 ${
             isFullScreen ? 'flex-1' : ''
           }`}
-          style={{ 
-            maxHeight: isFullScreen ? 'none' : (typeof maxHeight === 'number' ? `${maxHeight}px` : maxHeight)
-          }}
         >
-          {renderStructure(structure)}
+          <div
+            role="tree"
+            aria-label={`Folder structure of ${structure.name}`}
+            onKeyDown={handleTreeKeyDown}
+            style={{ 
+              height: isFullScreen
+                ? FULLSCREEN_LIST_HEIGHT
+                : `min(${visibleRows.length * ROW_HEIGHT}px, ${
+                  typeof maxHeight === 'number' ? `${maxHeight}px` : maxHeight
+                })`
+            }}
+          >
+            <AutoSizer>
+              {({ width, height }) => (
+                <FixedSizeList
+                  ref={isFullScreen ? fullscreenListRef : listRef}
+                  height={height}
+                  width={width}
+                  itemCount={visibleRows.length}
+                  itemSize={ROW_HEIGHT}
+                  itemData={{ rows: visibleRows, renderRow }}
+                  itemKey={(index, data) => data.rows[index].node.id}
+                  overscanCount={20}
+                  // A list mounted again (e.g. entering full screen) opens on the focused row
+                  initialScrollOffset={Math.max(0, (focusedIndex + 0.5) * ROW_HEIGHT - height / 2)}
+                  onScroll={isFullScreen
+                    ? ({ scrollOffset }) => setShowScrollToTop(scrollOffset > 300)
+                    : undefined}
+                >
+                  {TreeRow}
+                </FixedSizeList>
+              )}
+            </AutoSizer>
+          </div>
         </div>
         <div className="bg-gray-50 px-4 py-2 text-xs text-gray-500 border-t border-gray-200 flex justify-between">
-          <span>{itemCount} items</span>
+          <span>
+            <TreeSummary structure={structure} />
+            {scanErrors.length > 0 && (
+              <span
+                className="ml-2 text-amber-600"
+                title={scanErrors.map(({ node }) => node.path || node.name).join('\n')}
+              >
+                · {scanErrors.length} partially read
+              </span>
+            )}
+            {hiddenCount > 0 && (
+              <span className="ml-2">· {hiddenCount} hidden by ignore rules</span>
+            )}
+          </span>
           <span>{new Date().toLocaleString()}</span>
         </div>
       </div>
@@ -762,15 +820,14 @@ const FolderStructure = ({
               }`} />
               <div>
                 <p className="text-lg font-medium text-gray-700">
-                  Drag and drop a folder or ZIP file
-                </p>
-                <p className="text-sm text-gray-500 mt-1">
-                  Supported formats: folder, .zip (max {MAX_FILE_SIZE_MB}MB)
+                  Drag and drop folders, archives or files
                 </p>
                 <p className="text-sm text-gray-500 mt-1">
-                  The files you upload are not saved
+                  Supported formats: folder, .zip, .tar, .tar.gz/.tgz, .gz (max {MAX_FILE_SIZE_MB}MB)
                 </p>
+                <StorageNotice rememberTrees={rememberTrees} onRememberTreesChange={onRememberTreesChange} />
               </div>
+              {onFiles && <FilePickerButtons onFiles={onFiles} onOpenDirectory={onOpenDirectory} />}
             </>
           )}
         </div>
@@ -810,7 +867,10 @@ const FolderStructure = ({
       {/* Scroll-to-Top Button */}
       {isFullMode && showScrollToTop && (
         <button
-          onClick={() => fullscreenRef.current?.scrollTo({ top: 0, behavior: 'smooth' })}
+          onClick={() => {
+            fullscreenListRef.current?.scrollTo(0);
+            fullscreenRef.current?.scrollTo({ top: 0, behavior: 'smooth' });
+          }}
           className="fixed bottom-6 right-6 p-3 bg-rose-600 text-white rounded-full shadow-lg hover:bg-rose-700 transition-colors z-[9999]"
           aria-label="Scroll to top"
         >
@@ -818,44 +878,75 @@ const FolderStructure = ({
         </button>
       )}
 
-      {previewFile && (
+      {contextMenu && (
+        <ContextMenu
+          x={contextMenu.x}
+          y={contextMenu.y}
+          title={`${contextMenu.node.name}/`}
+          items={getFolderMenuItems(contextMenu.node)}
+          onClose={closeContextMenu}
+        />
+      )}
+
+      {notice && (
+        <div role="status" className="fixed bottom-6 left-1/2 -translate-x-1/2 px-3 py-1.5 bg-gray-800 text-white text-sm rounded-md shadow-lg z-[60]">
+          {notice}
+        </div>
+      )}
+
+      {preview && (
         <PreviewFile 
-          file={previewFile}
-          onClose={() => {
-            setPreviewFile(null);
-            setIsLoading(false);
-          }}
+          file={preview.file}
+          node={preview.node}
+          root={sourceStructure || structure}
+          returnFocusTo={preview.opener}
+          onClose={() => setPreview(null)}
         />
       )}
     </div>
   );
 };
 
-function getAllFolderPaths(node) {
-  if (node.type !== 'directory') return [];
-  let paths = [node.path];
-  if (node.children) {
-    node.children.forEach(child => {
-      paths = [...paths, ...getAllFolderPaths(child)];
-    });
-  }
-  return paths;
-}
-
 FolderStructure.propTypes = {
   structure: PropTypes.shape({
     name: PropTypes.string,
     type: PropTypes.string,
     path: PropTypes.string,
-    children: PropTypes.array,
-    fileMap: PropTypes.instanceOf(Map)
+    children: PropTypes.array
   }),
+  // Tree before ignore rules and search, for previews that reference other files
+  sourceStructure: PropTypes.object,
+  // Tree after ignore rules but before search, for folder downloads
+  unsearchedStructure: PropTypes.object,
+  search: PropTypes.object,
+  hiddenCount: PropTypes.number,
+  treeOptions: PropTypes.object,
+  columns: PropTypes.object,
+  onColumnsChange: PropTypes.func,
+  hashAvailable: PropTypes.bool,
   error: PropTypes.string,
   expandedFolders: PropTypes.instanceOf(Set).isRequired,
   setExpandedFolders: PropTypes.func.isRequired,
   isLoading: PropTypes.bool.isRequired,
-  setIsLoading: PropTypes.func.isRequired,
-  onStructureUpdate: PropTypes.func.isRequired,
+  // Whether scanned trees are saved in the browser (see utils/sessions)
+  rememberTrees: PropTypes.bool,
+  onRememberTreesChange: PropTypes.func,
+  onScan: PropTypes.func.isRequired,
+  // Called with File objects from the folder/archive pickers
+  onFiles: PropTypes.func,
+  // Opens a folder through the File System Access API, where supported
+  onOpenDirectory: PropTypes.func,
+  // Called with a nested archive's file node to expand it in place
+  onExpandArchive: PropTypes.func,
+  // Path of the nested archive being opened, whose row shows a spinner
+  openingArchivePath: PropTypes.string,
+  // Path → 'added' | 'modified' for entries that changed since the last refresh
+  changes: PropTypes.instanceOf(Map),
+  // Paths of the checked files; checkboxes are shown when onSelectionChange is set
+  selectedPaths: PropTypes.instanceOf(Set),
+  onSelectionChange: PropTypes.func,
+  // False for trees restored without their files: previews and ZIP downloads are disabled
+  filesAvailable: PropTypes.bool,
   maxHeight: PropTypes.oneOfType([
     PropTypes.string,
     PropTypes.number
@@ -0,0 +1,28 @@
+import PropTypes from 'prop-types';
+
+// Renders `text` with the given [start, end) ranges wrapped in <mark>
+const HighlightedName = ({ text, ranges }) => {
+  if (!ranges || ranges.length === 0) return text;
+
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end], i) => {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(
+      <mark key={i} className="bg-yellow-200 text-inherit rounded-sm">
+        {text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  if (cursor < text.length) parts.push(text.slice(cursor));
+
+  return <>{parts}</>;
+};
+
+HighlightedName.propTypes = {
+  text: PropTypes.string.isRequired,
+  ranges: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number))
+};
+
+export default HighlightedName;
@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { FiFilter, FiChevronDown, FiChevronRight } from 'react-icons/fi';
+
+const IgnoreSettings = ({ settings, onChange, hiddenCount }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <div className="mb-6 border border-gray-200 rounded-lg bg-gray-50/60">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between px-4 py-2 text-sm text-gray-700"
+      >
+        <span className="flex items-center">
+          {isOpen ? (
+            <FiChevronDown className="mr-1.5 text-gray-500" />
+          ) : (
+            <FiChevronRight className="mr-1.5 text-gray-500" />
+          )}
+          <FiFilter className="mr-1.5 text-rose-600" />
+          Ignore rules
+        </span>
+        {hiddenCount > 0 && (
+          <span className="text-xs text-gray-500">{hiddenCount} hidden</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="px-4 pb-4 space-y-3 text-sm">
+          <label className="flex items-center gap-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={settings.useGitignore}
+              onChange={(e) => update({ useGitignore: e.target.checked })}
+              className="accent-rose-600"
+            />
+            Honour .gitignore files found in the dropped folder or archive
+          </label>
+
+          <div className="grid gap-3 md:grid-cols-2">
+            <label className="block">
+              <span className="text-gray-700">Exclude patterns</span>
+              <textarea
+                value={settings.exclude}
+                onChange={(e) => update({ exclude: e.target.value })}
+                rows={4}
+                spellCheck={false}
+                placeholder={'node_modules/\ndist/\n*.log'}
+                className="mt-1 w-full rounded-md border border-gray-300 p-2 font-mono text-xs focus:border-rose-400 focus:outline-none"
+              />
+            </label>
+            <label className="block">
+              <span className="text-gray-700">Always include</span>
+              <textarea
+                value={settings.include}
+                onChange={(e) => update({ include: e.target.value })}
+                rows={4}
+                spellCheck={false}
+                placeholder={'.env.example\ndist/index.html'}
+                className="mt-1 w-full rounded-md border border-gray-300 p-2 font-mono text-xs focus:border-rose-400 focus:outline-none"
+              />
+            </label>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            One .gitignore-style pattern per line (globs, <code>!negation</code>, trailing <code>/</code> for folders).
+            Included patterns can&apos;t bring back files inside an excluded folder.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+IgnoreSettings.propTypes = {
+  settings: PropTypes.shape({
+    useGitignore: PropTypes.bool,
+    exclude: PropTypes.string,
+    include: PropTypes.string
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  hiddenCount: PropTypes.number
+};
+
+export default IgnoreSettings;
@@ -0,0 +1,116 @@
+import PropTypes from 'prop-types';
+import { FiRefreshCw, FiX, FiHardDrive } from 'react-icons/fi';
+import { formatDate } from '../utils/format';
+
+// Seconds between automatic refreshes; 0 turns polling off
+const AUTO_REFRESH_OPTIONS = {
+  0: 'Off',
+  5: 'Every 5s',
+  15: 'Every 15s',
+  60: 'Every minute'
+};
+
+const LiveFolderBar = ({
+  name,
+  isRefreshing,
+  lastRefreshed,
+  autoRefresh,
+  onAutoRefreshChange,
+  onRefresh,
+  diff,
+  onClearChanges,
+  onClose
+}) => {
+  const hasChanges = diff && (diff.added + diff.removed + diff.modified > 0);
+
+  return (
+    <div className="mb-4 p-3 border border-gray-200 rounded-lg bg-gray-50 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="flex items-center font-medium text-gray-700 min-w-0">
+          <FiHardDrive className="mr-1.5 text-rose-600 flex-shrink-0" />
+          <span className="truncate" title={name}>{name}</span>
+        </span>
+
+        <button
+          onClick={onRefresh}
+          disabled={isRefreshing}
+          className="flex items-center px-3 py-1 bg-white border border-gray-300 rounded-md hover:border-rose-400 hover:text-rose-600 transition-colors disabled:opacity-50"
+        >
+          <FiRefreshCw className={`mr-1.5 ${isRefreshing ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+
+        <label className="flex items-center gap-1.5 text-gray-600">
+          Auto-refresh
+          <select
+            value={autoRefresh}
+            onChange={(e) => onAutoRefreshChange(Number(e.target.value))}
+            className="border border-gray-300 rounded-md px-1.5 py-0.5 bg-white"
+          >
+            {Object.entries(AUTO_REFRESH_OPTIONS).map(([seconds, label]) => (
+              <option key={seconds} value={seconds}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        {lastRefreshed && (
+          <span className="text-xs text-gray-400">Updated {formatDate(lastRefreshed)}</span>
+        )}
+
+        <button
+          onClick={onClose}
+          className="ml-auto p-1 rounded-full hover:bg-gray-200 text-gray-500"
+          title="Stop watching this folder"
+          aria-label="Stop watching this folder"
+        >
+          <FiX />
+        </button>
+      </div>
+
+      {diff && (
+        <div className="mt-2 flex flex-wrap items-center gap-3 text-xs">
+          {hasChanges ? (
+            <>
+              <span className="text-green-700">+{diff.added} added</span>
+              <span className="text-amber-700">~{diff.modified} modified</span>
+              <span className="text-red-700">−{diff.removed} removed</span>
+              {diff.removedNodes.length > 0 && (
+                <span
+                  className="text-gray-500 truncate max-w-md line-through"
+                  title={diff.removedNodes.map(node => node.path).join('\n')}
+                >
+                  {diff.removedNodes.slice(0, 3).map(node => node.path).join(', ')}
+                  {diff.removedNodes.length > 3 ? ', …' : ''}
+                </span>
+              )}
+              <button onClick={onClearChanges} className="text-gray-500 hover:text-rose-600 underline">
+                Clear
+              </button>
+            </>
+          ) : (
+            <span className="text-gray-500">No changes detected</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+LiveFolderBar.propTypes = {
+  name: PropTypes.string.isRequired,
+  isRefreshing: PropTypes.bool,
+  lastRefreshed: PropTypes.number,
+  autoRefresh: PropTypes.number.isRequired,
+  onAutoRefreshChange: PropTypes.func.isRequired,
+  onRefresh: PropTypes.func.isRequired,
+  diff: PropTypes.shape({
+    added: PropTypes.number,
+    removed: PropTypes.number,
+    modified: PropTypes.number,
+    removedNodes: PropTypes.array
+  }),
+  onClearChanges: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default LiveFolderBar;
@@ -0,0 +1,151 @@
+import { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { Highlight, themes } from 'prism-react-renderer';
+import { readNodeFile } from '../scanner';
+import { findNodeByPath, resolveRelativePath } from '../utils/tree';
+import '../utils/prismLanguages';
+import CodePreview from './CodePreview';
+
+const VIEW_MODES = {
+  rendered: 'Rendered',
+  source: 'Source'
+};
+
+// Image stored in the same dropped folder or archive, shown through an object URL
+const LocalImage = ({ node, alt, title }) => {
+  const [url, setUrl] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+
+    readNodeFile(node)
+      .then((file) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(file);
+        setUrl(objectUrl);
+      })
+      .catch(() => {
+        if (!cancelled) setFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [node]);
+
+  if (failed) {
+    return <span className="text-xs text-gray-400">[Could not read {node.path}]</span>;
+  }
+  return url ? <img src={url} alt={alt} title={title} /> : null;
+};
+
+LocalImage.propTypes = {
+  node: PropTypes.object.isRequired,
+  alt: PropTypes.string,
+  title: PropTypes.string
+};
+
+// Fenced code block, highlighted with the grammar named in its info string
+const CodeBlock = ({ node }) => {
+  const code = node?.children?.[0];
+  const language = code?.properties?.className
+    ?.find(name => String(name).startsWith('language-'))
+    ?.slice('language-'.length);
+  const text = (code?.children || []).map(child => child.value ?? '').join('').replace(/\n$/, '');
+
+  return (
+    <Highlight theme={themes.github} code={text} language={language || 'plain'}>
+      {({ className, style, tokens, getLineProps, getTokenProps }) => (
+        <pre className={className} style={style}>
+          {tokens.map((line, i) => (
+            <div key={i} {...getLineProps({ line })}>
+              {line.map((token, key) => (
+                <span key={key} {...getTokenProps({ token })} />
+              ))}
+            </div>
+          ))}
+        </pre>
+      )}
+    </Highlight>
+  );
+};
+
+CodeBlock.propTypes = {
+  node: PropTypes.object
+};
+
+const MarkdownPreview = ({ source, path, root }) => {
+  const [mode, setMode] = useState('rendered');
+
+  const components = useMemo(() => ({
+    pre: CodeBlock,
+    img: ({ src, alt, title }) => {
+      const target = resolveRelativePath(path, src);
+      if (target === null) return <img src={src} alt={alt} title={title} />;
+
+      const node = root ? findNodeByPath(root, target) : null;
+      if (node?.type !== 'file') {
+        return (
+          <span className="text-xs text-gray-400" title={`Not found: ${target}`}>
+            [{alt || target}]
+          </span>
+        );
+      }
+      return <LocalImage node={node} alt={alt} title={title} />;
+    },
+    // Relative links point into the dropped files, not at this page
+    a: ({ href, title, children }) => (resolveRelativePath(path, href) === null ? (
+      <a
+        href={href}
+        title={title}
+        {...(href?.startsWith('#') ? {} : { target: '_blank', rel: 'noopener noreferrer' })}
+      >
+        {children}
+      </a>
+    ) : (
+      <span className="text-rose-600" title={href}>{children}</span>
+    ))
+  }), [path, root]);
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-3 text-xs text-gray-500">
+        {Object.entries(VIEW_MODES).map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setMode(key)}
+            aria-pressed={mode === key}
+            className={`px-2 py-1 rounded-md transition-colors ${
+              mode === key ? 'bg-rose-100 text-rose-700' : 'bg-gray-100 hover:bg-gray-200'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {mode === 'rendered' ? (
+        <div className="markdown-body">
+          <ReactMarkdown remarkPlugins={[remarkGfm]} components={components}>
+            {source}
+          </ReactMarkdown>
+        </div>
+      ) : (
+        <CodePreview code={source} language="markdown" />
+      )}
+    </div>
+  );
+};
+
+MarkdownPreview.propTypes = {
+  source: PropTypes.string.isRequired,
+  path: PropTypes.string.isRequired,
+  root: PropTypes.object
+};
+
+export default MarkdownPreview;
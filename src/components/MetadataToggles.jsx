@@ -0,0 +1,42 @@
+import PropTypes from 'prop-types';
+
+const COLUMNS = {
+  size: 'Size',
+  count: 'File count',
+  date: 'Modified',
+  hash: 'SHA-256'
+};
+
+const MetadataToggles = ({ columns, onChange, hashAvailable = false }) => (
+  <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+    <span>Show:</span>
+    {Object.entries(COLUMNS).map(([key, label]) => (
+      <button
+        key={key}
+        onClick={() => onChange({ ...columns, [key]: !columns[key] })}
+        aria-pressed={!!columns[key]}
+        disabled={key === 'hash' && !hashAvailable}
+        title={key === 'hash' && !hashAvailable ? 'Run the content analysis first' : undefined}
+        className={`px-2 py-1 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+          columns[key] ? 'bg-rose-100 text-rose-700' : 'bg-gray-100 hover:bg-gray-200'
+        }`}
+      >
+        {label}
+      </button>
+    ))}
+  </div>
+);
+
+MetadataToggles.propTypes = {
+  columns: PropTypes.shape({
+    size: PropTypes.bool,
+    count: PropTypes.bool,
+    date: PropTypes.bool,
+    hash: PropTypes.bool
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  // Whether any file has been hashed yet
+  hashAvailable: PropTypes.bool
+};
+
+export default MetadataToggles;
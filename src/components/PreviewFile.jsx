@@ -0,0 +1,284 @@
+import { useState, useEffect, useId, useRef } from 'react';
+import PropTypes from 'prop-types';
+import {
+  FiFileText,
+  FiImage,
+  FiCode,
+  FiMusic,
+  FiVideo,
+  FiFileMinus,
+  FiBook,
+  FiX
+} from 'react-icons/fi';
+import { getCodeLanguage, getFileType, isMarkdownFile } from '../utils/fileTypes';
+import { formatBytes } from '../utils/format';
+import CodePreview from './CodePreview';
+import MarkdownPreview from './MarkdownPreview';
+
+const getFileIcon = (type) => {
+  switch (type) {
+    case 'text': return <FiFileText className="mr-2" />;
+    case 'image': return <FiImage className="mr-2" />;
+    case 'code': return <FiCode className="mr-2" />;
+    case 'audio': return <FiMusic className="mr-2" />;
+    case 'video': return <FiVideo className="mr-2" />;
+    case 'pdf': return <FiBook className="mr-2" />;
+    default: return <FiFileMinus className="mr-2" />;
+  }
+};
+
+const getImageFormat = (file) => {
+  const subtype = file.type.startsWith('image/') ? file.type.slice('image/'.length) : '';
+  const format = subtype || file.name.split('.').pop();
+  return format.replace(/\+xml$/, '').toUpperCase();
+};
+
+const Unavailable = ({ message = 'Preview not available for this file type' }) => (
+  <div className="text-center py-8 text-gray-500">
+    <p>{message}</p>
+    <p className="text-sm mt-2">Download the file to view full content</p>
+  </div>
+);
+
+Unavailable.propTypes = {
+  message: PropTypes.string
+};
+
+const ImagePreview = ({ file, url }) => {
+  const [dimensions, setDimensions] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  if (failed) return <Unavailable message="This image could not be decoded" />;
+
+  return (
+    <div>
+      <div className="flex justify-center">
+        <img
+          src={url}
+          alt={file.name}
+          onLoad={(e) => setDimensions({
+            width: e.currentTarget.naturalWidth,
+            height: e.currentTarget.naturalHeight
+          })}
+          onError={() => setFailed(true)}
+          className="max-h-[60vh] max-w-full object-contain"
+        />
+      </div>
+      <p className="mt-3 text-center text-xs text-gray-500">
+        {dimensions?.width ? `${dimensions.width} × ${dimensions.height} px · ` : ''}
+        {getImageFormat(file)} · {formatBytes(file.size)}
+      </p>
+    </div>
+  );
+};
+
+ImagePreview.propTypes = {
+  file: PropTypes.instanceOf(Blob).isRequired,
+  url: PropTypes.string.isRequired
+};
+
+// Larger Markdown files are shown as paged source instead of being rendered
+const MAX_RENDERED_MARKDOWN_BYTES = 5 * 1024 * 1024;
+
+// Elements Tab can reach inside the dialog
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input, select, textarea, iframe, audio[controls], video[controls], [tabindex]:not([tabindex="-1"])';
+
+const PreviewFile = ({ file, node, root, returnFocusTo, onClose }) => {
+  const dialogRef = useRef(null);
+  const closeButtonRef = useRef(null);
+  const titleId = useId();
+  const [content, setContent] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [objectUrl, setObjectUrl] = useState(null);
+  const [mediaError, setMediaError] = useState(false);
+
+  // One object URL per opened file, shared by the players and the download
+  // link, and released as soon as the preview closes or switches file
+  useEffect(() => {
+    if (!file) return;
+    const url = URL.createObjectURL(file);
+    setObjectUrl(url);
+    setMediaError(false);
+    return () => {
+      URL.revokeObjectURL(url);
+    };
+  }, [file]);
+
+  // Modal focus: start on the close button and go back to the element that
+  // opened the preview when it closes
+  useEffect(() => {
+    closeButtonRef.current?.focus();
+    return () => {
+      if (returnFocusTo?.isConnected) returnFocusTo.focus();
+    };
+  }, [returnFocusTo]);
+
+  // Escape closes; Tab and Shift+Tab cycle within the dialog, also after a
+  // click on its backdrop moved focus out of it
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+        return;
+      }
+      const dialog = dialogRef.current;
+      if (e.key !== 'Tab' || !dialog) return;
+
+      const focusable = [...dialog.querySelectorAll(FOCUSABLE_SELECTOR)];
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const isOutside = !dialog.contains(document.activeElement);
+      if (e.shiftKey && (isOutside || document.activeElement === first)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (isOutside || document.activeElement === last)) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  useEffect(() => {
+    if (!file) return;
+
+    const fileType = getFileType(file.name);
+    if (fileType !== 'text' && fileType !== 'code') {
+      setIsLoading(false);
+      return;
+    }
+
+    // Plain text and code are read in slices by CodePreview, so any size opens
+    if (!isMarkdownFile(file.name) || file.size > MAX_RENDERED_MARKDOWN_BYTES) {
+      setIsLoading(false);
+      setContent(<CodePreview file={file} language={getCodeLanguage(file.name)} />);
+      return;
+    }
+
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+      setIsLoading(false);
+
+      setContent(
+        <MarkdownPreview source={e.target.result} path={node?.path ?? file.name} root={root} />
+      );
+    };
+
+    reader.onerror = () => {
+      setIsLoading(false);
+      setError('Failed to read file');
+    };
+
+    setIsLoading(true);
+    reader.readAsText(file);
+
+    return () => {
+      reader.abort();
+    };
+  }, [file, node, root]);
+
+  if (!file) return null;
+
+  const fileType = getFileType(file.name);
+
+  const renderBody = () => {
+    if (mediaError) return <Unavailable message="This browser can't play this file" />;
+
+    switch (fileType) {
+      case 'text':
+      case 'code':
+        return content;
+      case 'image':
+        return <ImagePreview file={file} url={objectUrl} />;
+      case 'audio':
+        return (
+          <audio controls src={objectUrl} onError={() => setMediaError(true)} className="w-full" />
+        );
+      case 'video':
+        return (
+          <video
+            controls
+            src={objectUrl}
+            onError={() => setMediaError(true)}
+            className="w-full max-h-[60vh] bg-black rounded-md"
+          />
+        );
+      case 'pdf':
+        return (
+          <iframe
+            src={objectUrl}
+            title={file.name}
+            className="w-full h-[70vh] rounded-md border border-gray-200"
+          />
+        );
+      default:
+        return <Unavailable />;
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col"
+      >
+        <div className="flex justify-between items-center border-b p-4">
+          <div className="flex items-center">
+            {getFileIcon(fileType)}
+            <h3 id={titleId} className="font-medium truncate max-w-xs">{file.name}</h3>
+          </div>
+          <button
+            ref={closeButtonRef}
+            onClick={onClose}
+            aria-label="Close preview"
+            className="p-1 rounded-full hover:bg-gray-100"
+          >
+            <FiX />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-auto flex-1">
+          {isLoading || !objectUrl ? (
+            <div className="flex justify-center items-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-rose-500"></div>
+            </div>
+          ) : error ? (
+            <div className="bg-red-50 border-l-4 border-red-400 text-red-700 p-4 rounded">
+              <p>{error}</p>
+            </div>
+          ) : (
+            renderBody()
+          )}
+        </div>
+
+        <div className="border-t p-4 flex justify-end">
+          <a
+            href={objectUrl ?? undefined}
+            download={file.name}
+            className="px-4 py-2 bg-rose-600 text-white rounded hover:bg-rose-700 transition-colors"
+          >
+            Download File
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+PreviewFile.propTypes = {
+  file: PropTypes.instanceOf(Blob),
+  // Tree node of the file and the unfiltered tree, used to resolve relative links
+  node: PropTypes.object,
+  root: PropTypes.object,
+  // Element focused again on close, usually the Folder View row of the file
+  returnFocusTo: PropTypes.instanceOf(Element),
+  onClose: PropTypes.func.isRequired
+};
+
+export default PreviewFile;
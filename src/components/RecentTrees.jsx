@@ -0,0 +1,129 @@
+import { useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { FiClock, FiChevronDown, FiChevronRight, FiEdit2, FiTrash2, FiFolder } from 'react-icons/fi';
+import { formatBytes, formatDate, pluralize } from '../utils/format';
+
+// Saved trees from earlier visits, reopened without their files
+const RecentTrees = ({ sessions, activeId, defaultOpen = false, onOpen, onRename, onDelete }) => {
+  const [isOpen, setIsOpen] = useState(defaultOpen);
+  const [editing, setEditing] = useState(null);
+  // Escape cancels the rename that leaving the field would otherwise commit
+  const cancelRenameRef = useRef(false);
+
+  const commitRename = () => {
+    if (cancelRenameRef.current) {
+      cancelRenameRef.current = false;
+      return;
+    }
+    const name = editing.name.trim();
+    if (name) onRename(editing.id, name);
+    setEditing(null);
+  };
+
+  return (
+    <div className="mb-6 border border-gray-200 rounded-lg bg-gray-50/60">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        className="w-full flex items-center justify-between px-4 py-2 text-sm text-gray-700"
+      >
+        <span className="flex items-center">
+          {isOpen ? (
+            <FiChevronDown className="mr-1.5 text-gray-500" />
+          ) : (
+            <FiChevronRight className="mr-1.5 text-gray-500" />
+          )}
+          <FiClock className="mr-1.5 text-rose-600" />
+          Recent trees
+        </span>
+        <span className="text-xs text-gray-500">{pluralize(sessions.length, 'saved tree', 'saved trees')}</span>
+      </button>
+
+      {isOpen && (
+        <div className="px-4 pb-4 text-sm">
+          <p className="mb-2 text-xs text-gray-500">
+            Saved in this browser without file contents. Reopened trees can be browsed but not previewed.
+          </p>
+          <ul className="divide-y divide-gray-100 bg-white border border-gray-200 rounded-md max-h-72 overflow-auto">
+            {sessions.map(session => (
+              <li key={session.id} className="flex items-center gap-2 px-3 py-2">
+                <FiFolder className="text-rose-600 flex-shrink-0" />
+                {editing?.id === session.id ? (
+                  <input
+                    autoFocus
+                    value={editing.name}
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                    onBlur={commitRename}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') {
+                        e.currentTarget.blur();
+                      } else if (e.key === 'Escape') {
+                        cancelRenameRef.current = true;
+                        setEditing(null);
+                      }
+                    }}
+                    aria-label="Tree name"
+                    className="flex-1 min-w-0 px-2 py-0.5 border border-gray-300 rounded-md focus:border-rose-400 focus:outline-none"
+                  />
+                ) : (
+                  <button
+                    onClick={() => onOpen(session.id)}
+                    className="flex-1 min-w-0 text-left"
+                    title={`Open ${session.name}`}
+                  >
+                    <span className={`block truncate font-medium ${
+                      session.id === activeId ? 'text-rose-600' : 'text-gray-700 hover:text-rose-600'
+                    }`}>
+                      {session.name}
+                    </span>
+                    <span className="block text-xs text-gray-500">
+                      {pluralize(session.files, 'file', 'files')} · {pluralize(session.folders, 'folder', 'folders')}
+                      {' · '}{formatBytes(session.bytes)} · {formatDate(session.updatedAt)}
+                    </span>
+                  </button>
+                )}
+                <button
+                  onClick={() => {
+                    cancelRenameRef.current = false;
+                    setEditing({ id: session.id, name: session.name });
+                  }}
+                  className="p-1.5 rounded-md text-gray-500 hover:bg-gray-100 hover:text-gray-700"
+                  aria-label={`Rename ${session.name}`}
+                >
+                  <FiEdit2 size={14} />
+                </button>
+                <button
+                  onClick={() => onDelete(session.id)}
+                  className="p-1.5 rounded-md text-gray-500 hover:bg-red-50 hover:text-red-600"
+                  aria-label={`Delete ${session.name}`}
+                >
+                  <FiTrash2 size={14} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+RecentTrees.propTypes = {
+  // SessionInfo records from listSessions, most recent first
+  sessions: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    updatedAt: PropTypes.number,
+    files: PropTypes.number,
+    folders: PropTypes.number,
+    bytes: PropTypes.number
+  })).isRequired,
+  // Session of the tree currently shown
+  activeId: PropTypes.string,
+  defaultOpen: PropTypes.bool,
+  onOpen: PropTypes.func.isRequired,
+  onRename: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired
+};
+
+export default RecentTrees;
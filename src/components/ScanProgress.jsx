@@ -0,0 +1,60 @@
+import PropTypes from 'prop-types';
+import { FiX } from 'react-icons/fi';
+import { formatBytes } from '../utils/format';
+
+const ScanProgress = ({ progress, onCancel }) => {
+  const total = progress?.totalEntries;
+  const percent = total ? Math.min(100, Math.round((progress.entries / total) * 100)) : null;
+
+  return (
+    <div className="mt-4 text-left">
+      <div className="h-2 w-full bg-gray-200 rounded-full overflow-hidden">
+        {percent !== null ? (
+          <div
+            className="h-full bg-rose-600 transition-all duration-150"
+            style={{ width: `${percent}%` }}
+          />
+        ) : (
+          <div className="h-full w-1/3 bg-rose-600 rounded-full animate-pulse" />
+        )}
+      </div>
+
+      <div className="flex justify-between mt-2 text-xs text-gray-500">
+        <span>
+          {progress ? progress.entries.toLocaleString() : 0}
+          {total ? ` / ${total.toLocaleString()}` : ''} entries
+        </span>
+        <span>{formatBytes(progress?.bytes ?? 0)}</span>
+      </div>
+
+      <p
+        className="mt-1 text-xs text-gray-400 font-mono truncate"
+        title={progress?.currentPath}
+      >
+        {progress?.currentPath || 'Starting scan...'}
+      </p>
+
+      <div className="flex justify-center mt-4">
+        <button
+          onClick={onCancel}
+          className="flex items-center text-sm px-3 py-1.5 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+        >
+          <FiX className="mr-1.5" size={14} />
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+ScanProgress.propTypes = {
+  progress: PropTypes.shape({
+    entries: PropTypes.number,
+    bytes: PropTypes.number,
+    currentPath: PropTypes.string,
+    totalEntries: PropTypes.number
+  }),
+  onCancel: PropTypes.func.isRequired
+};
+
+export default ScanProgress;
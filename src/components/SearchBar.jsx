@@ -0,0 +1,114 @@
+import PropTypes from 'prop-types';
+import { FiSearch, FiChevronUp, FiChevronDown, FiX } from 'react-icons/fi';
+import { SEARCH_MODES } from '../utils/search';
+
+const SearchBar = ({ search }) => {
+  const { settings, onChange, matches, activeIndex, error, onNavigate } = search;
+  const update = (changes) => onChange({ ...settings, ...changes });
+  const hasQuery = settings.query.length > 0;
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      onNavigate(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'Escape') {
+      update({ query: '' });
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <div className={`flex flex-1 min-w-[12rem] items-center bg-white border rounded-md px-2 ${
+        error ? 'border-red-400' : 'border-gray-300 focus-within:border-rose-400'
+      }`}>
+        <FiSearch className="text-gray-400 flex-shrink-0" size={14} />
+        <input
+          type="search"
+          value={settings.query}
+          onChange={(e) => update({ query: e.target.value })}
+          onKeyDown={handleKeyDown}
+          placeholder="Search files and folders"
+          aria-label="Search files and folders"
+          spellCheck={false}
+          className="flex-1 px-2 py-1.5 bg-transparent focus:outline-none font-mono text-xs"
+        />
+        {hasQuery && (
+          <button
+            onClick={() => update({ query: '' })}
+            className="p-0.5 rounded hover:bg-gray-100 text-gray-400"
+            aria-label="Clear search"
+          >
+            <FiX size={14} />
+          </button>
+        )}
+      </div>
+
+      <select
+        value={settings.mode}
+        onChange={(e) => update({ mode: e.target.value })}
+        aria-label="Search mode"
+        className="px-2 py-1.5 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+      >
+        {Object.entries(SEARCH_MODES).map(([key, label]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+
+      <button
+        onClick={() => update({ caseSensitive: !settings.caseSensitive })}
+        aria-pressed={settings.caseSensitive}
+        title="Match case"
+        className={`px-2 py-1.5 rounded-md font-mono transition-colors ${
+          settings.caseSensitive ? 'bg-rose-100 text-rose-700' : 'bg-gray-100 hover:bg-gray-200'
+        }`}
+      >
+        Aa
+      </button>
+
+      {hasQuery && (
+        <div className="flex items-center gap-1 text-xs text-gray-500">
+          <span className="tabular-nums whitespace-nowrap">
+            {error
+              ? <span className="text-red-600">{error}</span>
+              : matches.length > 0
+                ? `${activeIndex + 1} of ${matches.length} matches`
+                : 'No matches'}
+          </span>
+          <button
+            onClick={() => onNavigate(-1)}
+            disabled={matches.length === 0}
+            className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+            aria-label="Previous match"
+          >
+            <FiChevronUp size={14} />
+          </button>
+          <button
+            onClick={() => onNavigate(1)}
+            disabled={matches.length === 0}
+            className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+            aria-label="Next match"
+          >
+            <FiChevronDown size={14} />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+SearchBar.propTypes = {
+  search: PropTypes.shape({
+    settings: PropTypes.shape({
+      query: PropTypes.string,
+      mode: PropTypes.string,
+      caseSensitive: PropTypes.bool
+    }).isRequired,
+    onChange: PropTypes.func.isRequired,
+    matches: PropTypes.array.isRequired,
+    activeIndex: PropTypes.number.isRequired,
+    error: PropTypes.string,
+    onNavigate: PropTypes.func.isRequired
+  }).isRequired
+};
+
+export default SearchBar;
@@ -0,0 +1,94 @@
+import PropTypes from 'prop-types';
+import { FiDownload, FiX } from 'react-icons/fi';
+import { COMPRESSION_LEVELS } from '../utils/zipExport';
+import { formatBytes, pluralize } from '../utils/format';
+
+const PHASE_LABELS = {
+  reading: 'Reading files',
+  compressing: 'Compressing'
+};
+
+// Select all/none, selection summary and "Download selection as ZIP"
+const SelectionToolbar = ({
+  selectedCount,
+  selectedBytes,
+  onSelectAll,
+  onSelectNone,
+  compressionLevel,
+  onCompressionLevelChange,
+  onDownload,
+  progress,
+  onCancel
+}) => {
+  const buttonClass = 'px-2 py-1 rounded-md bg-gray-100 hover:bg-gray-200 transition-colors';
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+      <button onClick={onSelectAll} className={buttonClass}>Select all</button>
+      <button onClick={onSelectNone} disabled={selectedCount === 0} className={`${buttonClass} disabled:opacity-50`}>
+        Select none
+      </button>
+      <span>
+        {selectedCount > 0
+          ? `${pluralize(selectedCount, 'file', 'files')} selected · ${formatBytes(selectedBytes)}`
+          : 'Tick files or folders to download them'}
+      </span>
+
+      {progress ? (
+        <span className="flex items-center gap-2 ml-auto">
+          <span className="w-28 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+            <span
+              className="block h-full bg-rose-600 transition-all duration-150"
+              style={{ width: `${Math.round(progress.percent)}%` }}
+            />
+          </span>
+          <span className="truncate max-w-[12rem]" title={progress.currentPath}>
+            {PHASE_LABELS[progress.phase]} {Math.round(progress.percent)}%
+          </span>
+          <button onClick={onCancel} className="p-1 rounded-full hover:bg-gray-200" aria-label="Cancel ZIP download">
+            <FiX size={12} />
+          </button>
+        </span>
+      ) : (
+        <span className="flex items-center gap-2 ml-auto">
+          <select
+            value={compressionLevel}
+            onChange={(e) => onCompressionLevelChange(Number(e.target.value))}
+            aria-label="Compression level"
+            className="px-1.5 py-1 bg-gray-100 rounded-md"
+          >
+            {Object.entries(COMPRESSION_LEVELS).map(([level, label]) => (
+              <option key={level} value={level}>{label}</option>
+            ))}
+          </select>
+          <button
+            onClick={onDownload}
+            disabled={selectedCount === 0}
+            className="flex items-center px-2 py-1 rounded-md bg-rose-100 hover:bg-rose-200 text-rose-700 transition-colors disabled:opacity-50"
+          >
+            <FiDownload className="mr-1" size={12} />
+            Download selection as ZIP
+          </button>
+        </span>
+      )}
+    </div>
+  );
+};
+
+SelectionToolbar.propTypes = {
+  selectedCount: PropTypes.number.isRequired,
+  selectedBytes: PropTypes.number.isRequired,
+  onSelectAll: PropTypes.func.isRequired,
+  onSelectNone: PropTypes.func.isRequired,
+  compressionLevel: PropTypes.number.isRequired,
+  onCompressionLevelChange: PropTypes.func.isRequired,
+  onDownload: PropTypes.func.isRequired,
+  progress: PropTypes.shape({
+    phase: PropTypes.oneOf(['reading', 'compressing']),
+    percent: PropTypes.number,
+    currentPath: PropTypes.string
+  }),
+  onCancel: PropTypes.func.isRequired
+};
+
+export default SelectionToolbar;
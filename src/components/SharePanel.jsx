@@ -0,0 +1,131 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { FiShare2, FiChevronDown, FiChevronRight, FiCopy, FiLink, FiAlertTriangle } from 'react-icons/fi';
+import { MAX_SHARE_URL_LENGTH, SHARE_URL_WARN_LENGTH, createShareLink } from '../utils/share';
+
+const SharePanel = ({ structure }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [includeSizes, setIncludeSizes] = useState(false);
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+  // Kept with the tree and options it was made for, so edits hide a stale link
+  const [link, setLink] = useState(null);
+
+  const currentLink = link?.structure === structure && link.includeSizes === includeSizes ? link : null;
+  const isTooLong = currentLink && currentLink.length > MAX_SHARE_URL_LENGTH;
+
+  const createLink = async () => {
+    setIsCreating(true);
+    setError(null);
+    try {
+      const { url, length } = await createShareLink(structure, { includeSizes });
+      setLink({ url, length, structure, includeSizes });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(currentLink.url)
+      .then(() => {
+        setCopied(true);
+        setTimeout(() => setCopied(false), 2000);
+      })
+      .catch(() => setError('Failed to copy to clipboard'));
+  };
+
+  return (
+    <div className="mb-6 border border-gray-200 rounded-lg bg-gray-50/60">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        className="w-full flex items-center justify-between px-4 py-2 text-sm text-gray-700"
+      >
+        <span className="flex items-center">
+          {isOpen ? (
+            <FiChevronDown className="mr-1.5 text-gray-500" />
+          ) : (
+            <FiChevronRight className="mr-1.5 text-gray-500" />
+          )}
+          <FiShare2 className="mr-1.5 text-rose-600" />
+          Share link
+        </span>
+        <span className="text-xs text-gray-500">Nothing is uploaded</span>
+      </button>
+
+      {isOpen && (
+        <div className="px-4 pb-4 space-y-3 text-sm">
+          <p className="text-gray-500">
+            The link holds the file and folder names{includeSizes ? ' and file sizes' : ''}, compressed
+            after the # of the address, which browsers never send to a server. File contents are not
+            included, and entries hidden by ignore rules are left out.
+          </p>
+
+          <div className="flex flex-wrap items-center gap-3">
+            <label className="flex items-center gap-1.5 text-gray-700">
+              <input
+                type="checkbox"
+                checked={includeSizes}
+                onChange={(e) => setIncludeSizes(e.target.checked)}
+                className="accent-rose-600"
+              />
+              Include file sizes
+            </label>
+            <button
+              onClick={createLink}
+              disabled={isCreating}
+              className="flex items-center px-3 py-1.5 bg-rose-100 hover:bg-rose-200 text-rose-700 rounded-md transition-colors disabled:opacity-50"
+            >
+              <FiLink className="mr-1.5" size={14} />
+              {isCreating ? 'Creating…' : 'Create link'}
+            </button>
+          </div>
+
+          {error && <p className="text-red-600">{error}</p>}
+
+          {currentLink && (isTooLong ? (
+            <p className="flex items-start text-red-600">
+              <FiAlertTriangle className="mr-1.5 mt-0.5 flex-shrink-0" />
+              This link would be {currentLink.length.toLocaleString()} characters, more than browsers accept
+              ({MAX_SHARE_URL_LENGTH.toLocaleString()}). Hide folders with ignore rules or leave out sizes.
+            </p>
+          ) : (
+            <div className="space-y-1">
+              <div className="flex gap-2">
+                <input
+                  readOnly
+                  value={currentLink.url}
+                  onFocus={(e) => e.target.select()}
+                  aria-label="Share link"
+                  className="flex-1 min-w-0 px-2 py-1 font-mono text-xs bg-white border border-gray-300 rounded-md focus:border-rose-400 focus:outline-none"
+                />
+                <button
+                  onClick={copyLink}
+                  className="flex items-center px-3 py-1.5 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+                >
+                  <FiCopy className="mr-1.5" size={14} />
+                  {copied ? 'Copied!' : 'Copy'}
+                </button>
+              </div>
+              <p className={currentLink.length > SHARE_URL_WARN_LENGTH ? 'text-amber-700' : 'text-xs text-gray-500'}>
+                {currentLink.length.toLocaleString()} characters
+                {currentLink.length > SHARE_URL_WARN_LENGTH &&
+                  ` — links over ${SHARE_URL_WARN_LENGTH.toLocaleString()} characters may be cut off by chat apps, email clients and some servers`}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+SharePanel.propTypes = {
+  // Tree after ignore rules, as both views show it
+  structure: PropTypes.object.isRequired
+};
+
+export default SharePanel;
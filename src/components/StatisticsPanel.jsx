@@ -0,0 +1,182 @@
+import { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { FiBarChart2, FiChevronDown, FiChevronRight, FiDownload, FiAlignLeft } from 'react-icons/fi';
+import { MAX_LINE_COUNT_FILE_MB, computeStats, statsToCsv, statsToJson } from '../utils/stats';
+import { formatBytes } from '../utils/format';
+import ScanProgress from './ScanProgress';
+
+// Extensions listed before "Show all"
+const INITIAL_EXTENSIONS = 15;
+
+const STATS_EXPORTS = {
+  json: { label: 'JSON', mimeType: 'application/json', serialize: statsToJson },
+  csv: { label: 'CSV', mimeType: 'text/csv', serialize: statsToCsv }
+};
+
+// Files, bytes and lines per type or extension
+const StatsTable = ({ title, rows, totalBytes, showLines }) => (
+  <div>
+    <h4 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1">{title}</h4>
+    <table className="w-full text-sm">
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.name} className="border-t border-gray-100">
+            <td className="py-1 pr-2 font-mono text-xs">{row.name || '(none)'}</td>
+            <td className="py-1 px-2 text-right tabular-nums">{row.files.toLocaleString()}</td>
+            <td className="py-1 px-2 text-right tabular-nums whitespace-nowrap">{formatBytes(row.bytes)}</td>
+            <td className="py-1 px-2 text-right tabular-nums text-gray-500">
+              {totalBytes ? `${((100 * row.bytes) / totalBytes).toFixed(1)}%` : ''}
+            </td>
+            {showLines && (
+              <td className="py-1 pl-2 text-right tabular-nums text-gray-500">
+                {row.lines === null ? '' : `${row.lines.toLocaleString()} lines`}
+              </td>
+            )}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+StatsTable.propTypes = {
+  title: PropTypes.string.isRequired,
+  rows: PropTypes.array.isRequired,
+  totalBytes: PropTypes.number,
+  showLines: PropTypes.bool
+};
+
+const StatisticsPanel = ({ structure, lineCounts, progress, onCountLines, onCancel }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [showAllExtensions, setShowAllExtensions] = useState(false);
+
+  const stats = useMemo(() => computeStats(structure, lineCounts), [structure, lineCounts]);
+  const extensions = showAllExtensions ? stats.byExtension : stats.byExtension.slice(0, INITIAL_EXTENSIONS);
+  const showLines = stats.lines !== null;
+
+  const download = (key) => {
+    const format = STATS_EXPORTS[key];
+    const blob = new Blob([format.serialize(stats)], { type: format.mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${structure.name.replace(/[^\w-]+/g, '-') || 'folder'}-stats.${key}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="mb-6 border border-gray-200 rounded-lg bg-gray-50/60">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between px-4 py-2 text-sm text-gray-700"
+      >
+        <span className="flex items-center">
+          {isOpen ? (
+            <FiChevronDown className="mr-1.5 text-gray-500" />
+          ) : (
+            <FiChevronRight className="mr-1.5 text-gray-500" />
+          )}
+          <FiBarChart2 className="mr-1.5 text-rose-600" />
+          Statistics
+        </span>
+        <span className="text-xs text-gray-500">
+          {stats.byExtension.length} extensions · depth {stats.maxDepth}
+        </span>
+      </button>
+
+      {isOpen && (
+        <div className="px-4 pb-4 space-y-4 text-sm">
+          <div className="flex flex-wrap items-center gap-2">
+            {progress ? (
+              <div className="w-full">
+                <ScanProgress progress={progress} onCancel={onCancel} />
+              </div>
+            ) : onCountLines && (
+              <button
+                onClick={onCountLines}
+                title={`Reads text and code files up to ${MAX_LINE_COUNT_FILE_MB}MB`}
+                className="flex items-center px-3 py-1.5 bg-rose-100 hover:bg-rose-200 text-rose-700 rounded-md transition-colors"
+              >
+                <FiAlignLeft className="mr-1.5" size={14} />
+                {showLines ? 'Recount lines' : 'Count lines'}
+              </button>
+            )}
+            {!progress && Object.entries(STATS_EXPORTS).map(([key, format]) => (
+              <button
+                key={key}
+                onClick={() => download(key)}
+                className="flex items-center px-3 py-1.5 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+              >
+                <FiDownload className="mr-1.5" size={14} />
+                {format.label}
+              </button>
+            ))}
+          </div>
+
+          <dl className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {[
+              ['Files', stats.files.toLocaleString()],
+              ['Folders', stats.folders.toLocaleString()],
+              ['Total size', formatBytes(stats.bytes)],
+              ['Lines of text/code', showLines ? stats.lines.toLocaleString() : '—']
+            ].map(([label, value]) => (
+              <div key={label} className="bg-white border border-gray-200 rounded-md p-2">
+                <dt className="text-xs text-gray-500">{label}</dt>
+                <dd className="font-medium text-gray-800">{value}</dd>
+              </div>
+            ))}
+          </dl>
+
+          <div className="grid gap-4 md:grid-cols-2">
+            <StatsTable title="By type" rows={stats.byType} totalBytes={stats.bytes} showLines={showLines} />
+            <div>
+              <StatsTable title="By extension" rows={extensions} totalBytes={stats.bytes} showLines={showLines} />
+              {stats.byExtension.length > extensions.length && (
+                <button
+                  onClick={() => setShowAllExtensions(true)}
+                  className="mt-1 text-xs text-rose-600 hover:underline"
+                >
+                  Show all {stats.byExtension.length} extensions
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="space-y-1 text-gray-700">
+            <p>
+              Maximum depth: <span className="font-medium">{stats.maxDepth}</span>
+              {stats.deepestPath && (
+                <span className="ml-2 font-mono text-xs text-gray-500 break-all">{stats.deepestPath}</span>
+              )}
+            </p>
+            <p>
+              Empty folders: <span className="font-medium">{stats.emptyFolders.length}</span>
+            </p>
+            {stats.emptyFolders.length > 0 && (
+              <ul className="max-h-32 overflow-auto font-mono text-xs text-gray-500">
+                {stats.emptyFolders.map(path => (
+                  <li key={path} className="truncate" title={path}>{path}/</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+StatisticsPanel.propTypes = {
+  structure: PropTypes.object.isRequired,
+  // Line counts by path from countLines, or null before counting
+  lineCounts: PropTypes.instanceOf(Map),
+  progress: PropTypes.object,
+  // Omitted when the files can't be read, e.g. for a saved tree
+  onCountLines: PropTypes.func,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default StatisticsPanel;
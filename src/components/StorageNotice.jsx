@@ -0,0 +1,31 @@
+import PropTypes from 'prop-types';
+
+// What the app keeps in the browser, shown under the drop zones
+const StorageNotice = ({ rememberTrees, onRememberTreesChange }) => (
+  <p className="text-sm text-gray-500 mt-1">
+    File contents are never uploaded or stored.{' '}
+    {rememberTrees
+      ? 'Names, sizes and dates of scanned trees, with their view settings, are kept in this browser so they can be reopened.'
+      : 'Scanned trees are not remembered.'}
+    {onRememberTreesChange && (
+      <>
+        {' '}
+        <button
+          type="button"
+          onClick={() => onRememberTreesChange(!rememberTrees)}
+          title={rememberTrees ? 'Stop saving trees and forget the ones saved so far' : undefined}
+          className="text-rose-600 hover:underline"
+        >
+          {rememberTrees ? "Don't remember" : 'Remember trees'}
+        </button>
+      </>
+    )}
+  </p>
+);
+
+StorageNotice.propTypes = {
+  rememberTrees: PropTypes.bool.isRequired,
+  onRememberTreesChange: PropTypes.func
+};
+
+export default StorageNotice;
@@ -1,6 +1,14 @@
-import React, { useState, useCallback, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import PropTypes from 'prop-types';
-import JSZip from 'jszip';
+import { MAX_FILE_SIZE_MB, collectScanErrors } from '../scanner';
+import { DEFAULT_TREE_OPTIONS, EXPORT_FORMATS, renderTextTreeRows } from '../utils/formats';
+import TreeStyleSettings from './TreeStyleSettings';
+import MetadataToggles from './MetadataToggles';
+import TreeSummary from './TreeSummary';
+import FilePickerButtons from './FilePickerButtons';
+import StorageNotice from './StorageNotice';
+import SearchBar from './SearchBar';
+import HighlightedName from './HighlightedName';
 import { 
   FiCopy, 
   FiDownload, 
@@ -8,23 +16,37 @@ import {
   FiUpload,
   FiMaximize2,
   FiMinimize2,
-  FiChevronUp
+  FiChevronUp,
+  FiSliders
 } from 'react-icons/fi';
 
 const TextFolderStructure = ({ 
   structure, 
+  search,
+  hiddenCount = 0,
+  treeOptions = DEFAULT_TREE_OPTIONS,
+  onTreeOptionsChange,
+  columns = {},
+  onColumnsChange,
+  hashAvailable = false,
+  lineCounts = null,
   error, 
-  onStructureUpdate,
+  onScan,
+  onFiles,
+  onOpenDirectory,
   isLoading,
-  setIsLoading,
+  rememberTrees = false,
+  onRememberTreesChange,
   maxHeight = '35vh'
 }) => {
   const [currentError, setCurrentError] = useState(null);
   const [copied, setCopied] = useState(false);
+  const [exportFormat, setExportFormat] = useState('text');
+  const [showStyleSettings, setShowStyleSettings] = useState(false);
   const [isFullMode, setIsFullMode] = useState(false);
   const [showScrollToTop, setShowScrollToTop] = useState(false);
   const fullscreenRef = useRef(null);
-  const MAX_FILE_SIZE_MB = 1000;
+  const treeContainerRefs = useRef({});
 
   // Track scroll position in fullscreen mode
   useEffect(() => {
@@ -41,19 +63,19 @@ const TextFolderStructure = ({
     };
   }, [isFullMode]);
 
-  const getSafeFilename = (name) => {
-    if (!name) return 'folder-structure.txt';
+  const getSafeFilename = (name, extension = 'txt') => {
+    if (!name) return `folder-structure.${extension}`;
     const cleanName = name
       .replace(/[^\w\s-]/g, '')
       .trim()
       .replace(/\s+/g, '-');
-    return cleanName ? `${cleanName}-structure.txt` : 'folder-structure.txt';
+    return cleanName ? `${cleanName}-structure.${extension}` : `folder-structure.${extension}`;
   };
 
   const copyToClipboard = () => {
     if (!structure) return;
     
-    const textToCopy = renderStructure(structure).join('\n');
+    const textToCopy = EXPORT_FORMATS[exportFormat].serialize(structure, textTreeOptions);
     navigator.clipboard.writeText(textToCopy)
       .then(() => {
         setCopied(true);
@@ -67,12 +89,13 @@ const TextFolderStructure = ({
   const downloadAsTextFile = () => {
     if (!structure) return;
     
-    const textContent = renderStructure(structure).join('\n');
-    const blob = new Blob([textContent], { type: 'text/plain' });
+    const format = EXPORT_FORMATS[exportFormat];
+    const textContent = format.serialize(structure, textTreeOptions);
+    const blob = new Blob([textContent], { type: format.mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = getSafeFilename(structure.name);
+    a.download = getSafeFilename(structure.name, format.extension);
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -85,179 +108,50 @@ const TextFolderStructure = ({
     e.dataTransfer.dropEffect = 'copy';
   };
 
-  const extractZipStructure = async (file) => {
-    try {
-      if (file.size > MAX_FILE_SIZE_MB * 1024 * 1024) {
-        throw new Error(`File exceeds ${MAX_FILE_SIZE_MB}MB limit`);
-      }
-
-      const zip = new JSZip();
-      const content = await zip.loadAsync(file);
-      const root = {
-        name: file.name.replace(/\.zip$/i, ''),
-        type: 'directory',
-        path: '',
-        children: [],
-        fileMap: new Map()
-      };
-
-      Object.keys(content.files).forEach(relativePath => {
-        const zipEntry = content.files[relativePath];
-        const parts = relativePath.split('/').filter(part => part.length > 0);
-        let current = root;
-
-        parts.forEach((part, i) => {
-          const isDirectory = zipEntry.dir || i < parts.length - 1;
-          const existing = current.children.find(child => child.name === part);
-
-          if (isDirectory) {
-            if (!existing) {
-              const newDir = {
-                name: part,
-                type: 'directory',
-                path: `${current.path}/${part}`,
-                children: []
-              };
-              current.children.push(newDir);
-              current = newDir;
-            } else {
-              current = existing;
-            }
-          } else if (!existing) {
-            const fileNode = {
-              name: part,
-              type: 'file',
-              path: `${current.path}/${part}`,
-              zipEntry: zipEntry
-            };
-            current.children.push(fileNode);
-            root.fileMap.set(fileNode.path, zipEntry);
-          }
-        });
-      });
-
-      const sortStructure = (node) => {
-        node.children?.sort((a, b) => {
-          if (a.type === b.type) return a.name.localeCompare(b.name);
-          return a.type === 'directory' ? -1 : 1;
-        });
-        node.children?.forEach(sortStructure);
-      };
-      sortStructure(root);
-
-      return root;
-    } catch (err) {
-      throw new Error(`Failed to process ZIP: ${err.message}`);
-    }
-  };
-
-  const readDirectoryStructure = async (entry, currentPath = '') => {
-    const reader = entry.createReader();
-    const path = currentPath ? `${currentPath}/${entry.name}` : entry.name;
-    const dirStructure = {
-      name: entry.name,
-      type: 'directory',
-      path,
-      children: []
-    };
-
-    const entries = await new Promise((resolve) => {
-      reader.readEntries(resolve, () => resolve([]));
-    });
-
-    for (const item of entries) {
-      if (item.isDirectory) {
-        const subDir = await readDirectoryStructure(item, path);
-        dirStructure.children.push(subDir);
-      } else {
-        dirStructure.children.push({
-          name: item.name,
-          type: 'file',
-          path: `${path}/${item.name}`,
-          fileEntry: item
-        });
-      }
-    }
-
-    dirStructure.children.sort((a, b) => {
-      if (a.type === b.type) return a.name.localeCompare(b.name);
-      return a.type === 'directory' ? -1 : 1;
-    });
-
-    return dirStructure;
-  };
-
-  const handleDrop = async (e) => {
+  const handleDrop = (e) => {
     e.preventDefault();
     e.stopPropagation();
-    
-    setIsLoading(true);
-    setCurrentError(null);
-    onStructureUpdate(null, null);
-    
-    try {
-      const item = e.dataTransfer.items[0];
-      if (!item) throw new Error('No files were dropped');
-
-      if (item.webkitGetAsEntry?.().isDirectory) {
-        const structure = await readDirectoryStructure(item.webkitGetAsEntry());
-        onStructureUpdate(structure, null);
-        return;
-      }
 
-      if (item.kind === 'file') {
-        const file = item.getAsFile();
-        
-        if (/\.zip$/i.test(file.name)) {
-          const structure = await extractZipStructure(file);
-          onStructureUpdate(structure, null);
-          return;
-        }
-
-        throw new Error('Only folders and ZIP files are supported');
-      }
-
-      throw new Error('Unsupported item type');
-    } catch (err) {
-      console.error('Drop processing failed:', err);
-      setCurrentError(err.message);
-      onStructureUpdate(null, err.message);
-    } finally {
-      setIsLoading(false);
-    }
+    setCurrentError(null);
+    onScan(e.dataTransfer);
   };
 
-  const renderStructure = (node, prefix = '', isLast = true, isRoot = true) => {
-    if (isRoot) {
-      const rootLine = `${node.name}/`;
-      const childLines = node.children.flatMap((child, i) => 
-        renderStructure(child, '    ', i === node.children.length - 1, false)
-      );
-      return [rootLine, ...childLines];
-    }
-
-    const connector = isLast ? '└── ' : '├── ';
-    const line = `${prefix}${connector}${node.name}${node.type === 'directory' ? '/' : ''}`;
 
-    if (node.type !== 'directory' || !node.children || node.children.length === 0) {
-      return [line];
-    }
-
-    const childPrefix = prefix + (isLast ? '    ' : '│   ');
-    const childLines = node.children.flatMap((child, i) => 
-      renderStructure(child, childPrefix, i === node.children.length - 1, false)
-    );
+  const displayError = error || currentError;
+  const textTreeOptions = { ...treeOptions, annotations: columns, lineCounts };
+  const activeMatchPath = search?.activePath;
 
-    return [line, ...childLines];
+  // Keep the active search match in view
+  useEffect(() => {
+    if (activeMatchPath === null || activeMatchPath === undefined) return;
+    const container = treeContainerRefs.current[isFullMode ? 'full' : 'normal'];
+    container?.querySelector('[data-active-match]')?.scrollIntoView({ block: 'nearest' });
+  }, [activeMatchPath, isFullMode]);
+
+  const renderTreeText = () => {
+    const rows = renderTextTreeRows(structure, textTreeOptions);
+    if (!search?.ranges) return rows.map(row => row.text).join('\n');
+
+    return rows.map((row, i) => {
+      const ranges = row.node && search.ranges.get(row.node.path);
+      if (!ranges) return <div key={i}>{row.text || ' '}</div>;
+
+      const nameEnd = row.nameStart + row.node.name.length;
+      const isActive = row.node.path === activeMatchPath;
+      return (
+        <div
+          key={i}
+          data-active-match={isActive || undefined}
+          className={isActive ? 'bg-yellow-50' : undefined}
+        >
+          {row.text.slice(0, row.nameStart)}
+          <HighlightedName text={row.node.name} ranges={ranges} />
+          {row.text.slice(nameEnd)}
+        </div>
+      );
+    });
   };
-
-  const countItems = useCallback((node) => {
-    if (!node.children) return 1;
-    return 1 + node.children.reduce((sum, child) => sum + countItems(child), 0);
-  }, []);
-
-  const displayError = error || currentError;
-  const itemCount = structure ? countItems(structure) : 0;
+  const scanErrors = useMemo(() => (structure ? collectScanErrors(structure) : []), [structure]);
 
   const renderContent = (isFullScreen = false) => (
     <div className={`space-y-4 ${isFullScreen ? 'h-full' : ''}`}>
@@ -276,6 +170,26 @@ const TextFolderStructure = ({
               <FiMaximize2 title='Full Screen' size={14} />
             )}
           </button>
+          {onTreeOptionsChange && (
+            <button 
+              onClick={() => setShowStyleSettings(!showStyleSettings)}
+              className={`flex items-center text-sm px-3 py-1.5 rounded-md transition-colors ${
+                showStyleSettings ? 'bg-rose-100 text-rose-700' : 'bg-gray-100 hover:bg-gray-200'
+              }`}
+            >
+              <FiSliders title='Tree style' size={14} />
+            </button>
+          )}
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            aria-label="Export format"
+            className="text-sm px-2 py-1.5 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+          >
+            {Object.entries(EXPORT_FORMATS).map(([key, format]) => (
+              <option key={key} value={key}>{format.label}</option>
+            ))}
+          </select>
           <button 
             onClick={copyToClipboard}
             className="flex items-center text-sm px-3 py-1.5 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
@@ -292,6 +206,16 @@ const TextFolderStructure = ({
           </button>
         </div>
       </div>
+
+      {showStyleSettings && onTreeOptionsChange && (
+        <TreeStyleSettings options={treeOptions} onChange={onTreeOptionsChange} />
+      )}
+
+      {search && <SearchBar search={search} />}
+
+      {onColumnsChange && (
+        <MetadataToggles columns={columns} onChange={onColumnsChange} hashAvailable={hashAvailable} />
+      )}
       
       <div className={`bg-gray-50/60 rounded-lg border border-gray-100 overflow-hidden ${
         isFullScreen ? 'flex-1 flex flex-col' : ''
@@ -303,13 +227,29 @@ const TextFolderStructure = ({
           style={{ 
             maxHeight: isFullScreen ? 'none' : (typeof maxHeight === 'number' ? `${maxHeight}px` : maxHeight)
           }}
+          ref={(element) => {
+            treeContainerRefs.current[isFullScreen ? 'full' : 'normal'] = element;
+          }}
         >
           <pre className="whitespace-pre">
-            {renderStructure(structure).join('\n')}
+            {renderTreeText()}
           </pre>
         </div>
         <div className="bg-gray-50 px-4 py-2 text-xs text-gray-500 border-t border-gray-200 flex justify-between">
-          <span>{itemCount} items</span>
+          <span>
+            <TreeSummary structure={structure} />
+            {scanErrors.length > 0 && (
+              <span
+                className="ml-2 text-amber-600"
+                title={scanErrors.map(({ node }) => node.path || node.name).join('\n')}
+              >
+                · {scanErrors.length} partially read
+              </span>
+            )}
+            {hiddenCount > 0 && (
+              <span className="ml-2">· {hiddenCount} hidden by ignore rules</span>
+            )}
+          </span>
           <span>{new Date().toLocaleString()}</span>
         </div>
       </div>
@@ -344,15 +284,14 @@ const TextFolderStructure = ({
               }`} />
               <div>
                 <p className="text-lg font-medium text-gray-700">
-                  Drag and drop a folder or ZIP file
-                </p>
-                <p className="text-sm text-gray-500 mt-1">
-                  Supported formats: folder, .zip (max {MAX_FILE_SIZE_MB}MB)
+                  Drag and drop folders, archives or files
                 </p>
                 <p className="text-sm text-gray-500 mt-1">
-                  The files you upload are not saved
+                  Supported formats: folder, .zip, .tar, .tar.gz/.tgz, .gz (max {MAX_FILE_SIZE_MB}MB)
                 </p>
+                <StorageNotice rememberTrees={rememberTrees} onRememberTreesChange={onRememberTreesChange} />
               </div>
+              {onFiles && <FilePickerButtons onFiles={onFiles} onOpenDirectory={onOpenDirectory} />}
             </>
           )}
         </div>
@@ -408,13 +347,26 @@ TextFolderStructure.propTypes = {
     name: PropTypes.string,
     type: PropTypes.string,
     path: PropTypes.string,
-    children: PropTypes.array,
-    fileMap: PropTypes.instanceOf(Map)
+    children: PropTypes.array
   }),
+  search: PropTypes.object,
+  hiddenCount: PropTypes.number,
+  treeOptions: PropTypes.object,
+  onTreeOptionsChange: PropTypes.func,
+  columns: PropTypes.object,
+  onColumnsChange: PropTypes.func,
+  hashAvailable: PropTypes.bool,
+  // Line counts for the statistics block of the text export (see countLines)
+  lineCounts: PropTypes.instanceOf(Map),
   error: PropTypes.string,
-  onStructureUpdate: PropTypes.func.isRequired,
+  onScan: PropTypes.func.isRequired,
+  // Called with File objects from the folder/archive pickers
+  onFiles: PropTypes.func,
+  onOpenDirectory: PropTypes.func,
   isLoading: PropTypes.bool.isRequired,
-  setIsLoading: PropTypes.func.isRequired,
+  // Whether scanned trees are saved in the browser (see utils/sessions)
+  rememberTrees: PropTypes.bool,
+  onRememberTreesChange: PropTypes.func,
   maxHeight: PropTypes.oneOfType([
     PropTypes.string, 
     PropTypes.number  
@@ -0,0 +1,94 @@
+import PropTypes from 'prop-types';
+import { ROOT_LINE_OPTIONS, TREE_STYLES } from '../utils/formats';
+import { STATS_BLOCK_OPTIONS } from '../utils/stats';
+
+const INDENT_WIDTHS = [2, 3, 4, 6, 8];
+
+const selectClassName = 'ml-1.5 px-2 py-1 bg-white border border-gray-300 rounded-md focus:border-rose-400 focus:outline-none';
+
+const TreeStyleSettings = ({ options, onChange }) => {
+  const update = (changes) => onChange({ ...options, ...changes });
+
+  const handleStyleChange = (style) => {
+    update({ style, ...TREE_STYLES[style].defaults });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-sm text-gray-700 bg-gray-50/60 border border-gray-100 rounded-lg px-4 py-2">
+      <label className="flex items-center">
+        Style
+        <select
+          value={options.style}
+          onChange={(e) => handleStyleChange(e.target.value)}
+          className={selectClassName}
+        >
+          {Object.entries(TREE_STYLES).map(([key, style]) => (
+            <option key={key} value={key}>{style.label}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="flex items-center">
+        Indent
+        <select
+          value={options.indentWidth}
+          onChange={(e) => update({ indentWidth: Number(e.target.value) })}
+          className={selectClassName}
+        >
+          {INDENT_WIDTHS.map(width => (
+            <option key={width} value={width}>{width} spaces</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="flex items-center">
+        Root line
+        <select
+          value={options.rootLine}
+          onChange={(e) => update({ rootLine: e.target.value })}
+          className={selectClassName}
+        >
+          {Object.entries(ROOT_LINE_OPTIONS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="flex items-center gap-1.5">
+        <input
+          type="checkbox"
+          checked={options.trailingSlash}
+          onChange={(e) => update({ trailingSlash: e.target.checked })}
+          className="accent-rose-600"
+        />
+        Trailing / on folders
+      </label>
+
+      <label className="flex items-center" title="Adds file type statistics to the text export">
+        Statistics
+        <select
+          value={options.statsBlock ?? 'none'}
+          onChange={(e) => update({ statsBlock: e.target.value })}
+          className={selectClassName}
+        >
+          {Object.entries(STATS_BLOCK_OPTIONS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+TreeStyleSettings.propTypes = {
+  options: PropTypes.shape({
+    style: PropTypes.string,
+    indentWidth: PropTypes.number,
+    trailingSlash: PropTypes.bool,
+    rootLine: PropTypes.string,
+    statsBlock: PropTypes.string
+  }).isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default TreeStyleSettings;
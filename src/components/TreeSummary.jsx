@@ -0,0 +1,20 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { summarizeTree } from '../scanner';
+import { formatBytes, pluralize } from '../utils/format';
+
+// Footer summary shared by both views: "12 files, 3 folders · 1.2 MB"
+const TreeSummary = ({ structure }) => {
+  const { files, folders, size } = useMemo(() => summarizeTree(structure), [structure]);
+  return (
+    <>
+      {pluralize(files, 'file', 'files')}, {pluralize(folders, 'folder', 'folders')} · {formatBytes(size)}
+    </>
+  );
+};
+
+TreeSummary.propTypes = {
+  structure: PropTypes.object.isRequired
+};
+
+export default TreeSummary;
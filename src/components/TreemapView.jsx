@@ -0,0 +1,316 @@
+import { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import AutoSizer from 'react-virtualized-auto-sizer';
+import { FiAlertCircle, FiChevronRight, FiUpload } from 'react-icons/fi';
+import { MAX_FILE_SIZE_MB } from '../scanner';
+import { ICON_CATEGORY_LABELS, getIconCategory } from '../utils/fileTypes';
+import { formatBytes } from '../utils/format';
+import { collectFiles, findNodeByPath, getAncestorPaths } from '../utils/tree';
+import { squarify } from '../utils/treemap';
+import FilePickerButtons from './FilePickerButtons';
+import StorageNotice from './StorageNotice';
+import TreeSummary from './TreeSummary';
+
+// Folder levels drawn inside the current folder's tiles
+const MAX_DEPTH = 3;
+// Tiles smaller than this (in px) are left out
+const MIN_TILE_SIZE = 3;
+const LABEL_HEIGHT = 16;
+const TABLE_LIMIT = 50;
+
+const CATEGORY_COLORS = {
+  document: 'bg-blue-300',
+  image: 'bg-yellow-300',
+  code: 'bg-emerald-300',
+  audio: 'bg-purple-300',
+  video: 'bg-red-300',
+  archive: 'bg-amber-400',
+  other: 'bg-gray-300'
+};
+
+// Flattens the layout of `node`'s children into absolutely positioned tiles, parents first
+const layoutTiles = (node, rect, depth = 0, tiles = []) => {
+  squarify(node.children, rect, child => child.size).forEach(({ item, x, y, width, height }) => {
+    if (width < MIN_TILE_SIZE || height < MIN_TILE_SIZE) return;
+
+    const showLabel = width > 40 && height > LABEL_HEIGHT + 4;
+    tiles.push({ node: item, parent: node, x, y, width, height, showLabel });
+
+    if (item.type === 'directory' && depth < MAX_DEPTH && width > 12 && height > LABEL_HEIGHT + 8) {
+      const top = showLabel ? LABEL_HEIGHT : 2;
+      layoutTiles(item, { x: x + 2, y: y + top, width: width - 4, height: height - top - 2 }, depth + 1, tiles);
+    }
+  });
+  return tiles;
+};
+
+const collectFolders = (root) => {
+  const folders = [];
+  const visit = (node) => {
+    if (node.type !== 'directory') return;
+    if (node !== root) folders.push(node);
+    node.children.forEach(visit);
+  };
+  visit(root);
+  return folders;
+};
+
+const TABLE_TABS = {
+  files: 'Largest files',
+  folders: 'Largest folders'
+};
+
+const SORT_COLUMNS = {
+  path: { label: 'Path', compare: (a, b) => a.path.localeCompare(b.path) },
+  size: { label: 'Size', compare: (a, b) => (a.size ?? 0) - (b.size ?? 0) },
+  fileCount: { label: 'Files', compare: (a, b) => (a.fileCount ?? 0) - (b.fileCount ?? 0), foldersOnly: true }
+};
+
+// Sortable table of the biggest entries below `root`
+const LargestTable = ({ root, onOpenFolder }) => {
+  const [tab, setTab] = useState('files');
+  const [sort, setSort] = useState({ key: 'size', descending: true });
+
+  const rows = useMemo(() => {
+    const entries = tab === 'files' ? collectFiles(root) : collectFolders(root);
+    const largest = [...entries]
+      .sort((a, b) => (b.size ?? 0) - (a.size ?? 0))
+      .slice(0, TABLE_LIMIT);
+    const { compare } = SORT_COLUMNS[sort.key] || SORT_COLUMNS.size;
+    return largest.sort((a, b) => (sort.descending ? compare(b, a) : compare(a, b)));
+  }, [root, tab, sort]);
+
+  const columns = Object.entries(SORT_COLUMNS).filter(([, column]) => tab === 'folders' || !column.foldersOnly);
+
+  const toggleSort = (key) => setSort(prev => (
+    prev.key === key ? { key, descending: !prev.descending } : { key, descending: key !== 'path' }
+  ));
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2 text-xs">
+        {Object.entries(TABLE_TABS).map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setTab(key)}
+            aria-pressed={tab === key}
+            className={`px-2 py-1 rounded-md transition-colors ${
+              tab === key ? 'bg-rose-100 text-rose-700' : 'bg-gray-100 hover:bg-gray-200 text-gray-500'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="max-h-80 overflow-auto border border-gray-100 rounded-lg">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-xs text-gray-500 sticky top-0">
+            <tr>
+              {columns.map(([key, column]) => (
+                <th
+                  key={key}
+                  className={`px-3 py-2 font-medium ${key === 'path' ? 'text-left' : 'text-right'}`}
+                  aria-sort={sort.key === key ? (sort.descending ? 'descending' : 'ascending') : undefined}
+                >
+                  <button onClick={() => toggleSort(key)} className="hover:text-rose-600">
+                    {column.label}
+                    {sort.key === key ? (sort.descending ? ' ↓' : ' ↑') : ''}
+                  </button>
+                </th>
+              ))}
+              <th className="px-3 py-2 font-medium text-right">Share</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(node => (
+              <tr key={node.path} className="border-t border-gray-100">
+                <td className="px-3 py-1.5 font-mono text-xs max-w-0 w-full truncate" title={node.path}>
+                  {node.type === 'directory' ? (
+                    <button onClick={() => onOpenFolder(node.path)} className="hover:text-rose-600">
+                      {node.path}/
+                    </button>
+                  ) : node.path}
+                </td>
+                <td className="px-3 py-1.5 text-right whitespace-nowrap tabular-nums">{formatBytes(node.size)}</td>
+                {tab === 'folders' && (
+                  <td className="px-3 py-1.5 text-right tabular-nums">{(node.fileCount ?? 0).toLocaleString()}</td>
+                )}
+                <td className="px-3 py-1.5 text-right text-gray-500 tabular-nums">
+                  {root.size ? `${((100 * (node.size ?? 0)) / root.size).toFixed(1)}%` : ''}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rows.length === 0 && (
+          <p className="p-3 text-sm text-gray-500">Nothing here.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+LargestTable.propTypes = {
+  root: PropTypes.object.isRequired,
+  onOpenFolder: PropTypes.func.isRequired
+};
+
+const TreemapView = ({
+  structure,
+  error,
+  onScan,
+  onFiles,
+  onOpenDirectory,
+  isLoading,
+  rememberTrees = false,
+  onRememberTreesChange
+}) => {
+  const [currentPath, setCurrentPath] = useState('');
+
+  // Fall back to the root when a rescan or filter removed the folder being viewed
+  const found = structure && findNodeByPath(structure, currentPath);
+  const current = found?.type === 'directory' ? found : structure;
+  const crumbs = current?.path ? [...getAncestorPaths(current.path), current.path] : [''];
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = 'copy';
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setCurrentPath('');
+    onScan(e.dataTransfer);
+  };
+
+  const openTile = ({ node, parent }) => {
+    if (node.type === 'directory') setCurrentPath(node.path);
+    else if (parent !== current) setCurrentPath(parent.path);
+  };
+
+  const renderTile = (tile) => {
+    const { node, x, y, width, height, showLabel } = tile;
+    const isFolder = node.type === 'directory';
+    return (
+      <div
+        key={node.path}
+        onClick={(e) => {
+          e.stopPropagation();
+          openTile(tile);
+        }}
+        title={`${node.path}${isFolder ? '/' : ''}\n${formatBytes(node.size)}`}
+        className={`absolute overflow-hidden border cursor-pointer ${
+          isFolder
+            ? 'bg-gray-50 border-gray-300 hover:border-rose-400'
+            : `${CATEGORY_COLORS[getIconCategory(node.name)]} border-white hover:brightness-95`
+        }`}
+        style={{ left: x, top: y, width, height }}
+      >
+        {showLabel && (
+          <div className={`px-1 text-[11px] leading-4 truncate ${isFolder ? 'font-medium text-gray-700' : 'text-gray-800'}`}>
+            {node.name}{isFolder ? '/' : ''}
+            <span className="ml-1 text-gray-500">{formatBytes(node.size)}</span>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="p-4 md:p-6">
+      <div
+        onDragOver={handleDragOver}
+        onDrop={handleDrop}
+        className={`border-2 border-dashed rounded-lg p-6 text-center mb-6 transition-colors ${
+          error ? 'border-red-400 bg-red-50' : 'border-gray-300 bg-gray-50/60 hover:border-rose-400'
+        }`}
+      >
+        <div className="flex flex-col items-center justify-center space-y-3">
+          <FiUpload className={`w-8 h-8 ${error ? 'text-red-400' : 'text-gray-400'}`} />
+          <p className="font-medium text-gray-700">Drag and drop folders, archives or files</p>
+          <p className="text-sm text-gray-500">
+            Supported formats: folder, .zip, .tar, .tar.gz/.tgz, .gz (max {MAX_FILE_SIZE_MB}MB)
+          </p>
+          <StorageNotice rememberTrees={rememberTrees} onRememberTreesChange={onRememberTreesChange} />
+          {onFiles && <FilePickerButtons onFiles={onFiles} onOpenDirectory={onOpenDirectory} />}
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-400 text-red-700 p-4 rounded mb-6 flex items-start">
+          <FiAlertCircle className="flex-shrink-0 mr-2 mt-0.5" />
+          <div>
+            <p className="font-medium">Error:</p>
+            <p>{error}</p>
+          </div>
+        </div>
+      )}
+
+      {current && !isLoading && (
+        <div className="space-y-4">
+          <nav aria-label="Treemap location" className="flex flex-wrap items-center text-sm">
+            {crumbs.map((path, i) => {
+              const isLast = i === crumbs.length - 1;
+              const name = path ? path.split('/').pop() : structure.name;
+              return (
+                <span key={path} className="flex items-center">
+                  {i > 0 && <FiChevronRight className="mx-1 text-gray-400" />}
+                  {isLast ? (
+                    <span className="font-semibold text-rose-600" aria-current="location">{name}</span>
+                  ) : (
+                    <button onClick={() => setCurrentPath(path)} className="text-gray-600 hover:text-rose-600">
+                      {name}
+                    </button>
+                  )}
+                </span>
+              );
+            })}
+            <span className="ml-2 text-xs text-gray-500">{formatBytes(current.size)}</span>
+          </nav>
+
+          <div className="h-[60vh] bg-gray-50/60 rounded-lg border border-gray-100 overflow-hidden">
+            <AutoSizer>
+              {({ width, height }) => (
+                <div className="relative" style={{ width, height }}>
+                  {layoutTiles(current, { x: 0, y: 0, width, height }).map(renderTile)}
+                </div>
+              )}
+            </AutoSizer>
+          </div>
+
+          <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+            {Object.entries(ICON_CATEGORY_LABELS).map(([category, label]) => (
+              <span key={category} className="flex items-center">
+                <span className={`inline-block w-3 h-3 mr-1 rounded-sm ${CATEGORY_COLORS[category]}`} />
+                {label}
+              </span>
+            ))}
+          </div>
+
+          <LargestTable root={current} onOpenFolder={setCurrentPath} />
+
+          <p className="text-xs text-gray-500">
+            <TreeSummary structure={structure} />
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+TreemapView.propTypes = {
+  structure: PropTypes.object,
+  error: PropTypes.string,
+  onScan: PropTypes.func.isRequired,
+  onFiles: PropTypes.func,
+  onOpenDirectory: PropTypes.func,
+  isLoading: PropTypes.bool.isRequired,
+  // Whether scanned trees are saved in the browser (see utils/sessions)
+  rememberTrees: PropTypes.bool,
+  onRememberTreesChange: PropTypes.func
+};
+
+export default TreemapView;
@@ -0,0 +1,35 @@
+import { useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+
+// Checkbox whose `state` can be 'some', shown as indeterminate
+const TriStateCheckbox = ({ state, onChange, label, tabIndex, className = '' }) => {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    if (ref.current) ref.current.indeterminate = state === 'some';
+  }, [state]);
+
+  return (
+    <input
+      ref={ref}
+      type="checkbox"
+      checked={state === 'all'}
+      aria-checked={state === 'some' ? 'mixed' : state === 'all'}
+      aria-label={label}
+      tabIndex={tabIndex}
+      onChange={onChange}
+      onClick={(e) => e.stopPropagation()}
+      className={`accent-rose-600 flex-shrink-0 ${className}`}
+    />
+  );
+};
+
+TriStateCheckbox.propTypes = {
+  state: PropTypes.oneOf(['all', 'some', 'none']).isRequired,
+  onChange: PropTypes.func.isRequired,
+  label: PropTypes.string,
+  tabIndex: PropTypes.number,
+  className: PropTypes.string
+};
+
+export default TriStateCheckbox;
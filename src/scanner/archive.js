@@ -0,0 +1,130 @@
+/**
+ * Archive reader layer. Every supported format is an ArchiveReader; dropped
+ * archives and nested archives inside a tree go through the same readers, so
+ * a new format only needs a reader added to ARCHIVE_READERS.
+ *
+ * @typedef {Object} ArchiveReadOptions
+ * @property {(progress: import('./progress.js').ScanProgress) => void} [onProgress]
+ * @property {AbortSignal} [signal]
+ * @property {number} [depth]   Nesting level stored on entry sources (0 for a dropped archive)
+ * @property {{ maxEntries: number, maxExpandedBytes: number }} [limits]
+ *                              Bounds for untrusted nested archives
+ *
+ * @typedef {Object} ArchiveReader
+ * @property {string} format    Stored as `archive` on expanded nested archives
+ * @property {string} label     Used in error messages
+ * @property {RegExp} pattern   File names the reader handles; stripped for the root name
+ * @property {(archive: Blob, rootName: string, options?: ArchiveReadOptions)
+ *   => Promise<import('./model.js').TreeNode>} read
+ */
+
+import { rebaseTree, replaceNode } from './model.js';
+import { readNodeFile } from './source.js';
+import { readIgnoreFiles } from './ignoreFiles.js';
+import { zipReader } from './zip.js';
+import { tarGzReader, tarReader } from './tar.js';
+import { gzipReader } from './gzip.js';
+
+export const MAX_FILE_SIZE_MB = 1000;
+
+// Limits for archives opened inside other archives or folders
+export const MAX_ARCHIVE_DEPTH = 3;
+export const MAX_NESTED_ARCHIVE_MB = 200;
+export const MAX_EXPANDED_SIZE_MB = 1000;
+export const MAX_ARCHIVE_ENTRIES = 50000;
+
+const MB = 1024 * 1024;
+
+// First match wins, so `.tar.gz` must come before `.gz`
+const ARCHIVE_READERS = [zipReader, tarGzReader, tarReader, gzipReader];
+
+export const getArchiveReader = (name) =>
+  ARCHIVE_READERS.find(reader => reader.pattern.test(name)) ?? null;
+
+/**
+ * Scans a dropped archive of any supported format into the normalized tree.
+ */
+export const scanArchive = async (archive, name = archive.name, { onProgress, signal } = {}) => {
+  const reader = getArchiveReader(name);
+  if (!reader) throw new Error(`Unsupported archive format: ${name}`);
+
+  try {
+    if (archive.size > MAX_FILE_SIZE_MB * MB) {
+      throw new Error(`File exceeds ${MAX_FILE_SIZE_MB}MB limit`);
+    }
+    const tree = await reader.read(archive, name.replace(reader.pattern, ''), { onProgress, signal });
+    return await readIgnoreFiles(tree, { signal });
+  } catch (err) {
+    if (signal?.aborted) throw signal.reason;
+    throw new Error(`Failed to process ${reader.label}: ${err.message}`);
+  }
+};
+
+/**
+ * True for file nodes that can be expanded in place as a virtual folder.
+ */
+export const isExpandableArchive = (node) =>
+  node.type === 'file' && !!node.source && !!getArchiveReader(node.name);
+
+/**
+ * Reads a nested archive and returns a directory node to put in place of
+ * `node`, with the same name and path and the archive contents as children.
+ * Throws with a user-facing message when a limit is exceeded.
+ */
+export const expandArchiveNode = async (node) => {
+  const reader = getArchiveReader(node.name);
+  if (!reader) throw new Error(`Unsupported archive format: ${node.name}`);
+
+  const depth = (node.source.depth ?? 0) + 1;
+  if (depth > MAX_ARCHIVE_DEPTH) {
+    throw new Error(`Archives nested more than ${MAX_ARCHIVE_DEPTH} levels deep are not opened`);
+  }
+
+  const file = await readNodeFile(node);
+  if (file.size > MAX_NESTED_ARCHIVE_MB * MB) {
+    throw new Error(`Nested archive exceeds ${MAX_NESTED_ARCHIVE_MB}MB limit`);
+  }
+
+  let tree;
+  try {
+    tree = await reader.read(file, node.name, {
+      depth,
+      limits: { maxEntries: MAX_ARCHIVE_ENTRIES, maxExpandedBytes: MAX_EXPANDED_SIZE_MB * MB }
+    });
+    await readIgnoreFiles(tree);
+  } catch (err) {
+    throw new Error(`Failed to process ${reader.label}: ${err.message}`);
+  }
+
+  return {
+    ...rebaseTree(tree, node.path),
+    mtime: node.mtime,
+    source: node.source,
+    archive: reader.format,
+    archiveSize: node.size
+  };
+};
+
+/**
+ * Carries the nested archives expanded in `previous` over to `next`, a rescan
+ * of the same source, wherever the archive file still has the same size and
+ * modification time. Archives that changed stay collapsed in `next`.
+ */
+export const keepExpandedArchives = (previous, next) => {
+  const expanded = [];
+  const collect = (node) => {
+    if (node.archive) expanded.push(node);
+    else node.children?.forEach(collect);
+  };
+  collect(previous);
+
+  return expanded.reduce((tree, archiveNode) => {
+    const file = archiveNode.path.split('/').reduce(
+      (node, name) => node?.children?.find(child => child.name === name),
+      tree
+    );
+    const isUnchanged = file?.type === 'file' &&
+      file.size === archiveNode.archiveSize && file.mtime === archiveNode.mtime;
+    return isUnchanged ? replaceNode(tree, archiveNode.path, { ...archiveNode, source: file.source }) : tree;
+  }, next);
+};
@@ -0,0 +1,197 @@
+import { createNode, finalizeTree, joinPath } from './model.js';
+import { readIgnoreFiles } from './ignoreFiles.js';
+import { createProgressTracker } from './progress.js';
+
+// Maximum number of filesystem calls in flight while walking a dropped folder
+export const DEFAULT_CONCURRENCY = 8;
+
+/**
+ * Returns a function that runs async tasks with at most `concurrency` in flight.
+ */
+export const createLimiter = (concurrency) => {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+};
+
+const toMessage = (err) => err?.message || err?.name || String(err);
+
+const getFile = (fileEntry) => new Promise((resolve, reject) => {
+  fileEntry.file(resolve, reject);
+});
+
+// readEntries returns at most 100 entries per call in Chromium, so keep
+// calling until it hands back an empty batch. Entries read before a failure are kept.
+const readAllEntries = async (entry, { limit, signal }) => {
+  const reader = entry.createReader();
+  const entries = [];
+
+  for (;;) {
+    signal?.throwIfAborted();
+    try {
+      const batch = await limit(() => new Promise((resolve, reject) => {
+        reader.readEntries(resolve, reject);
+      }));
+      if (batch.length === 0) return { entries, error: null };
+      entries.push(...batch);
+    } catch (err) {
+      signal?.throwIfAborted();
+      return { entries, error: toMessage(err) };
+    }
+  }
+};
+
+const readDirectory = async (entry, node, context) => {
+  const { limit, signal, progress } = context;
+  const { entries, error } = await readAllEntries(entry, context);
+  if (error) {
+    node.errors = [`Could not read folder contents: ${error}`];
+  }
+
+  await Promise.all(entries.map(async (item) => {
+    const path = joinPath(node.path, item.name);
+
+    if (item.isDirectory) {
+      const dir = createNode({ name: item.name, type: 'directory', path });
+      node.children.push(dir);
+      progress.record(path);
+      await readDirectory(item, dir, context);
+      return;
+    }
+
+    const fileNode = createNode({
+      name: item.name,
+      type: 'file',
+      path,
+      source: { kind: 'entry', handle: item }
+    });
+    node.children.push(fileNode);
+
+    try {
+      const file = await limit(() => getFile(item));
+      fileNode.size = file.size;
+      fileNode.mtime = file.lastModified;
+    } catch (err) {
+      signal?.throwIfAborted();
+      fileNode.errors = [`Could not read file metadata: ${toMessage(err)}`];
+    }
+    progress.record(path, fileNode.size);
+  }));
+};
+
+/**
+ * Scans a dropped FileSystemDirectoryEntry into the normalized tree model.
+ * Folders that could not be fully listed keep whatever was read and carry `errors`.
+ * Rejects with an AbortError as soon as `signal` is aborted.
+ */
+export const scanDirectoryEntry = async (entry, {
+  concurrency = DEFAULT_CONCURRENCY,
+  onProgress,
+  signal
+} = {}) => {
+  const root = createNode({ name: entry.name, type: 'directory', path: '' });
+  const progress = createProgressTracker(onProgress);
+  const limit = createLimiter(concurrency);
+
+  await readDirectory(entry, root, {
+    limit: (task) => limit(() => {
+      signal?.throwIfAborted();
+      return task();
+    }),
+    signal,
+    progress
+  });
+
+  await readIgnoreFiles(root, { signal });
+  progress.flush();
+  return finalizeTree(root);
+};
+
+const readHandleDirectory = async (dirHandle, node, context) => {
+  const { limit, signal, progress } = context;
+  const handles = [];
+  try {
+    for await (const handle of dirHandle.values()) {
+      signal?.throwIfAborted();
+      handles.push(handle);
+    }
+  } catch (err) {
+    signal?.throwIfAborted();
+    node.errors = [`Could not read folder contents: ${toMessage(err)}`];
+  }
+
+  await Promise.all(handles.map(async (handle) => {
+    const path = joinPath(node.path, handle.name);
+
+    if (handle.kind === 'directory') {
+      const dir = createNode({ name: handle.name, type: 'directory', path });
+      node.children.push(dir);
+      progress.record(path);
+      await readHandleDirectory(handle, dir, context);
+      return;
+    }
+
+    const fileNode = createNode({
+      name: handle.name,
+      type: 'file',
+      path,
+      source: { kind: 'file-handle', handle }
+    });
+    node.children.push(fileNode);
+
+    try {
+      const file = await limit(() => handle.getFile());
+      fileNode.size = file.size;
+      fileNode.mtime = file.lastModified;
+    } catch (err) {
+      signal?.throwIfAborted();
+      fileNode.errors = [`Could not read file metadata: ${toMessage(err)}`];
+    }
+    progress.record(path, fileNode.size);
+  }));
+};
+
+/**
+ * Scans a FileSystemDirectoryHandle (File System Access API) like
+ * scanDirectoryEntry. The handle stays valid, so the same folder can be
+ * scanned again later to pick up changes on disk.
+ */
+export const scanDirectoryHandle = async (handle, {
+  concurrency = DEFAULT_CONCURRENCY,
+  onProgress,
+  signal
+} = {}) => {
+  const root = createNode({ name: handle.name, type: 'directory', path: '' });
+  const progress = createProgressTracker(onProgress);
+  const limit = createLimiter(concurrency);
+
+  await readHandleDirectory(handle, root, {
+    limit: (task) => limit(() => {
+      signal?.throwIfAborted();
+      return task();
+    }),
+    signal,
+    progress
+  });
+
+  await readIgnoreFiles(root, { signal });
+  progress.flush();
+  return finalizeTree(root);
+};
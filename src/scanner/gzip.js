@@ -0,0 +1,91 @@
+import { createTreeBuilder } from './model.js';
+import { createProgressTracker } from './progress.js';
+
+// Cap on decompressed output when the caller sets no tighter limit
+export const MAX_DECOMPRESSED_MB = 2000;
+
+const MB = 1024 * 1024;
+const FEXTRA = 0x04;
+const FNAME = 0x08;
+
+/**
+ * Decompresses a gzip Blob with the browser's DecompressionStream into a new
+ * Blob. Stops with an error once the output passes `maxBytes`, so a small
+ * archive can't expand without bound.
+ */
+export const gunzip = async (archive, { maxBytes = MAX_DECOMPRESSED_MB * MB, signal } = {}) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot decompress gzip data');
+  }
+
+  const reader = archive.stream().pipeThrough(new DecompressionStream('gzip')).getReader();
+  const chunks = [];
+  let total = 0;
+
+  try {
+    for (;;) {
+      signal?.throwIfAborted();
+      const { done, value } = await reader.read();
+      if (done) break;
+      total += value.byteLength;
+      if (total > maxBytes) {
+        throw new Error(`Archive would expand to more than ${Math.round(maxBytes / MB)}MB`);
+      }
+      chunks.push(value);
+    }
+  } catch (err) {
+    reader.cancel().catch(() => {});
+    throw err;
+  }
+
+  return new Blob(chunks);
+};
+
+/**
+ * Reads the original file name (FNAME) and modification time stored in a
+ * gzip header. Either is null when the header doesn't record it.
+ */
+export const readGzipHeader = async (archive) => {
+  const bytes = new Uint8Array(await archive.slice(0, 1024).arrayBuffer());
+  if (bytes[0] !== 0x1f || bytes[1] !== 0x8b) return { name: null, mtime: null };
+
+  const seconds = (bytes[4] | (bytes[5] << 8) | (bytes[6] << 16) | (bytes[7] << 24)) >>> 0;
+  const mtime = seconds > 0 ? seconds * 1000 : null;
+  if (!(bytes[3] & FNAME)) return { name: null, mtime };
+
+  let offset = 10;
+  if (bytes[3] & FEXTRA) offset += 2 + (bytes[10] | (bytes[11] << 8));
+  const end = bytes.indexOf(0, offset);
+  if (end === -1) return { name: null, mtime };
+  // FNAME is ISO 8859-1 and may include a directory part
+  const name = new TextDecoder('latin1').decode(bytes.subarray(offset, end));
+  return { name: name.split(/[\\/]/).pop() || null, mtime };
+};
+
+/**
+ * Plain `.gz` files hold a single compressed file, shown as the only child of the root.
+ */
+export const gzipReader = {
+  format: 'gzip',
+  label: 'GZ',
+  pattern: /\.gz$/i,
+  read: async (archive, rootName, { onProgress, signal, depth = 0, limits } = {}) => {
+    const content = await gunzip(archive, { maxBytes: limits?.maxExpandedBytes, signal });
+    const header = await readGzipHeader(archive);
+    const name = header.name || rootName.replace(/\.gz$/i, '') || 'file';
+    const progress = createProgressTracker(onProgress, 1);
+
+    const builder = createTreeBuilder(rootName);
+    const source = { kind: 'slice', archive: content, offset: 0, length: content.size };
+    if (depth > 0) source.depth = depth;
+    builder.add(name, {
+      type: 'file',
+      size: content.size,
+      mtime: header.mtime ?? archive.lastModified ?? null,
+      source
+    });
+    progress.record(name, content.size);
+    progress.flush();
+    return builder.build();
+  }
+};
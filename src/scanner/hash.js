@@ -0,0 +1,42 @@
+import { createProgressTracker } from './progress.js';
+import { readNodeFile } from './source.js';
+
+/**
+ * @typedef {Object} HashResult
+ * @property {Map<string, {hash: string, size: number|null, mtime: number|null}>} hashes
+ *           SHA-256 (lowercase hex) by path, with the size and date it was computed for
+ * @property {Map<string, string>} errors  Read failures by path
+ */
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+export const hashBlob = async (blob) =>
+  toHex(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+
+/**
+ * Computes the SHA-256 of every file node, one file at a time. Files that
+ * can't be read are reported in `errors` instead of failing the whole pass.
+ * Progress uses the scan progress shape, with `totalEntries` set.
+ *
+ * @returns {Promise<HashResult>}
+ */
+export const hashNodes = async (nodes, { onProgress, signal } = {}) => {
+  const hashes = new Map();
+  const errors = new Map();
+  const progress = createProgressTracker(onProgress, nodes.length);
+
+  for (const node of nodes) {
+    signal?.throwIfAborted();
+    try {
+      const file = await readNodeFile(node);
+      hashes.set(node.path, { hash: await hashBlob(file), size: node.size, mtime: node.mtime });
+    } catch (err) {
+      errors.set(node.path, err.message);
+    }
+    progress.record(node.path, node.size);
+  }
+
+  progress.flush();
+  return { hashes, errors };
+};
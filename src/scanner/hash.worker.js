@@ -0,0 +1,16 @@
+import { hashNodes } from './hash.js';
+
+// Hashes file contents off the main thread. Like scan.worker.js, cancellation
+// is done by the client terminating the worker.
+self.onmessage = async ({ data }) => {
+  if (data.type !== 'hash-nodes') return;
+
+  try {
+    const result = await hashNodes(data.nodes, {
+      onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+    });
+    self.postMessage({ type: 'done', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,32 @@
+import { readNodeFile } from './source.js';
+
+export const IGNORE_FILE_NAME = '.gitignore';
+
+/**
+ * Reads the text of every ignore file in the tree into its node's
+ * `ignoreText`. Scanners call this while their source is still open (for
+ * archives, inside the scan worker), so ignore rules never need the archive
+ * read again. Unreadable ignore files get `errors` like any other failed read.
+ */
+export const readIgnoreFiles = async (root, { signal } = {}) => {
+  const ignoreFiles = [];
+  const visit = (node) => {
+    // Files already read (or failed) in a subtree scanned on its own are skipped
+    if (node.type === 'file' && node.name === IGNORE_FILE_NAME && node.source
+      && node.ignoreText === undefined && !node.errors) {
+      ignoreFiles.push(node);
+    }
+    node.children?.forEach(visit);
+  };
+  visit(root);
+
+  await Promise.all(ignoreFiles.map(async (node) => {
+    try {
+      node.ignoreText = await (await readNodeFile(node)).text();
+    } catch (err) {
+      signal?.throwIfAborted();
+      node.errors = [...(node.errors ?? []), `Could not read ignore file: ${err.message}`];
+    }
+  }));
+  return root;
+};
@@ -0,0 +1,42 @@
+export {
+  toNodeId,
+  joinPath,
+  createNode,
+  compareNodes,
+  aggregateDirectory,
+  finalizeTree,
+  createTreeBuilder,
+  countItems,
+  summarizeTree,
+  getAllFolderPaths,
+  collectScanErrors,
+  rebaseTree,
+  replaceNode
+} from './model.js';
+export { loadZip } from './zip.js';
+export { listTarEntries } from './tar.js';
+export { gunzip } from './gzip.js';
+export {
+  MAX_FILE_SIZE_MB,
+  MAX_ARCHIVE_DEPTH,
+  MAX_NESTED_ARCHIVE_MB,
+  MAX_EXPANDED_SIZE_MB,
+  MAX_ARCHIVE_ENTRIES,
+  getArchiveReader,
+  scanArchive,
+  isExpandableArchive,
+  expandArchiveNode,
+  keepExpandedArchives
+} from './archive.js';
+export {
+  DEFAULT_CONCURRENCY,
+  createLimiter,
+  scanDirectoryEntry,
+  scanDirectoryHandle
+} from './directory.js';
+export { getMimeType, readNodeFile } from './source.js';
+export { IGNORE_FILE_NAME, readIgnoreFiles } from './ignoreFiles.js';
+export { createProgressTracker, isAbortError } from './progress.js';
+export { hashBlob, hashNodes } from './hash.js';
+export { scanArchiveInWorker, hashNodesInWorker } from './worker.js';
+export { MERGED_ROOT_NAME, scanItems, scanDataTransfer, scanFileList } from './input.js';
@@ -0,0 +1,186 @@
+import { createNode, createTreeBuilder, finalizeTree, rebaseTree } from './model.js';
+import { createProgressTracker } from './progress.js';
+import { scanDirectoryEntry } from './directory.js';
+import { getArchiveReader } from './archive.js';
+import { scanArchiveInWorker } from './worker.js';
+import { readIgnoreFiles } from './ignoreFiles.js';
+
+// Name of the root that holds several dropped or picked items
+export const MERGED_ROOT_NAME = 'Dropped items';
+
+/**
+ * @typedef {{ kind: 'entry', name: string, entry: FileSystemDirectoryEntry }
+ *   | { kind: 'file', name: string, file: File }
+ *   | { kind: 'file-list', name: string, files: File[] }} ScanItem
+ */
+
+const fileSource = (file) => ({ kind: 'file', file });
+
+// Files picked with `webkitdirectory` carry their path in webkitRelativePath
+const buildFileListTree = (name, files, onProgress) => {
+  const builder = createTreeBuilder(name);
+  const progress = createProgressTracker(onProgress, files.length);
+
+  files.forEach(file => {
+    const path = file.webkitRelativePath.split('/').slice(1).join('/') || file.name;
+    builder.add(path, {
+      type: 'file',
+      size: file.size,
+      mtime: file.lastModified,
+      source: fileSource(file)
+    });
+    progress.record(path, file.size);
+  });
+
+  progress.flush();
+  return builder.build();
+};
+
+const scanItem = (item, options) => {
+  if (item.kind === 'entry') return scanDirectoryEntry(item.entry, options);
+  if (item.kind === 'file-list') {
+    return readIgnoreFiles(buildFileListTree(item.name, item.files, options.onProgress), options);
+  }
+  return scanArchiveInWorker(item.file, item.file.name, options);
+};
+
+// Makes per-item progress look like one scan: totals accumulate across items
+const createCombinedProgress = (onProgress) => {
+  const done = { entries: 0, bytes: 0 };
+  let current = { entries: 0, bytes: 0 };
+
+  const report = (currentPath) => onProgress?.({
+    entries: done.entries + current.entries,
+    bytes: done.bytes + current.bytes,
+    currentPath,
+    totalEntries: null
+  });
+
+  return {
+    forItem: (name) => (progress) => {
+      current = progress;
+      report(progress.currentPath ? `${name}/${progress.currentPath}` : name);
+    },
+    finishItem: () => {
+      done.entries += current.entries;
+      done.bytes += current.bytes;
+      current = { entries: 0, bytes: 0 };
+    },
+    addFile: (path, size) => {
+      done.entries++;
+      done.bytes += size;
+      report(path);
+    }
+  };
+};
+
+const uniqueName = (name, taken) => {
+  let candidate = name;
+  for (let i = 2; taken.has(candidate); i++) candidate = `${name} (${i})`;
+  taken.add(candidate);
+  return candidate;
+};
+
+/**
+ * Scans folders, archives and loose files into one tree. A single folder or
+ * archive becomes the root itself; anything else is merged under a synthetic
+ * MERGED_ROOT_NAME root. Items are scanned one after another. In a merged
+ * scan, an item that fails is kept as an empty folder carrying the error.
+ */
+export const scanItems = async (items, { onProgress, signal } = {}) => {
+  if (items.length === 0) throw new Error('No files were dropped');
+
+  const isLoose = (item) => item.kind === 'file' && !getArchiveReader(item.name);
+  if (items.length === 1 && !isLoose(items[0])) {
+    return scanItem(items[0], { onProgress, signal });
+  }
+
+  const root = createNode({ name: MERGED_ROOT_NAME, type: 'directory', path: '' });
+  const taken = new Set();
+  const progress = createCombinedProgress(onProgress);
+
+  for (const item of items) {
+    signal?.throwIfAborted();
+
+    if (isLoose(item)) {
+      const name = uniqueName(item.name, taken);
+      root.children.push(createNode({
+        name,
+        type: 'file',
+        path: name,
+        size: item.file.size,
+        mtime: item.file.lastModified,
+        source: fileSource(item.file)
+      }));
+      progress.addFile(name, item.file.size);
+      continue;
+    }
+
+    const baseName = item.kind === 'file'
+      ? item.name.replace(getArchiveReader(item.name).pattern, '')
+      : item.name;
+    const name = uniqueName(baseName, taken);
+    let tree;
+    try {
+      tree = await scanItem(item, { onProgress: progress.forItem(name), signal });
+    } catch (err) {
+      signal?.throwIfAborted();
+      tree = createNode({ name, type: 'directory', path: '' });
+      tree.errors = [err.message];
+    }
+    progress.finishItem();
+    root.children.push({ ...rebaseTree(tree, name), name });
+  }
+
+  // Picks up loose ignore files; the scanned items read their own
+  await readIgnoreFiles(root, { signal });
+  return finalizeTree(root);
+};
+
+/**
+ * Scans every item of a drop event's DataTransfer (see scanItems).
+ * `options` ({ onProgress, signal }) are forwarded to the matching scanners.
+ *
+ * Must be called synchronously from the drop handler: the browser empties
+ * the DataTransfer once the event returns, so items are collected before
+ * anything is awaited.
+ */
+export const scanDataTransfer = (dataTransfer, options = {}) => {
+  const items = [];
+  for (const item of dataTransfer.items) {
+    if (item.kind !== 'file') continue;
+    const entry = item.webkitGetAsEntry?.();
+    if (entry?.isDirectory) {
+      items.push({ kind: 'entry', name: entry.name, entry });
+      continue;
+    }
+    const file = item.getAsFile();
+    if (file) items.push({ kind: 'file', name: file.name, file });
+  }
+  return scanItems(items, options);
+};
+
+/**
+ * Scans files from an `<input type="file">`. Files picked with
+ * `webkitdirectory` are grouped back into their top-level folders.
+ */
+export const scanFileList = (fileList, options = {}) => {
+  const items = [];
+  const folders = new Map();
+
+  for (const file of fileList) {
+    const [top] = file.webkitRelativePath ? file.webkitRelativePath.split('/') : [];
+    if (!top) {
+      items.push({ kind: 'file', name: file.name, file });
+      continue;
+    }
+    if (!folders.has(top)) {
+      const folder = { kind: 'file-list', name: top, files: [] };
+      folders.set(top, folder);
+      items.push(folder);
+    }
+    folders.get(top).files.push(file);
+  }
+
+  return scanItems(items, options);
+};
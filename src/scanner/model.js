@@ -0,0 +1,196 @@
+/**
+ * Normalized tree model shared by every scanner source and view.
+ *
+ * @typedef {Object} NodeSource
+ * @property {'zip'|'slice'|'entry'|'file'|'file-handle'} kind  Where the file contents live
+ * @property {Blob} [archive]      ZIP archive the entry belongs to (kind 'zip'), or the
+ *                                 uncompressed tar/gzip data holding it (kind 'slice')
+ * @property {number} [offset]     Start of the entry data within `archive` (kind 'slice')
+ * @property {number} [length]     Length of the entry data (kind 'slice')
+ * @property {string} [entryName]  Full entry name inside the archive (kind 'zip')
+ * @property {FileSystemFileEntry|FileSystemFileHandle} [handle]  Dropped file entry (kind 'entry')
+ *                                 or File System Access handle (kind 'file-handle')
+ * @property {File} [file]         Loose dropped or picked file (kind 'file')
+ * @property {number} [depth]      How many nested archives the entry sits in (0 or absent at the top)
+ *
+ * @typedef {Object} TreeNode
+ * @property {string} id           Stable id derived from the path ('/' for the root),
+ *                                 identical across rescans of the same source
+ * @property {string} name         Base name; for the root, the dropped folder/archive name
+ * @property {'file'|'directory'} type
+ * @property {string} path         POSIX path relative to the root ('' for the root itself)
+ * @property {number|null} size    Bytes; aggregated over descendants for directories
+ * @property {number} [fileCount]  Number of files anywhere below a directory
+ * @property {number|null} mtime   Last-modified time in ms since epoch, when known
+ * @property {NodeSource|null} source  Handle used to read file contents, null for directories
+ * @property {TreeNode[]} [children]   Sorted children, present on directories only
+ * @property {string[]} [errors]   Read failures; on a directory, its children are incomplete
+ * @property {string} [ignoreText] Contents of a `.gitignore` file, read during the scan
+ * @property {string} [archive]    Set on a nested archive expanded in place: its reader format.
+ *                                 `source` still points at the archive file itself
+ * @property {number|null} [archiveSize]  Size of that archive file, as `size` holds its contents'
+ */
+
+export const toNodeId = (path) => `/${path}`;
+
+export const joinPath = (parent, name) => (parent ? `${parent}/${name}` : name);
+
+export const createNode = ({ name, type, path, size = null, mtime = null, source = null }) => {
+  const node = { id: toNodeId(path), name, type, path, size, mtime, source };
+  if (type === 'directory') node.children = [];
+  return node;
+};
+
+// Directories first, then case-aware alphabetical order
+export const compareNodes = (a, b) => {
+  if (a.type === b.type) return a.name.localeCompare(b.name);
+  return a.type === 'directory' ? -1 : 1;
+};
+
+/**
+ * Recomputes a directory's aggregated size and file count from its children.
+ */
+export const aggregateDirectory = (node) => {
+  node.size = 0;
+  node.fileCount = 0;
+  node.children.forEach(child => {
+    node.size += child.size ?? 0;
+    node.fileCount += child.type === 'directory' ? child.fileCount : 1;
+  });
+  return node;
+};
+
+/**
+ * Sorts children and aggregates directory sizes and file counts in place.
+ * Returns the root.
+ */
+export const finalizeTree = (root) => {
+  const visit = (node) => {
+    if (node.type !== 'directory') return;
+    node.children.sort(compareNodes);
+    node.children.forEach(visit);
+    aggregateDirectory(node);
+  };
+  visit(root);
+  return root;
+};
+
+/**
+ * Incrementally builds a tree from flat, slash-separated paths in any order.
+ * Missing parent directories are created on demand.
+ */
+export const createTreeBuilder = (rootName) => {
+  const root = createNode({ name: rootName, type: 'directory', path: '' });
+  const index = new Map([['', root]]);
+
+  const ensureDirectory = (path) => {
+    if (index.has(path)) return index.get(path);
+    const slash = path.lastIndexOf('/');
+    const parent = ensureDirectory(slash === -1 ? '' : path.slice(0, slash));
+    const dir = createNode({ name: path.slice(slash + 1), type: 'directory', path });
+    parent.children.push(dir);
+    index.set(path, dir);
+    return dir;
+  };
+
+  const add = (relativePath, { type, size = null, mtime = null, source = null }) => {
+    const path = relativePath.split('/').filter(part => part.length > 0).join('/');
+    if (!path) return root;
+
+    if (type === 'directory') {
+      const dir = ensureDirectory(path);
+      if (mtime !== null) dir.mtime = mtime;
+      return dir;
+    }
+
+    if (index.has(path)) return index.get(path);
+    const slash = path.lastIndexOf('/');
+    const parent = ensureDirectory(slash === -1 ? '' : path.slice(0, slash));
+    const node = createNode({ name: path.slice(slash + 1), type, path, size, mtime, source });
+    parent.children.push(node);
+    index.set(path, node);
+    return node;
+  };
+
+  return { root, add, build: () => finalizeTree(root) };
+};
+
+/**
+ * Prefixes every path (and id) in a freshly built tree with `basePath`, so it
+ * can be grafted in place of the node at that path. Mutates and returns the root.
+ */
+export const rebaseTree = (root, basePath) => {
+  const visit = (node) => {
+    node.path = node.path ? joinPath(basePath, node.path) : basePath;
+    node.id = toNodeId(node.path);
+    node.children?.forEach(visit);
+  };
+  visit(root);
+  return root;
+};
+
+/**
+ * Returns a copy of the tree with the node at `path` swapped for `replacement`.
+ * Only the folders along the path are copied, re-sorted and re-aggregated.
+ */
+export const replaceNode = (root, path, replacement) => {
+  const names = path ? path.split('/') : [];
+  const visit = (node, depth) => {
+    if (depth === names.length) return replacement;
+    const children = node.children
+      .map(child => (child.name === names[depth] ? visit(child, depth + 1) : child))
+      .sort(compareNodes);
+    return aggregateDirectory({ ...node, children });
+  };
+  return visit(root, 0);
+};
+
+export const countItems = (node) => {
+  if (!node.children) return 1;
+  return 1 + node.children.reduce((sum, child) => sum + countItems(child), 0);
+};
+
+/**
+ * Counts files and folders below the root (the root itself is not counted)
+ * and their total size.
+ */
+export const summarizeTree = (root) => {
+  let files = 0;
+  let folders = 0;
+  const visit = (node) => {
+    node.children?.forEach(child => {
+      if (child.type === 'directory') {
+        folders++;
+        visit(child);
+      } else {
+        files++;
+      }
+    });
+  };
+  visit(root);
+  return { files, folders, size: root.size ?? 0 };
+};
+
+export const getAllFolderPaths = (node) => {
+  const paths = [];
+  const visit = (current) => {
+    if (current.type !== 'directory') return;
+    paths.push(current.path);
+    current.children?.forEach(visit);
+  };
+  visit(node);
+  return paths;
+};
+
+/**
+ * Lists every node that failed to read during the scan, in tree order.
+ */
+export const collectScanErrors = (node) => {
+  const failures = [];
+  const visit = (current) => {
+    if (current.errors?.length) failures.push({ node: current, errors: current.errors });
+    current.children?.forEach(visit);
+  };
+  visit(node);
+  return failures;
+};
@@ -0,0 +1,35 @@
+/**
+ * @typedef {Object} ScanProgress
+ * @property {number} entries            Files and folders discovered so far
+ * @property {number} bytes              Sum of file sizes discovered so far
+ * @property {string} currentPath        Path most recently visited
+ * @property {number|null} totalEntries  Known total, or null when it can't be known upfront
+ */
+
+// Minimum time between two progress callbacks
+const REPORT_INTERVAL_MS = 100;
+
+/**
+ * Accumulates scan progress and forwards it to `onProgress` at most every
+ * REPORT_INTERVAL_MS. `flush()` always reports the latest state.
+ */
+export const createProgressTracker = (onProgress, totalEntries = null) => {
+  const state = { entries: 0, bytes: 0, currentPath: '', totalEntries };
+  let lastReport = 0;
+
+  const flush = () => {
+    lastReport = Date.now();
+    onProgress?.({ ...state });
+  };
+
+  const record = (path, size = 0) => {
+    state.entries++;
+    state.bytes += size ?? 0;
+    state.currentPath = path;
+    if (onProgress && Date.now() - lastReport >= REPORT_INTERVAL_MS) flush();
+  };
+
+  return { record, flush };
+};
+
+export const isAbortError = (err) => err?.name === 'AbortError';
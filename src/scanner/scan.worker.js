@@ -0,0 +1,16 @@
+import { scanArchive } from './archive.js';
+
+// Runs archive parsing off the main thread. Cancellation is done by the
+// client terminating the worker, so no abort message is needed here.
+self.onmessage = async ({ data }) => {
+  if (data.type !== 'scan-archive') return;
+
+  try {
+    const tree = await scanArchive(data.archive, data.name, {
+      onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+    });
+    self.postMessage({ type: 'done', tree });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
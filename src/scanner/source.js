@@ -0,0 +1,67 @@
+import { loadZip } from './zip.js';
+
+const MIME_TYPES = {
+  txt: 'text/plain',
+  md: 'text/markdown',
+  json: 'application/json',
+  js: 'application/javascript',
+  jsx: 'application/javascript',
+  ts: 'application/typescript',
+  html: 'text/html',
+  css: 'text/css',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  svg: 'image/svg+xml',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  flac: 'audio/flac',
+  mp4: 'video/mp4',
+  m4v: 'video/mp4',
+  webm: 'video/webm',
+  mov: 'video/quicktime'
+};
+
+export const getMimeType = (fileName) => {
+  const ext = fileName.split('.').pop().toLowerCase();
+  return MIME_TYPES[ext] || 'application/octet-stream';
+};
+
+/**
+ * Reads the contents of a file node as a File, whatever source it came from.
+ */
+export const readNodeFile = async (node) => {
+  const { source } = node;
+  if (node.type !== 'file' || !source) {
+    throw new Error('File source not recognized');
+  }
+
+  switch (source.kind) {
+    case 'zip': {
+      const zip = await loadZip(source.archive);
+      const zipEntry = zip.file(source.entryName);
+      if (!zipEntry) throw new Error(`Entry not found in archive: ${source.entryName}`);
+      const content = await zipEntry.async('blob');
+      return new File([content], node.name, { type: getMimeType(node.name) });
+    }
+    case 'slice': {
+      const content = source.archive.slice(source.offset, source.offset + source.length);
+      return new File([content], node.name, { type: getMimeType(node.name) });
+    }
+    case 'file':
+      return source.file;
+    case 'file-handle':
+      return source.handle.getFile();
+    case 'entry':
+      return new Promise((resolve, reject) => {
+        source.handle.file(resolve, reject);
+      });
+    default:
+      throw new Error('File source not recognized');
+  }
+};
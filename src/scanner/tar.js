@@ -0,0 +1,176 @@
+import { createTreeBuilder } from './model.js';
+import { createProgressTracker } from './progress.js';
+import { gunzip } from './gzip.js';
+
+const BLOCK_SIZE = 512;
+const textDecoder = new TextDecoder();
+
+const padToBlock = (size) => Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+const readString = (bytes, start, length) => {
+  const field = bytes.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return textDecoder.decode(end === -1 ? field : field.subarray(0, end));
+};
+
+// Octal, or GNU base-256 when the high bit of the first byte is set
+const readNumber = (bytes, start, length) => {
+  const field = bytes.subarray(start, start + length);
+  if (field[0] & 0x80) {
+    let value = field[0] & 0x7f;
+    for (let i = 1; i < field.length; i++) value = value * 256 + field[i];
+    return value;
+  }
+  const text = readString(bytes, start, length).trim();
+  return text ? parseInt(text, 8) : 0;
+};
+
+// The checksum is computed with its own field read as spaces
+const isValidHeader = (bytes) => {
+  let sum = 8 * 0x20;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    if (i < 148 || i >= 156) sum += bytes[i];
+  }
+  return readNumber(bytes, 148, 8) === sum;
+};
+
+/**
+ * Parses pax extended header records ("<length> <key>=<value>\n").
+ */
+export const parsePaxRecords = (bytes) => {
+  const records = {};
+  let offset = 0;
+  while (offset < bytes.length) {
+    const space = bytes.indexOf(0x20, offset);
+    if (space === -1) break;
+    const length = parseInt(textDecoder.decode(bytes.subarray(offset, space)), 10);
+    if (!length) break;
+    const record = textDecoder.decode(bytes.subarray(space + 1, offset + length - 1));
+    const equals = record.indexOf('=');
+    if (equals !== -1) records[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return records;
+};
+
+/**
+ * Lists the entries of an uncompressed tar Blob (ustar, pax and GNU long
+ * names). Returns { path, type, size, mtime, offset } where `offset` is where
+ * the entry data starts. Links, devices and FIFOs are left out.
+ * `maxEntries`/`maxBytes` bound the listing against tar bombs and `onEntry`
+ * is called as entries are found.
+ */
+export const listTarEntries = async (tar, {
+  signal,
+  maxEntries = Infinity,
+  maxBytes = Infinity,
+  onEntry
+} = {}) => {
+  const entries = [];
+  let globalPax = {};
+  let nextPax = {};
+  let longName = null;
+  let totalBytes = 0;
+  let offset = 0;
+
+  const readBytes = async (start, length) => new Uint8Array(await tar.slice(start, start + length).arrayBuffer());
+
+  while (offset + BLOCK_SIZE <= tar.size) {
+    signal?.throwIfAborted();
+    const header = await readBytes(offset, BLOCK_SIZE);
+    // Archives end with zero blocks
+    if (header.every(byte => byte === 0)) break;
+    if (!isValidHeader(header)) {
+      if (offset === 0) throw new Error('Not a valid TAR archive');
+      throw new Error(`Corrupt TAR header at byte ${offset}`);
+    }
+
+    // A NUL typeflag is an old-style regular file
+    const typeflag = String.fromCharCode(header[156] || 0x30);
+    const dataOffset = offset + BLOCK_SIZE;
+    const isExtension = ['x', 'g', 'L', 'K'].includes(typeflag);
+    const pax = { ...globalPax, ...nextPax };
+    // The header size may be base-256 (see readNumber) or overridden by pax, as
+    // for files of 8 GiB and more; the next header follows the real data
+    const size = !isExtension && pax.size ? Number(pax.size) : readNumber(header, 124, 12);
+    offset = dataOffset + padToBlock(size);
+
+    if (typeflag === 'x' || typeflag === 'g') {
+      const records = parsePaxRecords(await readBytes(dataOffset, size));
+      if (typeflag === 'g') globalPax = { ...globalPax, ...records };
+      else nextPax = records;
+      continue;
+    }
+    if (typeflag === 'L') {
+      longName = readString(await readBytes(dataOffset, size), 0, size);
+      continue;
+    }
+    if (typeflag === 'K') continue;
+
+    const isUstar = readString(header, 257, 6).startsWith('ustar');
+    const prefix = isUstar ? readString(header, 345, 155) : '';
+    const name = readString(header, 0, 100);
+    const path = (pax.path || longName || (prefix ? `${prefix}/${name}` : name)).replace(/^(?:\.\/)+/, '');
+    const mtime = pax.mtime ? Math.round(Number(pax.mtime) * 1000) : readNumber(header, 136, 12) * 1000;
+    nextPax = {};
+    longName = null;
+
+    const isDirectory = typeflag === '5';
+    const isFile = typeflag === '0' || typeflag === '7';
+    if (!isDirectory && !isFile) continue;
+
+    const entry = {
+      path,
+      type: isDirectory ? 'directory' : 'file',
+      size: isDirectory ? null : size,
+      mtime,
+      offset: dataOffset
+    };
+    entries.push(entry);
+    onEntry?.(entry);
+    totalBytes += isDirectory ? 0 : size;
+    if (entries.length > maxEntries) throw new Error(`Archive has more than ${maxEntries} entries`);
+    if (totalBytes > maxBytes) {
+      throw new Error(`Archive would expand to more than ${Math.round(maxBytes / (1024 * 1024))}MB`);
+    }
+  }
+
+  return entries;
+};
+
+const readTarTree = async (tar, rootName, { onProgress, signal, depth = 0, limits } = {}) => {
+  const progress = createProgressTracker(onProgress);
+  const entries = await listTarEntries(tar, {
+    signal,
+    maxEntries: limits?.maxEntries,
+    maxBytes: limits?.maxExpandedBytes,
+    onEntry: (entry) => progress.record(entry.path, entry.size)
+  });
+
+  const builder = createTreeBuilder(rootName);
+  entries.forEach(({ path, type, size, mtime, offset }) => {
+    const source = { kind: 'slice', archive: tar, offset, length: size };
+    if (depth > 0) source.depth = depth;
+    builder.add(path, { type, size, mtime, source: type === 'file' ? source : null });
+  });
+
+  progress.flush();
+  return builder.build();
+};
+
+export const tarReader = {
+  format: 'tar',
+  label: 'TAR',
+  pattern: /\.tar$/i,
+  read: readTarTree
+};
+
+export const tarGzReader = {
+  format: 'tar.gz',
+  label: 'TAR.GZ',
+  pattern: /\.(?:tar\.gz|tgz)$/i,
+  read: async (archive, rootName, options = {}) => {
+    const tar = await gunzip(archive, { maxBytes: options.limits?.maxExpandedBytes, signal: options.signal });
+    return readTarTree(tar, rootName, options);
+  }
+};
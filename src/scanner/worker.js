@@ -0,0 +1,97 @@
+import { scanArchive } from './archive.js';
+import { hashNodes } from './hash.js';
+import { readNodeFile } from './source.js';
+
+const canUseWorkers = () => typeof Worker !== 'undefined';
+
+/**
+ * Posts `message` to a fresh worker and resolves with the payload of its
+ * 'done' message. 'progress' messages are forwarded to `onProgress`, and
+ * aborting `signal` terminates the worker immediately.
+ */
+const runInWorker = (createWorker, message, { onProgress, signal, crashMessage }) =>
+  new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+
+    const worker = createWorker();
+
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', handleAbort);
+    };
+
+    const handleAbort = () => {
+      finish();
+      reject(signal.reason);
+    };
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress?.(data.progress);
+      } else if (data.type === 'done') {
+        finish();
+        resolve(data);
+      } else if (data.type === 'error') {
+        finish();
+        reject(new Error(data.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(`${crashMessage}: ${event.message || 'worker crashed'}`));
+    };
+
+    signal?.addEventListener('abort', handleAbort);
+    worker.postMessage(message);
+  });
+
+/**
+ * Scans an archive in a dedicated Web Worker so large archives don't block
+ * the UI. Aborting `signal` terminates the worker immediately. Falls back to
+ * scanning on the current thread where workers are unavailable.
+ */
+export const scanArchiveInWorker = async (archive, name = archive.name, { onProgress, signal } = {}) => {
+  if (!canUseWorkers()) return scanArchive(archive, name, { onProgress, signal });
+
+  const { tree } = await runInWorker(
+    () => new Worker(new URL('./scan.worker.js', import.meta.url), { type: 'module' }),
+    { type: 'scan-archive', archive, name },
+    { onProgress, signal, crashMessage: 'Failed to process archive' }
+  );
+  return tree;
+};
+
+// Dropped file entries can't be posted to a worker, but the File behind them can
+const toTransferableNode = async ({ name, path, type, size, mtime, source }) => {
+  if (source?.kind !== 'entry') return { name, path, type, size, mtime, source };
+  return { name, path, type, size, mtime, source: { kind: 'file', file: await readNodeFile({ type, source }) } };
+};
+
+/**
+ * Hashes file nodes (see hashNodes) in a dedicated Web Worker, falling back
+ * to the current thread where workers are unavailable.
+ *
+ * @returns {Promise<import('./hash.js').HashResult>}
+ */
+export const hashNodesInWorker = async (nodes, { onProgress, signal } = {}) => {
+  if (!canUseWorkers()) return hashNodes(nodes, { onProgress, signal });
+
+  const transferable = [];
+  const errors = new Map();
+  for (const node of nodes) {
+    try {
+      transferable.push(await toTransferableNode(node));
+    } catch (err) {
+      errors.set(node.path, err.message);
+    }
+  }
+
+  const { result } = await runInWorker(
+    () => new Worker(new URL('./hash.worker.js', import.meta.url), { type: 'module' }),
+    { type: 'hash-nodes', nodes: transferable },
+    { onProgress, signal, crashMessage: 'Failed to hash files' }
+  );
+  errors.forEach((message, path) => result.errors.set(path, message));
+  return result;
+};
@@ -0,0 +1,83 @@
+import JSZip from 'jszip';
+import { createTreeBuilder } from './model.js';
+import { createProgressTracker } from './progress.js';
+
+// Parsed archives, so reading an entry later doesn't parse the central directory again
+const zipCache = new WeakMap();
+
+/**
+ * Parses a ZIP archive given as a Blob, ArrayBuffer or Uint8Array. Blobs are
+ * read into memory first: JSZip reads them through FileReader, which Node lacks.
+ */
+export const loadZip = async (archive) => {
+  if (!zipCache.has(archive)) {
+    const data = typeof Blob !== 'undefined' && archive instanceof Blob
+      ? archive.arrayBuffer()
+      : Promise.resolve(archive);
+    zipCache.set(archive, data.then(bytes => new JSZip().loadAsync(bytes)));
+  }
+  try {
+    return await zipCache.get(archive);
+  } catch (err) {
+    zipCache.delete(archive);
+    throw err;
+  }
+};
+
+// Declared size from the central directory; JSZip doesn't expose it publicly
+export const getZipEntrySize = (zipEntry) => (zipEntry.dir ? null : zipEntry._data?.uncompressedSize ?? null);
+
+/**
+ * Builds the tree of an already loaded archive. `depth` is stored on every
+ * entry source to track how deeply archives are nested.
+ */
+export const buildZipTree = (zip, archive, rootName, { progress, depth = 0 } = {}) => {
+  const builder = createTreeBuilder(rootName);
+
+  Object.values(zip.files).forEach(zipEntry => {
+    const size = getZipEntrySize(zipEntry);
+    const source = { kind: 'zip', archive, entryName: zipEntry.name };
+    if (depth > 0) source.depth = depth;
+    builder.add(zipEntry.name, {
+      type: zipEntry.dir ? 'directory' : 'file',
+      size,
+      mtime: zipEntry.date ? zipEntry.date.getTime() : null,
+      source: zipEntry.dir ? null : source
+    });
+    progress?.record(zipEntry.name, size);
+  });
+
+  return builder.build();
+};
+
+const MB = 1024 * 1024;
+
+/**
+ * Archive reader for ZIP files (see archive.js). With `limits`, declared sizes
+ * are checked before anything is decompressed, which stops classic zip bombs.
+ */
+export const zipReader = {
+  format: 'zip',
+  label: 'ZIP',
+  pattern: /\.zip$/i,
+  read: async (archive, rootName, { onProgress, signal, depth = 0, limits } = {}) => {
+    const zip = await loadZip(archive);
+    signal?.throwIfAborted();
+
+    const zipEntries = Object.values(zip.files);
+    if (limits) {
+      if (zipEntries.length > limits.maxEntries) {
+        throw new Error(`Archive has more than ${limits.maxEntries} entries`);
+      }
+      const expandedSize = zipEntries.reduce((sum, zipEntry) => sum + (getZipEntrySize(zipEntry) ?? 0), 0);
+      if (expandedSize > limits.maxExpandedBytes) {
+        throw new Error(`Archive would expand to ${Math.round(expandedSize / MB)}MB, above the ${Math.round(limits.maxExpandedBytes / MB)}MB limit`);
+      }
+    }
+
+    const progress = createProgressTracker(onProgress, zipEntries.length);
+    const tree = buildZipTree(zip, archive, rootName, { progress, depth });
+    progress.flush();
+    return tree;
+  }
+};
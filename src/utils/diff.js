@@ -0,0 +1,237 @@
+import { compareNodes, hashNodesInWorker } from '../scanner/index.js';
+import { formatBytes } from './format.js';
+import { renderTextTreeRows } from './formats.js';
+
+/**
+ * Path-based comparison of two trees.
+ *
+ * @typedef {'added'|'removed'|'modified'} ChangeStatus
+ *
+ * @typedef {Object} TreeDiff
+ * @property {Map<string, ChangeStatus>} changes  Status of every changed path, including
+ *                                                everything below an added or removed folder
+ * @property {import('../scanner/model').TreeNode[]} removedNodes  Topmost removed nodes
+ * @property {number} added
+ * @property {number} removed
+ * @property {number} modified
+ */
+
+export const hasSizeOrDateChanged = (before, after) =>
+  before.size !== after.size || before.mtime !== after.mtime;
+
+export const hasSizeChanged = (before, after) => before.size !== after.size;
+
+// Size, then content hash when both files carry one (see attachHashes)
+export const hasContentChanged = (before, after) =>
+  before.size !== after.size || (!!before.hash && !!after.hash && before.hash !== after.hash);
+
+/**
+ * Diffs `before` against `after`. A file is modified when `isModified(before, after)`
+ * returns true, or when a path switched between file and folder. A nested archive
+ * expanded in `before` and listed as a plain file in `after` is compared by
+ * the size and date of its archive file.
+ */
+export const diffTrees = (before, after, isModified = hasSizeOrDateChanged) => {
+  const changes = new Map();
+  const removedNodes = [];
+  const counts = { added: 0, removed: 0, modified: 0 };
+
+  const mark = (node, status) => {
+    changes.set(node.path, status);
+    counts[status]++;
+    node.children?.forEach(child => mark(child, status));
+  };
+
+  const visit = (oldNode, newNode) => {
+    const oldChildren = new Map(oldNode.children.map(child => [child.name, child]));
+
+    newNode.children.forEach(child => {
+      const old = oldChildren.get(child.name);
+      oldChildren.delete(child.name);
+
+      if (!old) {
+        mark(child, 'added');
+      } else if (old.archive && child.type === 'file') {
+        // An expanded archive against its unexpanded file: only the archive
+        // file itself can be compared
+        if (isModified({ size: old.archiveSize, mtime: old.mtime }, child)) {
+          changes.set(child.path, 'modified');
+          counts.modified++;
+        }
+      } else if (old.type !== child.type) {
+        changes.set(child.path, 'modified');
+        counts.modified++;
+        old.children?.forEach(grandchild => {
+          removedNodes.push(grandchild);
+          mark(grandchild, 'removed');
+        });
+        child.children?.forEach(grandchild => mark(grandchild, 'added'));
+      } else if (child.type === 'directory') {
+        visit(old, child);
+      } else if (isModified(old, child)) {
+        changes.set(child.path, 'modified');
+        counts.modified++;
+      }
+    });
+
+    oldChildren.forEach(old => {
+      removedNodes.push(old);
+      mark(old, 'removed');
+    });
+  };
+
+  visit(before, after);
+  return { changes, removedNodes, ...counts };
+};
+
+/**
+ * Folds a newer diff into an earlier one, so changes stay flagged across
+ * several refreshes: an added-then-removed path disappears, a removed-then-added
+ * path counts as modified and an added path stays added when modified again.
+ */
+export const mergeDiffs = (earlier, later) => {
+  if (!earlier) return later;
+
+  const changes = new Map(earlier.changes);
+  later.changes.forEach((status, path) => {
+    const previous = changes.get(path);
+    if (previous === 'added' && status === 'removed') changes.delete(path);
+    else if (previous === 'removed' && status === 'added') changes.set(path, 'modified');
+    else if (previous !== 'added') changes.set(path, status);
+  });
+
+  const counts = { added: 0, removed: 0, modified: 0 };
+  changes.forEach(status => counts[status]++);
+  const removedNodes = [...earlier.removedNodes, ...later.removedNodes]
+    .filter(node => changes.get(node.path) === 'removed');
+
+  return { changes, removedNodes, ...counts };
+};
+
+/**
+ * Hashes every pair of same-sized files found at the same path in both trees
+ * (in a worker, see hashNodesInWorker) and resolves to the set of paths whose
+ * contents differ. `onProgress` receives scan-style progress over all files.
+ */
+export const findContentChanges = async (before, after, { onProgress, signal } = {}) => {
+  const pairs = [];
+  const collect = (oldNode, newNode) => {
+    const oldChildren = new Map(oldNode.children.map(child => [child.name, child]));
+    newNode.children.forEach(child => {
+      const old = oldChildren.get(child.name);
+      if (!old || old.type !== child.type) return;
+      if (child.type === 'directory') collect(old, child);
+      else if (old.size === child.size) pairs.push([old, child]);
+    });
+  };
+  collect(before, after);
+
+  // Files that already carry a hash don't need to be read again
+  const oldNodes = pairs.map(([old]) => old).filter(node => !node.hash);
+  const newNodes = pairs.map(([, current]) => current).filter(node => !node.hash);
+  const totalEntries = oldNodes.length + newNodes.length;
+
+  const hashSide = async (nodes, offset) => {
+    const { hashes, errors } = await hashNodesInWorker(nodes, {
+      onProgress: (progress) => onProgress?.({ ...progress, entries: progress.entries + offset, totalEntries }),
+      signal
+    });
+    const [path, message] = errors.entries().next().value || [];
+    if (path !== undefined) throw new Error(`Failed to read ${path}: ${message}`);
+    return hashes;
+  };
+  const oldHashes = await hashSide(oldNodes, 0);
+  const newHashes = await hashSide(newNodes, oldNodes.length);
+
+  const changed = new Set();
+  pairs.forEach(([old, current]) => {
+    const oldHash = old.hash ?? oldHashes.get(old.path).hash;
+    const newHash = current.hash ?? newHashes.get(current.path).hash;
+    if (oldHash !== newHash) changed.add(current.path);
+  });
+  return changed;
+};
+
+/**
+ * Combines both trees into one for display. Every node gets a `status`
+ * ('added', 'removed', 'modified' or 'unchanged') from `changes`, and
+ * `containsChanges` when it or anything below it changed. Modified files keep
+ * their old size in `previousSize`. A path that switched between file and
+ * folder is listed twice: once removed, once added.
+ */
+export const mergeTrees = (before, after, changes) => {
+  const visit = (oldNode, newNode, forcedStatus) => {
+    const node = newNode || oldNode;
+    const status = forcedStatus || changes.get(node.path) || 'unchanged';
+    const merged = { ...node, status };
+    if (status === 'modified' && oldNode && newNode) merged.previousSize = oldNode.size;
+
+    if (node.type === 'directory') {
+      const childStatus = forcedStatus || (status === 'added' || status === 'removed' ? status : null);
+      const oldChildren = new Map((oldNode?.children || []).map(child => [child.name, child]));
+      const children = [];
+
+      (newNode?.children || []).forEach(child => {
+        const old = oldChildren.get(child.name);
+        oldChildren.delete(child.name);
+        if (old && old.type !== child.type) {
+          children.push(visit(old, null, 'removed'), visit(null, child, 'added'));
+        } else {
+          children.push(visit(old, child, childStatus));
+        }
+      });
+      oldChildren.forEach(old => children.push(visit(old, null, 'removed')));
+
+      merged.children = children.sort(compareNodes);
+    }
+
+    merged.containsChanges = status !== 'unchanged' ||
+      !!merged.children?.some(child => child.containsChanges);
+    return merged;
+  };
+
+  return visit(before, after, null);
+};
+
+// Drops unchanged entries from a merged tree, keeping the folders that lead to changes
+export const pruneUnchanged = (merged) => {
+  if (merged.type !== 'directory') return merged;
+  return {
+    ...merged,
+    children: merged.children.filter(child => child.containsChanges).map(pruneUnchanged)
+  };
+};
+
+// " (1.2 KB → 1.5 KB)" for a modified file whose size changed, '' otherwise
+export const describeSizeChange = (node) => (
+  node.type === 'file' && node.previousSize !== undefined && node.previousSize !== node.size
+    ? ` (${formatBytes(node.previousSize)} → ${formatBytes(node.size)})`
+    : ''
+);
+
+const DIFF_MARKERS = {
+  added: '+',
+  removed: '-',
+  modified: '~',
+  unchanged: ' '
+};
+
+/**
+ * Renders a merged tree as a text tree (see renderTextTreeRows) with a
+ * diff-style marker in front of every line, old and new sizes after modified
+ * files, and a summary of the counts in `diff`.
+ */
+export const renderDiffReport = (merged, diff, { beforeName, afterName, ...treeOptions } = {}) => {
+  const lines = [`--- ${beforeName ?? 'before'}`, `+++ ${afterName ?? merged.name}`, ''];
+
+  renderTextTreeRows(merged, treeOptions).forEach(({ text, node }) => {
+    if (!node) {
+      lines.push(`  ${text}`.trimEnd());
+      return;
+    }
+    lines.push(`${DIFF_MARKERS[node.status]} ${text}${describeSizeChange(node)}`);
+  });
+
+  lines.push('', `${diff.added} added, ${diff.removed} removed, ${diff.modified} modified`);
+  return lines.join('\n');
+};
@@ -0,0 +1,145 @@
+/**
+ * File classification for previews. `getFileType` picks the preview kind and
+ * `getCodeLanguage` the Prism grammar used to highlight code files.
+ */
+
+// Extension -> Prism language. Grammars missing from prism-react-renderer's
+// bundle are registered in utils/prismLanguages.
+const CODE_LANGUAGES = {
+  js: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  jsx: 'jsx',
+  ts: 'typescript',
+  mts: 'typescript',
+  cts: 'typescript',
+  tsx: 'tsx',
+  json: 'json',
+  jsonc: 'json',
+  html: 'markup',
+  htm: 'markup',
+  xml: 'markup',
+  vue: 'markup',
+  svelte: 'markup',
+  css: 'css',
+  scss: 'css',
+  less: 'css',
+  py: 'python',
+  pyw: 'python',
+  java: 'java',
+  kt: 'kotlin',
+  kts: 'kotlin',
+  php: 'php',
+  go: 'go',
+  rs: 'rust',
+  rb: 'ruby',
+  c: 'c',
+  h: 'c',
+  cpp: 'cpp',
+  cc: 'cpp',
+  cxx: 'cpp',
+  hpp: 'cpp',
+  hh: 'cpp',
+  hxx: 'cpp',
+  cs: 'csharp',
+  m: 'objectivec',
+  swift: 'swift',
+  sh: 'bash',
+  bash: 'bash',
+  zsh: 'bash',
+  yaml: 'yaml',
+  yml: 'yaml',
+  toml: 'toml',
+  sql: 'sql',
+  graphql: 'graphql',
+  gql: 'graphql',
+  coffee: 'coffeescript',
+  re: 'reason',
+  as: 'actionscript'
+};
+
+// Extensionless files that are still worth highlighting
+const CODE_FILENAMES = {
+  '.bashrc': 'bash',
+  '.zshrc': 'bash',
+  '.profile': 'bash',
+  gemfile: 'ruby',
+  rakefile: 'ruby',
+  'cargo.lock': 'toml'
+};
+
+const MARKDOWN_EXTENSIONS = ['md', 'markdown', 'mdown', 'mkd'];
+const TEXT_EXTENSIONS = ['txt', 'csv', 'tsv', 'log', 'ini', 'cfg', 'conf', 'env', 'lock'];
+const TEXT_FILENAMES = ['readme', 'license', 'changelog', 'makefile', 'dockerfile', '.gitignore', '.gitattributes', '.editorconfig', '.npmrc', '.env'];
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'svg', 'webp'];
+const AUDIO_EXTENSIONS = ['mp3', 'm4a', 'wav', 'ogg', 'flac'];
+const VIDEO_EXTENSIONS = ['mp4', 'm4v', 'webm', 'mov'];
+
+// Lower-cased extension without the dot; '' for none and for dotfiles like .gitignore
+export const getExtension = (filename) => {
+  const dot = filename.lastIndexOf('.');
+  return dot > 0 ? filename.slice(dot + 1).toLowerCase() : '';
+};
+
+/**
+ * Returns the Prism language for a file name, or null when it isn't code.
+ */
+export const getCodeLanguage = (filename) => {
+  if (!filename) return null;
+  const lower = filename.toLowerCase();
+  return CODE_FILENAMES[lower] || CODE_LANGUAGES[getExtension(lower)] || null;
+};
+
+export const isMarkdownFile = (filename) =>
+  !!filename && MARKDOWN_EXTENSIONS.includes(getExtension(filename));
+
+/**
+ * Classifies a file name as 'text', 'image', 'code', 'audio', 'video', 'pdf' or 'other'.
+ */
+export const getFileType = (filename) => {
+  if (!filename) return 'other';
+  const ext = getExtension(filename);
+
+  if (getCodeLanguage(filename)) return 'code';
+  if (
+    TEXT_EXTENSIONS.includes(ext) ||
+    MARKDOWN_EXTENSIONS.includes(ext) ||
+    TEXT_FILENAMES.includes(filename.toLowerCase())
+  ) return 'text';
+  if (IMAGE_EXTENSIONS.includes(ext)) return 'image';
+  if (AUDIO_EXTENSIONS.includes(ext)) return 'audio';
+  if (VIDEO_EXTENSIONS.includes(ext)) return 'video';
+  if (ext === 'pdf') return 'pdf';
+  return 'other';
+};
+
+// Groups behind the Folder View file icons, also used to colour the treemap
+const ICON_CATEGORIES = {
+  document: ['txt', 'pdf', 'doc', 'docx', 'md', 'csv', 'xls', 'xlsx'],
+  image: ['jpg', 'jpeg', 'png', 'gif', 'svg', 'webp'],
+  code: ['js', 'jsx', 'ts', 'html', 'css', 'json', 'py', 'java'],
+  audio: ['mp3', 'wav'],
+  video: ['mp4', 'mov'],
+  archive: ['zip', 'rar', '7z', 'tar', 'gz', 'tgz']
+};
+
+const ICON_CATEGORY_BY_EXTENSION = new Map(
+  Object.entries(ICON_CATEGORIES).flatMap(([category, extensions]) =>
+    extensions.map(ext => [ext, category]))
+);
+
+export const ICON_CATEGORY_LABELS = {
+  document: 'Documents',
+  image: 'Images',
+  code: 'Code',
+  audio: 'Audio',
+  video: 'Video',
+  archive: 'Archives',
+  other: 'Other'
+};
+
+/**
+ * Returns the icon category of a file name: one of the ICON_CATEGORY_LABELS keys.
+ */
+export const getIconCategory = (filename) =>
+  ICON_CATEGORY_BY_EXTENSION.get(getExtension(filename || '')) || 'other';
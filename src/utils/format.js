@@ -0,0 +1,45 @@
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+export const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) return '';
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < BYTE_UNITS.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${BYTE_UNITS[unit]}`;
+};
+
+// `tree -h` style: at most four characters, e.g. " 512", "4.0K", " 12M"
+export const formatTreeSize = (bytes) => {
+  if (bytes === null || bytes === undefined) return '   ?';
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < BYTE_UNITS.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  const text = unit === 0
+    ? String(value)
+    : `${value < 10 ? value.toFixed(1) : Math.round(value)}${BYTE_UNITS[unit][0]}`;
+  return text.padStart(4);
+};
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+// Local date and time as "YYYY-MM-DD HH:MM"
+export const formatDate = (mtime) => {
+  if (mtime === null || mtime === undefined) return '';
+  const date = new Date(mtime);
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())} ${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+};
+
+export const pluralize = (count, singular, plural) =>
+  `${count} ${count === 1 ? singular : plural}`;
+
+// Quotes a CSV field when it contains a delimiter, quote or line break
+export const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
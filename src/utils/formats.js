@@ -0,0 +1,314 @@
+/**
+ * Serializers that turn the normalized tree into exportable text.
+ * Each format maps to { label, extension, mimeType, serialize(root, treeOptions) };
+ * text-tree based formats honour the drawing options of renderTextTree.
+ */
+
+import { csvField, formatDate, formatTreeSize, pluralize } from './format.js';
+import { computeStats, renderStatsBlock } from './stats.js';
+
+const isDirectory = (node) => node.type === 'directory';
+
+// Path including the root folder name, e.g. "my-repo/src/index.js"
+const displayPath = (root, node) => (node.path ? `${root.name}/${node.path}` : root.name);
+
+const walk = (node, visit, depth = 0) => {
+  visit(node, depth);
+  node.children?.forEach(child => walk(child, visit, depth + 1));
+};
+
+// Characters of the SHA-256 shown in text trees; exports with columns keep all 64
+const HASH_PREFIX_LENGTH = 12;
+
+export const TREE_STYLES = {
+  unicode: {
+    label: 'Unicode (├──)',
+    glyphs: { branch: '├', last: '└', vertical: '│', horizontal: '─' },
+    indentRoot: true
+  },
+  ascii: {
+    label: 'ASCII (|--)',
+    glyphs: { branch: '|', last: '`', vertical: '|', horizontal: '-' },
+    indentRoot: true
+  },
+  tree: {
+    label: 'tree command',
+    glyphs: { branch: '├', last: '└', vertical: '│', horizontal: '─' },
+    indentRoot: false,
+    summary: true,
+    // Applied when the style is picked, to match `tree` output exactly
+    defaults: { indentWidth: 4, trailingSlash: false, rootLine: 'name' }
+  }
+};
+
+export const ROOT_LINE_OPTIONS = {
+  name: 'Folder name',
+  dot: '.',
+  none: 'Hidden'
+};
+
+export const DEFAULT_TREE_OPTIONS = {
+  style: 'unicode',
+  indentWidth: 4,
+  trailingSlash: true,
+  rootLine: 'name',
+  // Where the text export puts a statistics block: a STATS_BLOCK_OPTIONS key
+  statsBlock: 'none'
+};
+
+/**
+ * Renders the tree as `tree`-style rows of { text, node, nameStart }, where
+ * `nameStart` is the offset of the node name within `text` (node is null for
+ * the summary lines).
+ *
+ * Options: `style` (key of TREE_STYLES), `indentWidth` (2-8), `trailingSlash`,
+ * `rootLine` (key of ROOT_LINE_OPTIONS), plus `icons` to prefix emoji,
+ * `isExpanded(node)` to stop at collapsed folders and `annotations`
+ * ({ size, date, count, hash }) for `tree -sh`-style `[size date hash]`
+ * prefixes and per-folder file counts. Hashes are shortened to 12 characters.
+ */
+export const renderTextTreeRows = (root, options = {}) => {
+  const {
+    style,
+    indentWidth,
+    trailingSlash,
+    rootLine,
+    icons = false,
+    isExpanded = () => true,
+    annotations = {}
+  } = {
+    ...DEFAULT_TREE_OPTIONS,
+    ...options
+  };
+  const { glyphs, indentRoot, summary } = TREE_STYLES[style] || TREE_STYLES.unicode;
+  const width = Math.max(2, indentWidth);
+
+  // Always one stroke after the branch glyph; at width 2 it takes the place
+  // of the gap before the name (`├─name`, `|-name`)
+  const strokes = glyphs.horizontal.repeat(Math.max(1, width - 2));
+  const gap = width > 2 ? ' ' : '';
+  const branch = `${glyphs.branch}${strokes}${gap}`;
+  const last = `${glyphs.last}${strokes}${gap}`;
+  const vertical = glyphs.vertical.padEnd(width);
+  const blank = ' '.repeat(width);
+
+  const lines = [];
+  let directories = 0;
+  let files = 0;
+
+  const prefixOf = (node) => {
+    const folder = isDirectory(node);
+    const meta = [
+      annotations.size ? formatTreeSize(node.size) : null,
+      annotations.date ? formatDate(node.mtime).padEnd(16) : null,
+      annotations.hash ? (node.hash?.slice(0, HASH_PREFIX_LENGTH) ?? '').padEnd(HASH_PREFIX_LENGTH) : null
+    ].filter(part => part !== null);
+    const bracket = meta.length > 0 ? `[${meta.join(' ')}]  ` : '';
+    const icon = icons ? `${folder ? (isExpanded(node) ? '📂' : '📁') : '📄'} ` : '';
+    return `${bracket}${icon}`;
+  };
+
+  const suffixOf = (node) => {
+    if (!isDirectory(node)) return '';
+    const count = annotations.count ? ` (${pluralize(node.fileCount ?? 0, 'file', 'files')})` : '';
+    return `${trailingSlash ? '/' : ''}${count}`;
+  };
+
+  const pushRow = (node, before, name, after) => {
+    lines.push({ text: `${before}${name}${after}`, node, nameStart: before.length });
+  };
+
+  const renderChildren = (node, prefix) => {
+    if (!isDirectory(node) || !isExpanded(node)) return;
+    node.children.forEach((child, i) => {
+      const isLast = i === node.children.length - 1;
+      isDirectory(child) ? directories++ : files++;
+      pushRow(child, `${prefix}${isLast ? last : branch}${prefixOf(child)}`, child.name, suffixOf(child));
+      renderChildren(child, prefix + (isLast ? blank : vertical));
+    });
+  };
+
+  const showRoot = rootLine !== 'none';
+  if (showRoot) {
+    const rootIcon = icons ? '📁 ' : '';
+    pushRow(root, rootIcon, rootLine === 'dot' ? '.' : root.name, rootLine === 'dot' || !trailingSlash ? '' : '/');
+  }
+  renderChildren(root, showRoot && indentRoot ? blank : '');
+
+  if (summary) {
+    const text = `${pluralize(directories, 'directory', 'directories')}, ${pluralize(files, 'file', 'files')}`;
+    lines.push({ text: '', node: null, nameStart: 0 }, { text, node: null, nameStart: 0 });
+  }
+
+  return lines;
+};
+
+/**
+ * Renders the tree as an array of text lines. See renderTextTreeRows for options.
+ */
+export const renderTextTree = (root, options = {}) =>
+  renderTextTreeRows(root, options).map(row => row.text);
+
+const toMarkdownList = (root) => {
+  const lines = [];
+  walk(root, (node, depth) => {
+    const name = node.name.replace(/([\\`*_[\]<>#|])/g, '\\$1');
+    lines.push(`${'  '.repeat(depth)}- ${isDirectory(node) ? `**${name}/**` : name}`);
+  });
+  return lines.join('\n');
+};
+
+const toMarkdownCodeBlock = (root, treeOptions) => {
+  const text = renderTextTree(root, treeOptions).join('\n');
+  // Use a fence longer than any backtick run inside the tree
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  return `${fence}text\n${text}\n${fence}`;
+};
+
+const toPlainNode = (node) => {
+  const plain = { name: node.name, type: node.type, path: node.path, size: node.size, mtime: node.mtime };
+  if (node.hash) plain.sha256 = node.hash;
+  if (isDirectory(node)) plain.children = node.children.map(toPlainNode);
+  return plain;
+};
+
+const toJson = (root) => JSON.stringify(toPlainNode(root), null, 2);
+
+const toFlatJson = (root) => {
+  const paths = [];
+  walk(root, (node) => {
+    paths.push(`${displayPath(root, node)}${isDirectory(node) ? '/' : ''}`);
+  });
+  return JSON.stringify(paths, null, 2);
+};
+
+// Plain scalars only when YAML can't read them as anything but a string
+const yamlString = (value) => (
+  /^[A-Za-z_][\w .@+-]*$/.test(value) &&
+  !/\s$/.test(value) &&
+  !/^(true|false|yes|no|on|off|null|~)$/i.test(value)
+    ? value
+    : JSON.stringify(value)
+);
+
+const toYaml = (root) => {
+  const lines = [];
+  const writeNode = (node, indent, isItem) => {
+    const first = isItem ? `${indent}- ` : indent;
+    const rest = isItem ? `${indent}  ` : indent;
+    lines.push(`${first}name: ${yamlString(node.name)}`);
+    lines.push(`${rest}type: ${node.type}`);
+    if (node.size !== null && node.size !== undefined) lines.push(`${rest}size: ${node.size}`);
+    if (node.hash) lines.push(`${rest}sha256: ${node.hash}`);
+    if (isDirectory(node)) {
+      if (node.children.length === 0) {
+        lines.push(`${rest}children: []`);
+      } else {
+        lines.push(`${rest}children:`);
+        node.children.forEach(child => writeNode(child, `${rest}  `, true));
+      }
+    }
+  };
+  writeNode(root, '', false);
+  return lines.join('\n');
+};
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const toHtml = (root) => {
+  const lines = [];
+  const writeNode = (node, indent) => {
+    const label = escapeHtml(node.name) + (isDirectory(node) ? '/' : '');
+    if (!isDirectory(node) || node.children.length === 0) {
+      lines.push(`${indent}<li>${label}</li>`);
+      return;
+    }
+    lines.push(`${indent}<li>${label}`);
+    lines.push(`${indent}  <ul>`);
+    node.children.forEach(child => writeNode(child, `${indent}    `));
+    lines.push(`${indent}  </ul>`);
+    lines.push(`${indent}</li>`);
+  };
+  lines.push('<ul>');
+  writeNode(root, '  ');
+  lines.push('</ul>');
+  return lines.join('\n');
+};
+
+// The sha256 column is only added once the tree has been hashed
+const toCsv = (root) => {
+  let hashed = false;
+  walk(root, (node) => {
+    hashed = hashed || !!node.hash;
+  });
+
+  const rows = [hashed ? ['path', 'type', 'size', 'sha256'] : ['path', 'type', 'size']];
+  walk(root, (node) => {
+    const row = [displayPath(root, node), node.type, node.size];
+    rows.push(hashed ? [...row, node.hash] : row);
+  });
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n');
+};
+
+// Adds the statistics block when `statsBlock` asks for one; `lineCounts` come from countLines
+const withStatsBlock = (text, root, { statsBlock, lineCounts } = {}) => {
+  if (statsBlock !== 'header' && statsBlock !== 'footer') return text;
+  const block = renderStatsBlock(computeStats(root, lineCounts));
+  return statsBlock === 'header' ? `${block}\n\n${text}` : `${text}\n\n${block}`;
+};
+
+export const EXPORT_FORMATS = {
+  text: {
+    label: 'Text tree',
+    extension: 'txt',
+    mimeType: 'text/plain',
+    serialize: (root, treeOptions) => withStatsBlock(renderTextTree(root, treeOptions).join('\n'), root, treeOptions)
+  },
+  'markdown-list': {
+    label: 'Markdown list',
+    extension: 'md',
+    mimeType: 'text/markdown',
+    serialize: toMarkdownList
+  },
+  'markdown-code': {
+    label: 'Markdown code block',
+    extension: 'md',
+    mimeType: 'text/markdown',
+    serialize: toMarkdownCodeBlock
+  },
+  json: {
+    label: 'JSON (nested)',
+    extension: 'json',
+    mimeType: 'application/json',
+    serialize: toJson
+  },
+  'json-flat': {
+    label: 'JSON (path list)',
+    extension: 'json',
+    mimeType: 'application/json',
+    serialize: toFlatJson
+  },
+  yaml: {
+    label: 'YAML',
+    extension: 'yaml',
+    mimeType: 'application/yaml',
+    serialize: toYaml
+  },
+  html: {
+    label: 'HTML list',
+    extension: 'html',
+    mimeType: 'text/html',
+    serialize: toHtml
+  },
+  csv: {
+    label: 'CSV',
+    extension: 'csv',
+    mimeType: 'text/csv',
+    serialize: toCsv
+  }
+};
@@ -0,0 +1,58 @@
+/**
+ * Helpers around content hashes computed by the scanner's hashNodes.
+ *
+ * @typedef {Object} DuplicateGroup
+ * @property {string} hash
+ * @property {number} size      Size of each copy
+ * @property {string[]} paths   Every copy, in tree order
+ * @property {number} wasted    Bytes taken by all copies but one
+ */
+
+import { collectFiles } from './tree.js';
+
+/**
+ * Returns a copy of the tree with `hash` set on every file whose entry in
+ * `hashes` was computed for the same size and date, so hashes left over from
+ * before a refresh never describe changed files. Unchanged subtrees are shared.
+ */
+export const attachHashes = (root, hashes) => {
+  const visit = (node) => {
+    if (node.type === 'file') {
+      const entry = hashes.get(node.path);
+      return entry && entry.size === node.size && entry.mtime === node.mtime
+        ? { ...node, hash: entry.hash }
+        : node;
+    }
+    const children = node.children.map(visit);
+    return children.some((child, i) => child !== node.children[i]) ? { ...node, children } : node;
+  };
+  return visit(root);
+};
+
+/**
+ * Groups hashed files with identical contents, largest waste first.
+ *
+ * @returns {{ groups: DuplicateGroup[], wasted: number, duplicateFiles: number }}
+ */
+export const findDuplicates = (root) => {
+  const byHash = new Map();
+  collectFiles(root).forEach(file => {
+    if (!file.hash) return;
+    if (!byHash.has(file.hash)) byHash.set(file.hash, []);
+    byHash.get(file.hash).push(file);
+  });
+
+  const groups = [];
+  byHash.forEach((files, hash) => {
+    if (files.length < 2) return;
+    const size = files[0].size ?? 0;
+    groups.push({ hash, size, paths: files.map(file => file.path), wasted: size * (files.length - 1) });
+  });
+  groups.sort((a, b) => b.wasted - a.wasted || a.paths[0].localeCompare(b.paths[0]));
+
+  return {
+    groups,
+    wasted: groups.reduce((sum, group) => sum + group.wasted, 0),
+    duplicateFiles: groups.reduce((sum, group) => sum + group.paths.length - 1, 0)
+  };
+};
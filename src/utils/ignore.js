@@ -0,0 +1,221 @@
+/**
+ * .gitignore-compatible path matching.
+ *
+ * Supported syntax: comments, escaped `\#`/`\!`, trailing-space trimming,
+ * `!` negation, trailing `/` for directory-only rules, leading or inner `/`
+ * for anchoring, `*`, `?`, `[...]` classes and `**` in leading, trailing and
+ * inner positions. Rules from nested ignore files apply relative to their own
+ * folder and take precedence over rules from parent folders.
+ */
+
+import { aggregateDirectory, countItems } from '../scanner/index.js';
+
+export const DEFAULT_IGNORE_SETTINGS = {
+  useGitignore: true,
+  exclude: '.git/',
+  include: ''
+};
+
+const escapeRegExp = (char) => char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+export const globToRegExpSource = (glob) => {
+  let source = '';
+  let i = 0;
+
+  while (i < glob.length) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const atStart = i === 0 || glob[i - 1] === '/';
+        const next = glob[i + 2];
+        if (atStart && next === '/') {
+          source += '(?:.*/)?';
+          i += 3;
+          continue;
+        }
+        if (atStart && next === undefined) {
+          source += '.*';
+          i += 2;
+          continue;
+        }
+      }
+      source += '[^/]*';
+      i += glob[i + 1] === '*' ? 2 : 1;
+    } else if (char === '?') {
+      source += '[^/]';
+      i++;
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+        i++;
+        continue;
+      }
+      let body = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+      if (body[0] === '!') body = `^${body.slice(1)}`;
+      source += `[${body}]`;
+      i = end + 1;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegExp(glob[i + 1]);
+      i += 2;
+    } else {
+      source += escapeRegExp(char);
+      i++;
+    }
+  }
+
+  return source;
+};
+
+/**
+ * Compiles one ignore-file line. Returns null for blank lines and comments.
+ */
+export const compileRule = (line) => {
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+
+  let negate = false;
+  if (pattern.startsWith('!')) {
+    negate = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+
+  let dirOnly = false;
+  if (pattern.endsWith('/')) {
+    dirOnly = true;
+    pattern = pattern.replace(/\/+$/, '');
+  }
+  if (!pattern) return null;
+
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\/+/, '');
+
+  const body = globToRegExpSource(pattern);
+  const regex = new RegExp(`^${anchored ? '' : '(?:.*/)?'}${body}$`);
+  return { source: line, negate, dirOnly, regex };
+};
+
+export const parseRules = (text) =>
+  text.split(/\r?\n/).map(compileRule).filter(Boolean);
+
+/**
+ * @typedef {Object} RuleSet
+ * @property {string} base  Folder path the rules are relative to ('' for the root)
+ * @property {ReturnType<typeof compileRule>[]} rules
+ */
+
+const getDepth = (path) => (path ? path.split('/').length : 0);
+
+/**
+ * Builds an `isIgnored(path, isDirectory)` predicate from rule sets, applied
+ * in the given order; within a set the last matching rule wins, as in git.
+ */
+export const createIgnoreMatcher = (ruleSets) => (path, isDirectory) => {
+  let ignored = false;
+
+  for (const { base, rules } of ruleSets) {
+    if (base && !path.startsWith(`${base}/`)) continue;
+    const relative = base ? path.slice(base.length + 1) : path;
+
+    for (const rule of rules) {
+      if (rule.dirOnly && !isDirectory) continue;
+      if (rule.negate === ignored && rule.regex.test(relative)) {
+        ignored = !rule.negate;
+      }
+    }
+  }
+
+  return ignored;
+};
+
+/**
+ * Rule sets of every `.gitignore` the scan read (see readIgnoreFiles),
+ * outermost folder first so deeper ignore files take precedence. Unreadable
+ * ignore files carry scan errors instead and are skipped here.
+ */
+export const getGitignoreRuleSets = (root) => {
+  const ruleSets = [];
+  const visit = (node) => {
+    if (typeof node.ignoreText === 'string') {
+      const slash = node.path.lastIndexOf('/');
+      ruleSets.push({ base: slash === -1 ? '' : node.path.slice(0, slash), rules: parseRules(node.ignoreText) });
+    }
+    node.children?.forEach(visit);
+  };
+  visit(root);
+  return ruleSets.sort((a, b) => getDepth(a.base) - getDepth(b.base));
+};
+
+/**
+ * Topmost paths in the tree that the rule sets hide. Saved sessions keep these
+ * instead of the ignore files' contents (see ruleSetFromPaths).
+ */
+export const listIgnoredPaths = (root, ruleSets) => {
+  if (ruleSets.length === 0) return [];
+  const isIgnored = createIgnoreMatcher(ruleSets);
+  const paths = [];
+  const visit = (node) => {
+    node.children?.forEach(child => {
+      if (isIgnored(child.path, child.type === 'directory')) paths.push(child.path);
+      else visit(child);
+    });
+  };
+  visit(root);
+  return paths;
+};
+
+/**
+ * Rule set hiding exactly `paths` and everything below them.
+ */
+export const ruleSetFromPaths = (paths) => ({
+  base: '',
+  rules: paths.map(path => ({
+    source: path,
+    negate: false,
+    dirOnly: false,
+    regex: new RegExp(`^${escapeRegExp(path)}$`)
+  }))
+});
+
+/**
+ * Combines ignore-file rules with user patterns. Excludes use ignore-file
+ * syntax relative to the root; includes re-show matches and win over everything
+ * except an excluded parent folder.
+ */
+export const buildIgnoreMatcher = ({ gitignoreRuleSets = [], exclude = '', include = '' }) => {
+  const ruleSets = [
+    ...gitignoreRuleSets,
+    { base: '', rules: parseRules(exclude) },
+    { base: '', rules: parseRules(include).map(rule => ({ ...rule, negate: true })) }
+  ];
+  return ruleSets.some(set => set.rules.length > 0) ? createIgnoreMatcher(ruleSets) : null;
+};
+
+/**
+ * Returns a pruned copy of the tree without ignored nodes, with directory sizes
+ * and file counts recomputed, and the number of nodes that were hidden. Children of an ignored
+ * folder are never visited, so they can't be re-included (matching git).
+ */
+export const filterTree = (root, isIgnored) => {
+  let hiddenCount = 0;
+
+  const visit = (node) => {
+    if (node.type !== 'directory') return node;
+
+    const children = [];
+    for (const child of node.children) {
+      if (isIgnored(child.path, child.type === 'directory')) {
+        hiddenCount += countItems(child);
+        continue;
+      }
+      children.push(visit(child));
+    }
+    return aggregateDirectory({ ...node, children });
+  };
+
+  const tree = visit(root);
+  return { tree, hiddenCount };
+};
@@ -0,0 +1,104 @@
+/**
+ * Compact grammars for languages prism-react-renderer doesn't bundle,
+ * registered on its Prism instance. They cover comments, strings, keywords
+ * and literals, which is enough for a read-only preview.
+ */
+
+import { Prism } from 'prism-react-renderer';
+
+const { languages } = Prism;
+
+const number = /\b0x[\da-f_]+\b|(?:\b\d[\d_]*(?:\.[\d_]*)?|\B\.\d[\d_]*)(?:e[+-]?\d+)?[a-z]*\b/i;
+
+if (!languages.bash) {
+  languages.bash = {
+    shebang: { pattern: /^#!.*/, alias: 'important' },
+    comment: { pattern: /(^|[^"{\\$])#.*/, lookbehind: true },
+    string: {
+      pattern: /(["'])(?:\\[\s\S]|(?!\1)[^\\])*\1/,
+      greedy: true,
+      inside: { variable: /\$(?:\w+|\{[^}]+\})/ }
+    },
+    variable: /\$(?:\w+|[#?*!@$]|\{[^}]+\}|\([^)]+\))/,
+    keyword: {
+      pattern: /(^|[\s;|&(])(?:case|do|done|elif|else|esac|export|fi|for|function|if|in|local|readonly|return|select|then|until|while)(?=$|[\s;|&)])/,
+      lookbehind: true
+    },
+    builtin: /\b(?:cd|echo|eval|exec|exit|printf|read|set|shift|source|test|trap|unset)\b/,
+    boolean: /\b(?:false|true)\b/,
+    number: /\b\d+\b/,
+    operator: /&&|\|\||[<>]=?|!=?|=|\|/,
+    punctuation: /[{}[\]();]/
+  };
+  languages.sh = languages.bash;
+  languages.shell = languages.bash;
+}
+
+if (!languages.toml) {
+  languages.toml = {
+    comment: { pattern: /#.*/, greedy: true },
+    table: {
+      pattern: /(^[\t ]*\[\s*(?:\[\s*)?)[^\]\n]+(?=\s*\])/m,
+      lookbehind: true,
+      alias: 'class-name'
+    },
+    key: {
+      pattern: /(^[\t ]*|[{,]\s*)[\w.'"-]+(?=\s*=)/m,
+      lookbehind: true,
+      alias: 'property'
+    },
+    string: { pattern: /"""[\s\S]*?"""|'''[\s\S]*?'''|'[^'\n]*'|"(?:\\.|[^\\"\n])*"/, greedy: true },
+    date: {
+      pattern: /\b\d{4}-\d{2}-\d{2}(?:[T\s]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})?)?\b/i,
+      alias: 'number'
+    },
+    number: /[+-]?(?:\b0x[\da-f_]+|\b0o[0-7_]+|\b0b[01_]+|\b\d[\d_]*(?:\.[\d_]+)?(?:e[+-]?[\d_]+)?|\b(?:inf|nan)\b)/i,
+    boolean: /\b(?:false|true)\b/,
+    punctuation: /[.,=[\]{}]/
+  };
+}
+
+if (!languages.ruby) {
+  languages.ruby = languages.extend('clike', {
+    comment: { pattern: /#.*|^=begin\s[\s\S]*?^=end/m, greedy: true },
+    'class-name': {
+      pattern: /(\b(?:class|module)\s+)[\w:]+/,
+      lookbehind: true
+    },
+    keyword: /\b(?:BEGIN|END|alias|and|begin|break|case|class|def|defined\?|do|else|elsif|end|ensure|for|if|in|module|next|nil|not|or|redo|require|rescue|retry|return|self|super|then|undef|unless|until|when|while|yield)\b/,
+    number
+  });
+  languages.insertBefore('ruby', 'keyword', {
+    symbol: { pattern: /(^|[^:]):[a-z_]\w*[?!]?/i, lookbehind: true, alias: 'constant' },
+    variable: /[@$]{1,2}\w+/
+  });
+}
+
+if (!languages.java) {
+  languages.java = languages.extend('clike', {
+    keyword: /\b(?:abstract|assert|break|case|catch|class|const|continue|default|do|else|enum|extends|final|finally|for|goto|if|implements|import|instanceof|interface|native|new|package|permits|private|protected|public|record|return|sealed|static|super|switch|synchronized|this|throw|throws|transient|try|var|void|volatile|while|yield|boolean|byte|char|double|float|int|long|short)\b/,
+    number
+  });
+  languages.insertBefore('java', 'keyword', {
+    annotation: { pattern: /(^|[^.])@\w+/, lookbehind: true, alias: 'punctuation' }
+  });
+}
+
+if (!languages.csharp) {
+  languages.csharp = languages.extend('clike', {
+    keyword: /\b(?:abstract|as|async|await|base|bool|break|byte|case|catch|char|checked|class|const|continue|decimal|default|delegate|do|double|else|enum|event|explicit|extern|finally|fixed|float|for|foreach|get|goto|if|implicit|in|init|int|interface|internal|is|lock|long|namespace|new|null|object|operator|out|override|params|private|protected|public|readonly|record|ref|return|sbyte|sealed|set|short|sizeof|stackalloc|static|string|struct|switch|this|throw|try|typeof|uint|ulong|unchecked|unsafe|ushort|using|var|virtual|void|volatile|when|where|while|yield)\b/,
+    number
+  });
+}
+
+if (!languages.php) {
+  languages.php = languages.extend('clike', {
+    comment: { pattern: /\/\*[\s\S]*?\*\/|(?:\/\/|#(?!\[)).*/, greedy: true },
+    keyword: /\b(?:abstract|and|array|as|break|callable|case|catch|class|clone|const|continue|declare|default|do|echo|else|elseif|empty|enddeclare|endfor|endforeach|endif|endswitch|endwhile|enum|extends|final|finally|fn|for|foreach|function|global|goto|if|implements|include|include_once|instanceof|insteadof|interface|isset|list|match|namespace|new|or|print|private|protected|public|readonly|require|require_once|return|static|switch|throw|trait|try|unset|use|var|while|xor|yield)\b/i,
+    number
+  });
+  languages.insertBefore('php', 'keyword', {
+    delimiter: { pattern: /<\?(?:php|=)?|\?>/i, alias: 'important' },
+    variable: /\$+\w+/
+  });
+}
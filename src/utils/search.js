@@ -0,0 +1,103 @@
+import { aggregateDirectory } from '../scanner/index.js';
+import { globToRegExpSource } from './ignore.js';
+
+export const SEARCH_MODES = {
+  substring: 'Text',
+  glob: 'Glob',
+  regex: 'Regex'
+};
+
+export const DEFAULT_SEARCH = {
+  query: '',
+  mode: 'substring',
+  caseSensitive: false
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compiles a search into `match(node) => [start, end][] | null`, where the
+ * ranges are the characters of `node.name` to highlight. Returns
+ * `{ match: null, error }` for an empty query or an invalid regex.
+ */
+export const createNodeMatcher = ({ query, mode, caseSensitive }) => {
+  if (!query) return { match: null, error: null };
+  const flags = caseSensitive ? 'g' : 'gi';
+
+  if (mode === 'glob') {
+    // Globs containing a slash are matched against the whole path
+    const regex = new RegExp(`^${globToRegExpSource(query)}$`, flags.replace('g', ''));
+    const byPath = query.includes('/');
+    return {
+      match: (node) => (regex.test(byPath ? node.path : node.name) ? [[0, node.name.length]] : null),
+      error: null
+    };
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(mode === 'regex' ? query : escapeRegExp(query), flags);
+  } catch (err) {
+    return { match: null, error: err.message };
+  }
+
+  return {
+    match: (node) => {
+      const ranges = [];
+      for (const found of node.name.matchAll(regex)) {
+        if (found[0].length === 0) continue;
+        ranges.push([found.index, found.index + found[0].length]);
+      }
+      return ranges.length > 0 ? ranges : null;
+    },
+    error: null
+  };
+};
+
+/**
+ * Prunes the tree to matching nodes plus their ancestors. A matching folder
+ * keeps its whole subtree. Returns the pruned copy (folder sizes and counts
+ * recomputed), the matched nodes in tree
+ * order, highlight ranges keyed by path and the ancestor folder paths to expand.
+ */
+export const searchTree = (root, match) => {
+  const matches = [];
+  const ranges = new Map();
+  const ancestors = new Set();
+
+  const record = (node) => {
+    const found = node.path ? match(node) : null;
+    if (found) {
+      matches.push(node);
+      ranges.set(node.path, found);
+    }
+    return found;
+  };
+
+  // Descendants of a matching folder stay visible, but are still searched for highlights
+  const keepSubtree = (node) => {
+    const found = record(node);
+    if (node.type !== 'directory') return !!found;
+    const hasMatchInside = node.children.map(keepSubtree).some(Boolean);
+    if (hasMatchInside) ancestors.add(node.path);
+    return !!found || hasMatchInside;
+  };
+
+  const visit = (node) => {
+    const found = record(node);
+    if (node.type !== 'directory') return found ? node : null;
+
+    if (found) {
+      if (node.children.map(keepSubtree).some(Boolean)) ancestors.add(node.path);
+      return node;
+    }
+
+    const children = node.children.map(visit).filter(Boolean);
+    if (children.length === 0 && node.path) return null;
+    if (children.length > 0) ancestors.add(node.path);
+    return aggregateDirectory({ ...node, children });
+  };
+
+  const tree = visit(root);
+  return { tree, matches, ranges, ancestors };
+};
@@ -0,0 +1,53 @@
+/**
+ * Checkbox selection over a tree. Only file paths are stored; a folder is
+ * checked when every file below it is, and indeterminate when some are.
+ *
+ * @typedef {'all'|'some'|'none'} SelectionState
+ */
+
+import { collectFiles } from './tree.js';
+
+/**
+ * Number of selected files below every folder of the tree, by folder path.
+ * Paths in `selected` that aren't in the tree are ignored.
+ */
+export const countSelected = (root, selected) => {
+  const counts = new Map();
+  const visit = (node) => {
+    if (node.type === 'file') return selected.has(node.path) ? 1 : 0;
+    const count = node.children.reduce((sum, child) => sum + visit(child), 0);
+    counts.set(node.path, count);
+    return count;
+  };
+  visit(root);
+  return counts;
+};
+
+/**
+ * @returns {SelectionState}
+ */
+export const getSelectionState = (node, selected, counts) => {
+  if (node.type === 'file') return selected.has(node.path) ? 'all' : 'none';
+  const count = counts.get(node.path) ?? 0;
+  if (count === 0) return 'none';
+  return count >= (node.fileCount ?? 0) ? 'all' : 'some';
+};
+
+/**
+ * Returns a new selection with the node's files added, or removed when they
+ * were all selected already.
+ */
+export const toggleSelection = (selected, node, counts) => {
+  const next = new Set(selected);
+  const files = collectFiles(node);
+  if (getSelectionState(node, selected, counts) === 'all') {
+    files.forEach(file => next.delete(file.path));
+  } else {
+    files.forEach(file => next.add(file.path));
+  }
+  return next;
+};
+
+// Selected file nodes in tree order
+export const getSelectedFiles = (root, selected) =>
+  collectFiles(root).filter(file => selected.has(file.path));
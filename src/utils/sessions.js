@@ -0,0 +1,168 @@
+/**
+ * Saved trees ("sessions") kept in IndexedDB so they survive a reload. Only
+ * the tree metadata is stored, never file contents, so a reopened tree can be
+ * browsed but not previewed until its files are dropped again.
+ *
+ * @typedef {Object} SessionState
+ * @property {string[]} expandedPaths
+ * @property {string} viewMode
+ * @property {Object} ignoreSettings
+ * @property {Object} searchSettings
+ * @property {string[]} gitignoredPaths  Topmost paths hidden by the tree's .gitignore files
+ *
+ * @typedef {Object} SessionInfo
+ * @property {string} id
+ * @property {string} name       Shown in the recent list; the root's name until renamed
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ * @property {number} files
+ * @property {number} folders
+ * @property {number} bytes
+ * @property {SessionState} [state]
+ */
+
+import { summarizeTree } from '../scanner/index.js';
+
+const DB_NAME = 'folder-structure-viewer';
+const DB_VERSION = 1;
+// Session info is listed often; trees are only read when one is opened
+const INFO_STORE = 'sessions';
+const TREE_STORE = 'trees';
+
+// Older sessions are dropped past this many
+export const MAX_SAVED_SESSIONS = 20;
+
+let databasePromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(INFO_STORE, { keyPath: 'id' });
+      request.result.createObjectStore(TREE_STORE, { keyPath: 'id' });
+    };
+    databasePromise = promisify(request).catch(err => {
+      databasePromise = null;
+      throw err;
+    });
+  }
+  return databasePromise;
+};
+
+// Runs `work` with the object stores of one transaction and resolves with
+// its result once the transaction has committed
+const withStores = async (work, mode = 'readwrite') => {
+  const db = await openDatabase();
+  const transaction = db.transaction([INFO_STORE, TREE_STORE], mode);
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+  const [result] = await Promise.all([
+    work(transaction.objectStore(INFO_STORE), transaction.objectStore(TREE_STORE)),
+    done
+  ]);
+  return result;
+};
+
+export const createSessionId = () => (
+  globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+);
+
+/**
+ * Copy of the tree without file sources, which hold blobs and handles, and
+ * without the text of .gitignore files.
+ */
+export const stripSources = (node) => {
+  const copy = { ...node, source: null };
+  delete copy.ignoreText;
+  if (node.children) copy.children = node.children.map(stripSources);
+  return copy;
+};
+
+/**
+ * Sessions, most recently used first.
+ *
+ * @returns {Promise<SessionInfo[]>}
+ */
+export const listSessions = async () => {
+  const db = await openDatabase();
+  const sessions = await promisify(db.transaction(INFO_STORE).objectStore(INFO_STORE).getAll());
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * Saves the tree of session `id`, creating the session the first time.
+ * The oldest sessions beyond MAX_SAVED_SESSIONS are removed.
+ */
+export const saveSessionTree = (id, tree) => withStores(async (infoStore, treeStore) => {
+  const now = Date.now();
+  const existing = await promisify(infoStore.get(id));
+  const { files, folders, size } = summarizeTree(tree);
+  infoStore.put({
+    name: tree.name,
+    createdAt: now,
+    ...existing,
+    files,
+    folders,
+    bytes: size,
+    id,
+    updatedAt: now
+  });
+  treeStore.put({ id, tree: stripSources(tree) });
+
+  const sessions = await promisify(infoStore.getAll());
+  sessions
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .slice(MAX_SAVED_SESSIONS)
+    .forEach(session => {
+      infoStore.delete(session.id);
+      treeStore.delete(session.id);
+    });
+});
+
+/**
+ * Records the view state of an existing session; unknown ids are ignored.
+ *
+ * @param {string} id
+ * @param {SessionState} state
+ */
+export const saveSessionState = (id, state) => withStores(async (infoStore) => {
+  const existing = await promisify(infoStore.get(id));
+  if (existing) infoStore.put({ ...existing, state, updatedAt: Date.now() });
+});
+
+/**
+ * @returns {Promise<{ info: SessionInfo, tree: Object }|null>}
+ */
+export const loadSession = (id) => withStores(async (infoStore, treeStore) => {
+  const [info, record] = await Promise.all([
+    promisify(infoStore.get(id)),
+    promisify(treeStore.get(id))
+  ]);
+  return info && record ? { info, tree: record.tree } : null;
+}, 'readonly');
+
+export const renameSession = (id, name) => withStores(async (infoStore) => {
+  const existing = await promisify(infoStore.get(id));
+  if (existing) infoStore.put({ ...existing, name });
+});
+
+export const deleteSession = (id) => withStores(async (infoStore, treeStore) => {
+  infoStore.delete(id);
+  treeStore.delete(id);
+});
+
+export const clearSessions = () => withStores(async (infoStore, treeStore) => {
+  infoStore.clear();
+  treeStore.clear();
+});
@@ -0,0 +1,109 @@
+/**
+ * Share links: the tree's names, types and optionally file sizes, as gzipped
+ * JSON in the URL fragment. Browsers never send the fragment to a server, so
+ * the tree only leaves the browser when the link itself is sent.
+ *
+ * In the payload a file is its name, or [name, size] when sizes are included,
+ * and a folder is [name, children].
+ */
+
+import { aggregateDirectory, createNode, gunzip, joinPath } from '../scanner/index.js';
+
+export const SHARE_HASH_PREFIX = '#tree=';
+const SHARE_FORMAT_VERSION = 1;
+
+// Longer links may be cut off by chat apps, email clients and web servers
+export const SHARE_URL_WARN_LENGTH = 8000;
+// Longest URL browsers accept (Chrome's limit)
+export const MAX_SHARE_URL_LENGTH = 2 * 1024 * 1024;
+// Cap on the decompressed payload, so a crafted link can't expand without bound
+const MAX_DECODED_MB = 50;
+
+const encodeNode = (node, includeSizes) => {
+  if (node.type === 'directory') {
+    return [node.name, node.children.map(child => encodeNode(child, includeSizes))];
+  }
+  return includeSizes && node.size !== null ? [node.name, node.size] : node.name;
+};
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  // Chunked, since spreading a large array overflows the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+export const isShareHash = (hash) => hash.startsWith(SHARE_HASH_PREFIX);
+
+/**
+ * Builds a share link for the tree on top of `baseUrl` (the current page by
+ * default). Check `length` against SHARE_URL_WARN_LENGTH and MAX_SHARE_URL_LENGTH.
+ *
+ * @returns {Promise<{ url: string, length: number }>}
+ */
+export const createShareLink = async (root, { includeSizes = false, baseUrl = window.location.href.split('#')[0] } = {}) => {
+  if (typeof CompressionStream === 'undefined') {
+    throw new Error('This browser cannot create compressed links');
+  }
+
+  const json = JSON.stringify({
+    v: SHARE_FORMAT_VERSION,
+    sizes: includeSizes,
+    root: encodeNode(root, includeSizes)
+  });
+  const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  const url = `${baseUrl}${SHARE_HASH_PREFIX}${toBase64Url(bytes)}`;
+  return { url, length: url.length };
+};
+
+const decodeTree = (encodedRoot, hasSizes) => {
+  const visit = (encoded, parentPath) => {
+    const name = Array.isArray(encoded) ? encoded[0] : encoded;
+    if (typeof name !== 'string') throw new Error('Malformed entry in share link');
+    const path = parentPath === null ? '' : joinPath(parentPath, name);
+
+    if (!Array.isArray(encoded?.[1])) {
+      const size = hasSizes && typeof encoded[1] === 'number' ? encoded[1] : null;
+      return createNode({ name, type: 'file', path, size });
+    }
+
+    const node = createNode({ name, type: 'directory', path });
+    node.children = encoded[1].map(child => visit(child, path));
+    aggregateDirectory(node);
+    if (!hasSizes) node.size = null;
+    return node;
+  };
+
+  const root = visit(encodedRoot, null);
+  if (root.type !== 'directory') throw new Error('Malformed share link');
+  return root;
+};
+
+/**
+ * Rebuilds the tree of a share link from its fragment (including the '#').
+ * Its nodes have no sources: the files themselves were never shared.
+ */
+export const readShareLink = async (hash) => {
+  let payload;
+  try {
+    const bytes = fromBase64Url(hash.slice(SHARE_HASH_PREFIX.length));
+    const json = await gunzip(new Blob([bytes]), { maxBytes: MAX_DECODED_MB * 1024 * 1024 });
+    payload = JSON.parse(await json.text());
+  } catch (err) {
+    throw new Error(`This share link is damaged or incomplete: ${err.message}`);
+  }
+
+  if (payload?.v !== SHARE_FORMAT_VERSION) {
+    throw new Error('This share link was made by a different version of the app');
+  }
+  return decodeTree(payload.root, payload.sizes);
+};
@@ -0,0 +1,155 @@
+/**
+ * File type statistics computed from a tree.
+ *
+ * @typedef {Object} StatsRow
+ * @property {string} name    Extension (without the dot, '' for none) or file type
+ * @property {number} files
+ * @property {number} bytes
+ * @property {number|null} lines  Lines in the counted text/code files, null when none were counted
+ *
+ * @typedef {Object} TreeStats
+ * @property {number} files
+ * @property {number} folders
+ * @property {number} bytes
+ * @property {StatsRow[]} byType       Grouped by getFileType, largest first
+ * @property {StatsRow[]} byExtension  Largest first
+ * @property {number|null} lines       Total counted lines, null before counting
+ * @property {number} maxDepth         Levels below the root (its children are at depth 1)
+ * @property {string} deepestPath
+ * @property {string[]} emptyFolders
+ */
+
+import { createProgressTracker, readNodeFile } from '../scanner/index.js';
+import { getExtension, getFileType } from './fileTypes.js';
+import { csvField, formatBytes, pluralize } from './format.js';
+
+// Bigger text files are left out of line counts, like they are from previews
+export const MAX_LINE_COUNT_FILE_MB = 5;
+
+export const STATS_BLOCK_OPTIONS = {
+  none: 'None',
+  header: 'Header',
+  footer: 'Footer'
+};
+
+export const isLineCountable = (node) =>
+  node.type === 'file' && ['text', 'code'].includes(getFileType(node.name));
+
+/**
+ * Counts lines in the text and code files among `nodes`, one file at a time.
+ * Resolves to line counts by path, with the size and date they were counted
+ * for. Unreadable and oversized files are skipped.
+ */
+export const countLines = async (nodes, { onProgress, signal } = {}) => {
+  const counts = new Map();
+  const countable = nodes.filter(node =>
+    isLineCountable(node) && (node.size ?? 0) <= MAX_LINE_COUNT_FILE_MB * 1024 * 1024);
+  const progress = createProgressTracker(onProgress, countable.length);
+
+  for (const node of countable) {
+    signal?.throwIfAborted();
+    try {
+      const text = await (await readNodeFile(node)).text();
+      const newlines = text.match(/\n/g)?.length ?? 0;
+      const lines = newlines + (text.length > 0 && !text.endsWith('\n') ? 1 : 0);
+      counts.set(node.path, { lines, size: node.size, mtime: node.mtime });
+    } catch {
+      // Unreadable files are simply not counted
+    }
+    progress.record(node.path, node.size);
+  }
+
+  progress.flush();
+  return counts;
+};
+
+/**
+ * Computes statistics for the tree. `lineCounts` (from countLines) only
+ * applies to files whose size and date still match.
+ *
+ * @returns {TreeStats}
+ */
+export const computeStats = (root, lineCounts = null) => {
+  const byType = new Map();
+  const byExtension = new Map();
+  const stats = {
+    files: 0,
+    folders: 0,
+    bytes: 0,
+    lines: lineCounts ? 0 : null,
+    maxDepth: 0,
+    deepestPath: '',
+    emptyFolders: []
+  };
+
+  const add = (groups, name, node, lines) => {
+    if (!groups.has(name)) groups.set(name, { name, files: 0, bytes: 0, lines: null });
+    const row = groups.get(name);
+    row.files++;
+    row.bytes += node.size ?? 0;
+    if (lines !== null) row.lines = (row.lines ?? 0) + lines;
+  };
+
+  const visit = (node, depth) => {
+    if (depth > stats.maxDepth) {
+      stats.maxDepth = depth;
+      stats.deepestPath = node.path;
+    }
+
+    if (node.type === 'directory') {
+      if (depth > 0) stats.folders++;
+      if (depth > 0 && node.children.length === 0) stats.emptyFolders.push(node.path);
+      node.children.forEach(child => visit(child, depth + 1));
+      return;
+    }
+
+    const count = lineCounts?.get(node.path);
+    const lines = count && count.size === node.size && count.mtime === node.mtime ? count.lines : null;
+    stats.files++;
+    stats.bytes += node.size ?? 0;
+    if (lines !== null && stats.lines !== null) stats.lines += lines;
+    add(byType, getFileType(node.name), node, lines);
+    add(byExtension, getExtension(node.name), node, lines);
+  };
+  visit(root, 0);
+
+  const bySize = (a, b) => b.bytes - a.bytes || b.files - a.files || a.name.localeCompare(b.name);
+  return {
+    ...stats,
+    byType: [...byType.values()].sort(bySize),
+    byExtension: [...byExtension.values()].sort(bySize)
+  };
+};
+
+export const statsToJson = (stats) => JSON.stringify(stats, null, 2);
+
+/**
+ * One row per file type and extension, then one per summary value.
+ */
+export const statsToCsv = (stats) => {
+  const rows = [['group', 'name', 'files', 'bytes', 'lines']];
+  stats.byType.forEach(row => rows.push(['type', row.name, row.files, row.bytes, row.lines]));
+  stats.byExtension.forEach(row => rows.push(['extension', row.name, row.files, row.bytes, row.lines]));
+  rows.push(
+    ['summary', 'total', stats.files, stats.bytes, stats.lines],
+    ['summary', 'folders', stats.folders, '', ''],
+    ['summary', 'max depth', stats.maxDepth, '', ''],
+    ['summary', 'deepest path', stats.deepestPath, '', ''],
+    ['summary', 'empty folders', stats.emptyFolders.length, '', '']
+  );
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n');
+};
+
+/**
+ * Short plain-text summary placed above or below the text tree export.
+ */
+export const renderStatsBlock = (stats) => {
+  const lines = [
+    `${pluralize(stats.files, 'file', 'files')}, ${pluralize(stats.folders, 'folder', 'folders')}, ${formatBytes(stats.bytes)}`,
+    `By type: ${stats.byType.map(row => `${row.name} ${row.files} (${formatBytes(row.bytes)})`).join(', ') || 'none'}`,
+    `Max depth: ${stats.maxDepth}${stats.deepestPath ? ` (${stats.deepestPath})` : ''}`,
+    `Empty folders: ${stats.emptyFolders.length}`
+  ];
+  if (stats.lines !== null) lines.push(`Lines of text and code: ${stats.lines.toLocaleString('en-US')}`);
+  return lines.join('\n');
+};
@@ -0,0 +1,131 @@
+/**
+ * @typedef {Object} TreeRow
+ * @property {import('../scanner/model').TreeNode} node
+ * @property {number} level            0 for the root
+ * @property {boolean} isLast          Last child of its parent
+ * @property {boolean[]} parentPrefixes  One entry per ancestor level below the root:
+ *                                       true where that ancestor still has siblings below
+ * @property {number} setSize         Number of siblings, itself included
+ * @property {number} posInSet        1-based position among them
+ * @property {boolean} hasChildren
+ * @property {boolean} isExpanded
+ */
+
+/**
+ * Flattens the expanded part of a tree into display rows, in render order.
+ * Iterative so very deep trees don't hit the call stack limit.
+ */
+export const flattenVisibleRows = (root, expandedFolders) => {
+  const rows = [];
+  const stack = [{ node: root, level: 0, isLast: true, parentPrefixes: [], setSize: 1, posInSet: 1 }];
+
+  while (stack.length > 0) {
+    const row = stack.pop();
+    const { node, level, isLast, parentPrefixes } = row;
+    const hasChildren = node.type === 'directory' && node.children?.length > 0;
+    const isExpanded = node.type === 'directory' && expandedFolders.has(node.path);
+    rows.push({ ...row, hasChildren, isExpanded });
+
+    if (!hasChildren || !isExpanded) continue;
+
+    const childPrefixes = level === 0 ? [] : [...parentPrefixes, !isLast];
+    for (let i = node.children.length - 1; i >= 0; i--) {
+      stack.push({
+        node: node.children[i],
+        level: level + 1,
+        isLast: i === node.children.length - 1,
+        parentPrefixes: childPrefixes,
+        setSize: node.children.length,
+        posInSet: i + 1
+      });
+    }
+  }
+
+  return rows;
+};
+
+// Every file node below `root`, in tree order
+export const collectFiles = (root) => {
+  const files = [];
+  const visit = (node) => {
+    if (node.type === 'file') files.push(node);
+    else node.children?.forEach(visit);
+  };
+  visit(root);
+  return files;
+};
+
+/**
+ * Paths of every folder containing `path`, from the root ('') down to its parent.
+ */
+export const getAncestorPaths = (path) => {
+  const parts = path.split('/');
+  return parts.map((_, i) => parts.slice(0, i).join('/'));
+};
+
+/**
+ * Looks up a node by its relative path, or returns null.
+ */
+export const findNodeByPath = (root, path) => {
+  if (!path) return root;
+  let node = root;
+  for (const name of path.split('/')) {
+    node = node?.children?.find(child => child.name === name);
+    if (!node) return null;
+  }
+  return node;
+};
+
+/**
+ * Resolves a link found in the file at `fromPath` (e.g. a Markdown image src)
+ * to a tree path. Leading `/` is relative to the root. Returns null for
+ * external URLs, bare fragments and links that climb above the root.
+ */
+export const resolveRelativePath = (fromPath, href) => {
+  if (!href || href.startsWith('#') || href.startsWith('//') || /^[a-z][a-z\d+.-]*:/i.test(href)) {
+    return null;
+  }
+
+  let target = href.replace(/[?#].*$/, '');
+  try {
+    target = decodeURIComponent(target);
+  } catch {
+    // Keep malformed escapes as written
+  }
+
+  const base = target.startsWith('/') ? [] : fromPath.split('/').slice(0, -1);
+  const parts = [...base];
+  for (const part of target.split('/')) {
+    if (part === '' || part === '.') continue;
+    if (part === '..') {
+      if (parts.length === 0) return null;
+      parts.pop();
+    } else {
+      parts.push(part);
+    }
+  }
+  return parts.join('/');
+};
+
+// Folders with no children at all below `root`, in tree order
+export const collectEmptyFolders = (root) => {
+  const folders = [];
+  const visit = (node) => {
+    if (node.type !== 'directory') return;
+    if (node.children.length === 0 && node !== root) folders.push(node.path);
+    node.children.forEach(visit);
+  };
+  visit(root);
+  return folders;
+};
+
+/**
+ * Formats a node's path for copying: relative to the dropped root, or
+ * absolute as `/<root name>/<path>` (the browser never sees real disk
+ * locations), with POSIX or Windows separators.
+ */
+export const formatNodePath = (root, node, { absolute = false, windows = false } = {}) => {
+  const parts = node.path ? node.path.split('/') : [];
+  const segments = absolute ? ['', root.name, ...parts] : parts;
+  return segments.join(windows ? '\\' : '/') || '.';
+};
@@ -0,0 +1,84 @@
+/**
+ * Squarified treemap layout (Bruls, Huizing and van Wijk).
+ *
+ * @typedef {Object} Rect
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ */
+
+const sumAreas = (row) => row.reduce((sum, cell) => sum + cell.area, 0);
+
+// Worst aspect ratio of a row laid along a side of the given length
+const worstRatio = (row, side) => {
+  const total = sumAreas(row);
+  const areas = row.map(cell => cell.area);
+  const max = Math.max(...areas);
+  const min = Math.min(...areas);
+  return Math.max((side * side * max) / (total * total), (total * total) / (side * side * min));
+};
+
+/**
+ * Lays `items` out inside `rect`, each with an area proportional to
+ * `getValue(item)`. Returns `{ item, x, y, width, height }` for every item
+ * with a positive value, largest first.
+ *
+ * @param {Array} items
+ * @param {Rect} rect
+ * @param {(item: any) => number} getValue
+ */
+export const squarify = (items, rect, getValue) => {
+  const cells = items
+    .map(item => ({ item, value: getValue(item) || 0 }))
+    .filter(cell => cell.value > 0)
+    .sort((a, b) => b.value - a.value);
+  const total = cells.reduce((sum, cell) => sum + cell.value, 0);
+  if (total === 0 || rect.width <= 0 || rect.height <= 0) return [];
+
+  const scale = (rect.width * rect.height) / total;
+  cells.forEach(cell => {
+    cell.area = cell.value * scale;
+  });
+
+  const placed = [];
+  let free = { ...rect };
+
+  // Fills a strip along the shorter side of the free space and returns what's left
+  const layoutRow = (row) => {
+    const rowArea = sumAreas(row);
+    if (free.width >= free.height) {
+      const width = rowArea / free.height;
+      let y = free.y;
+      row.forEach(({ item, area }) => {
+        const height = area / width;
+        placed.push({ item, x: free.x, y, width, height });
+        y += height;
+      });
+      free = { x: free.x + width, y: free.y, width: free.width - width, height: free.height };
+    } else {
+      const height = rowArea / free.width;
+      let x = free.x;
+      row.forEach(({ item, area }) => {
+        const width = area / height;
+        placed.push({ item, x, y: free.y, width, height });
+        x += width;
+      });
+      free = { x: free.x, y: free.y + height, width: free.width, height: free.height - height };
+    }
+  };
+
+  let row = [];
+  cells.forEach(cell => {
+    const side = Math.min(free.width, free.height);
+    if (row.length === 0 || worstRatio([...row, cell], side) <= worstRatio(row, side)) {
+      row.push(cell);
+    } else {
+      layoutRow(row);
+      row = [cell];
+    }
+  });
+  if (row.length > 0) layoutRow(row);
+
+  return placed;
+};
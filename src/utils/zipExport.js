@@ -0,0 +1,82 @@
+import JSZip from 'jszip';
+import { readNodeFile } from '../scanner/index.js';
+
+/**
+ * @typedef {Object} ZipExportProgress
+ * @property {'reading'|'compressing'} phase
+ * @property {number} percent      0-100 within the current phase
+ * @property {string} currentPath  File being read or compressed
+ */
+
+// Levels offered in the UI; 0 stores files uncompressed
+export const COMPRESSION_LEVELS = {
+  0: 'No compression',
+  1: 'Fastest',
+  6: 'Default',
+  9: 'Smallest'
+};
+
+/**
+ * Builds a ZIP from file nodes, whatever source they were read from. Entry
+ * names are the node paths relative to `basePath` (a folder path, '' for the
+ * root), placed under `rootName` when given. Empty folders below `basePath`
+ * listed in `emptyFolders` are kept as directory entries.
+ *
+ * @returns {Promise<Blob>}
+ */
+export const createZip = async (files, {
+  basePath = '',
+  rootName = '',
+  emptyFolders = [],
+  compressionLevel = 6,
+  onProgress,
+  signal
+} = {}) => {
+  const zip = new JSZip();
+  const toEntryName = (path) => {
+    const relative = basePath ? path.slice(basePath.length + 1) : path;
+    return rootName ? `${rootName}/${relative}` : relative;
+  };
+
+  for (let i = 0; i < files.length; i++) {
+    signal?.throwIfAborted();
+    const node = files[i];
+    onProgress?.({ phase: 'reading', percent: (100 * i) / files.length, currentPath: node.path });
+    const file = await readNodeFile(node);
+    zip.file(toEntryName(node.path), file, node.mtime ? { date: new Date(node.mtime) } : {});
+  }
+  emptyFolders.forEach(path => zip.folder(toEntryName(path)));
+  signal?.throwIfAborted();
+
+  const level = Number(compressionLevel);
+  const generated = zip.generateAsync({
+    type: 'blob',
+    compression: level === 0 ? 'STORE' : 'DEFLATE',
+    compressionOptions: { level: Math.max(1, level) }
+  }, (metadata) => {
+    onProgress?.({ phase: 'compressing', percent: metadata.percent, currentPath: metadata.currentFile || '' });
+  });
+
+  // JSZip can't stop generating midway, so an abort just stops waiting for it
+  if (!signal) return generated;
+  return Promise.race([
+    generated,
+    new Promise((_, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    })
+  ]);
+};
+
+/**
+ * Saves a Blob under `filename` through a temporary object URL.
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
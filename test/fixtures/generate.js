@@ -0,0 +1,79 @@
+// Regenerates the fixture archives: node test/fixtures/generate.js
+import { writeFile } from 'node:fs/promises';
+import JSZip from 'jszip';
+import { FIXTURE_DATE } from '../helpers.js';
+
+const write = async (name, zip) => {
+  const data = await zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+  await writeFile(new URL(name, import.meta.url), data);
+};
+
+const options = { date: FIXTURE_DATE, createFolders: false };
+
+// Explicit folder entries, an empty folder and nested files
+const basic = new JSZip();
+['project/', 'project/src/', 'project/src/lib/', 'project/docs/'].forEach(name => {
+  basic.file(name, null, { ...options, dir: true });
+});
+basic.file('project/README.md', 'hello\n', options);
+basic.file('project/src/index.js', 'export default 1;\n', options);
+basic.file('project/src/lib/util.js', 'export const x = 2;\n', options);
+await write('basic.zip', basic);
+
+// File entries only; every folder has to be inferred from the paths
+const implicit = new JSZip();
+implicit.file('b.txt', 'b', options);
+implicit.file('a/d.txt', 'dd', options);
+implicit.file('a/b/c.txt', 'ccc', options);
+await write('implicit-dirs.zip', implicit);
+
+// Minimal ustar writer, just enough for the TAR fixtures
+const BLOCK_SIZE = 512;
+const encoder = new TextEncoder();
+const octal = (value, length) => `${value.toString(8).padStart(length - 1, '0')}\0`;
+const padding = (size) => new Uint8Array((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+
+// `sizeField` replaces the octal size, e.g. with a GNU base-256 number
+const tarHeader = ({ name, size, typeflag = '0', sizeField }) => {
+  const header = new Uint8Array(BLOCK_SIZE);
+  const put = (text, offset) => header.set(encoder.encode(text), offset);
+  put(name, 0);
+  put(octal(0o644, 8), 100);
+  put(octal(0, 8), 108);
+  put(octal(0, 8), 116);
+  if (sizeField) header.set(sizeField, 124);
+  else put(octal(size, 12), 124);
+  put(octal(Math.floor(FIXTURE_DATE.getTime() / 1000), 12), 136);
+  put(' '.repeat(8), 148);
+  put(typeflag, 156);
+  put('ustar\0' + '00', 257);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  put(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+  return header;
+};
+
+const tarEntry = (header, data) => [header, data, padding(data.length)];
+
+// "<length> <key>=<value>\n", where the length counts its own digits
+const paxRecord = (key, value) => {
+  const body = ` ${key}=${value}\n`;
+  let length = body.length + 1;
+  while (String(length).length + body.length !== length) length++;
+  return `${length}${body}`;
+};
+
+// The size of big.bin is only in its pax header, as for files of 8 GiB and
+// more; base256.txt has a GNU base-256 size
+const bigData = encoder.encode('x'.repeat(5000));
+const paxData = encoder.encode(paxRecord('size', bigData.length));
+const base256Size = new Uint8Array(12);
+base256Size[0] = 0x80;
+base256Size[11] = 5;
+const paxTar = new Blob([
+  ...tarEntry(tarHeader({ name: 'PaxHeader/big.bin', size: paxData.length, typeflag: 'x' }), paxData),
+  ...tarEntry(tarHeader({ name: 'big.bin', size: 0 }), bigData),
+  ...tarEntry(tarHeader({ name: 'after.txt', size: 3 }), encoder.encode('abc')),
+  ...tarEntry(tarHeader({ name: 'base256.txt', sizeField: base256Size }), encoder.encode('12345')),
+  new Uint8Array(BLOCK_SIZE * 2)
+]);
+await writeFile(new URL('pax-size.tar', import.meta.url), new Uint8Array(await paxTar.arrayBuffer()));
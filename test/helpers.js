@@ -0,0 +1,18 @@
+import { readFile } from 'node:fs/promises';
+
+// Date of every fixture entry; DOS timestamps have a 2 second resolution
+export const FIXTURE_DATE = new Date(Date.UTC(2024, 0, 2, 3, 4, 6));
+
+export const readFixture = async (name) =>
+  new Uint8Array(await readFile(new URL(`./fixtures/${name}`, import.meta.url)));
+
+// Paths of every node in tree order, folders marked with a trailing slash
+export const listPaths = (root) => {
+  const paths = [];
+  const visit = (node) => {
+    if (node !== root) paths.push(node.type === 'directory' ? `${node.path}/` : node.path);
+    node.children?.forEach(visit);
+  };
+  visit(root);
+  return paths;
+};
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandArchiveNode, keepExpandedArchives } from '../../src/scanner/archive.js';
+import { createTreeBuilder, replaceNode } from '../../src/scanner/model.js';
+import { FIXTURE_DATE, listPaths, readFixture } from '../helpers.js';
+
+const MTIME = FIXTURE_DATE.getTime();
+
+// A folder holding basic.zip as a plain file, as a folder scan lists it
+const buildFolder = async ({ size, mtime = MTIME } = {}) => {
+  const bytes = await readFixture('basic.zip');
+  const builder = createTreeBuilder('folder');
+  builder.add('archives/basic.zip', {
+    type: 'file',
+    size: size ?? bytes.length,
+    mtime,
+    source: { kind: 'file', file: new File([bytes], 'basic.zip') }
+  });
+  builder.add('notes.txt', { type: 'file', size: 1, mtime });
+  return builder.build();
+};
+
+const expandIn = async (root, path) => {
+  const node = root.children[0].children.find(child => child.path === path);
+  return replaceNode(root, path, await expandArchiveNode(node));
+};
+
+describe('expandArchiveNode', () => {
+  it('keeps the size of the archive file next to the size of its contents', async () => {
+    const root = await buildFolder();
+    const archiveFile = root.children[0].children[0];
+    const expanded = await expandArchiveNode(archiveFile);
+
+    assert.equal(expanded.archive, 'zip');
+    assert.equal(expanded.archiveSize, archiveFile.size);
+    assert.notEqual(expanded.size, archiveFile.size);
+  });
+});
+
+describe('keepExpandedArchives', () => {
+  it('re-expands archives whose file is unchanged', async () => {
+    const previous = await expandIn(await buildFolder(), 'archives/basic.zip');
+    const next = await buildFolder();
+    const kept = keepExpandedArchives(previous, next);
+
+    assert.deepEqual(listPaths(kept), listPaths(previous));
+    const archive = kept.children[0].children[0];
+    assert.equal(archive.source, next.children[0].children[0].source);
+  });
+
+  it('leaves archives collapsed once their file changed', async () => {
+    const previous = await expandIn(await buildFolder(), 'archives/basic.zip');
+
+    for (const changed of [await buildFolder({ size: 1 }), await buildFolder({ mtime: MTIME + 1000 })]) {
+      const kept = keepExpandedArchives(previous, changed);
+      assert.equal(kept, changed);
+      assert.equal(kept.children[0].children[0].type, 'file');
+    }
+  });
+
+  it('skips archives that were removed', async () => {
+    const previous = await expandIn(await buildFolder(), 'archives/basic.zip');
+    const builder = createTreeBuilder('folder');
+    builder.add('notes.txt', { type: 'file', size: 1, mtime: MTIME });
+    const next = builder.build();
+
+    assert.equal(keepExpandedArchives(previous, next), next);
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLimiter, scanDirectoryEntry, scanDirectoryHandle } from '../../src/scanner/directory.js';
+import { listPaths } from '../helpers.js';
+
+// Describes a folder as { name: size | { ...subfolder } }; Error values fail to read
+const MTIME = 1700000000000;
+
+// FileSystemDirectoryEntry stand-in that hands out entries in batches, like Chromium
+const createEntry = (name, spec, { batchSize = 2 } = {}) => {
+  if (typeof spec === 'number' || spec instanceof Error) {
+    return {
+      name,
+      isDirectory: false,
+      isFile: true,
+      file: (resolve, reject) => (spec instanceof Error
+        ? reject(spec)
+        : resolve({ size: spec, lastModified: MTIME }))
+    };
+  }
+  const children = Object.entries(spec.entries ?? spec)
+    .map(([childName, childSpec]) => createEntry(childName, childSpec, { batchSize }));
+  return {
+    name,
+    isDirectory: true,
+    isFile: false,
+    createReader: () => {
+      let offset = 0;
+      return {
+        readEntries: (resolve, reject) => {
+          if (spec.failAfter !== undefined && offset >= spec.failAfter) {
+            reject(new Error('Permission denied'));
+            return;
+          }
+          const batch = children.slice(offset, offset + batchSize);
+          offset += batch.length;
+          setTimeout(() => resolve(batch));
+        }
+      };
+    }
+  };
+};
+
+// FileSystemDirectoryHandle stand-in
+const createHandle = (name, spec) => {
+  if (typeof spec === 'number' || spec instanceof Error) {
+    return {
+      name,
+      kind: 'file',
+      getFile: async () => {
+        if (spec instanceof Error) throw spec;
+        return { size: spec, lastModified: MTIME };
+      }
+    };
+  }
+  return {
+    name,
+    kind: 'directory',
+    values: async function* () {
+      for (const [childName, childSpec] of Object.entries(spec)) {
+        yield createHandle(childName, childSpec);
+      }
+    }
+  };
+};
+
+const FOLDER = {
+  src: { 'b.js': 20, 'a.js': 10, lib: { 'util.js': 5 } },
+  empty: {},
+  'README.md': 3
+};
+
+describe('createLimiter', () => {
+  it('never runs more than `concurrency` tasks at once', async () => {
+    const limit = createLimiter(2);
+    let active = 0;
+    let peak = 0;
+    const task = async (value) => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return value;
+    };
+    const results = await Promise.all([1, 2, 3, 4, 5].map(value => limit(() => task(value))));
+    assert.deepEqual(results, [1, 2, 3, 4, 5]);
+    assert.equal(peak, 2);
+  });
+
+  it('passes failures on and keeps going', async () => {
+    const limit = createLimiter(1);
+    await assert.rejects(limit(() => Promise.reject(new Error('boom'))), /boom/);
+    assert.equal(await limit(() => 'next'), 'next');
+  });
+});
+
+describe('scanDirectoryEntry', () => {
+  it('walks every batch into a sorted tree', async () => {
+    const root = await scanDirectoryEntry(createEntry('repo', FOLDER));
+    assert.equal(root.name, 'repo');
+    assert.deepEqual(listPaths(root), [
+      'empty/', 'src/', 'src/lib/', 'src/lib/util.js', 'src/a.js', 'src/b.js', 'README.md'
+    ]);
+    assert.equal(root.size, 38);
+    assert.equal(root.fileCount, 4);
+    const readme = root.children.at(-1);
+    assert.equal(readme.mtime, MTIME);
+    assert.equal(readme.source.kind, 'entry');
+  });
+
+  it('keeps what it could read and records errors', async () => {
+    const root = await scanDirectoryEntry(createEntry('repo', {
+      partial: { entries: { 'a.txt': 1, 'b.txt': 2, 'c.txt': 3 }, failAfter: 2 },
+      'broken.txt': new Error('NotReadableError')
+    }));
+    const [partial, broken] = root.children;
+    assert.deepEqual(partial.children.map(node => node.name), ['a.txt', 'b.txt']);
+    assert.match(partial.errors[0], /Could not read folder contents: Permission denied/);
+    assert.equal(broken.size, null);
+    assert.match(broken.errors[0], /NotReadableError/);
+  });
+
+  it('reports progress and ends with a full count', async () => {
+    const reports = [];
+    await scanDirectoryEntry(createEntry('repo', FOLDER), { onProgress: state => reports.push(state) });
+    const last = reports.at(-1);
+    assert.equal(last.entries, 7);
+    assert.equal(last.bytes, 38);
+    assert.equal(last.totalEntries, null);
+  });
+
+  it('rejects with an AbortError once aborted', async () => {
+    const controller = new AbortController();
+    const scan = scanDirectoryEntry(createEntry('repo', FOLDER), { signal: controller.signal });
+    controller.abort();
+    await assert.rejects(scan, { name: 'AbortError' });
+  });
+});
+
+describe('scanDirectoryHandle', () => {
+  it('produces the same tree as a dropped folder', async () => {
+    const fromHandle = await scanDirectoryHandle(createHandle('repo', FOLDER));
+    const fromEntry = await scanDirectoryEntry(createEntry('repo', FOLDER));
+    assert.deepEqual(listPaths(fromHandle), listPaths(fromEntry));
+    assert.equal(fromHandle.size, fromEntry.size);
+    assert.equal(fromHandle.children.at(-1).source.kind, 'file-handle');
+  });
+
+  it('records files whose metadata cannot be read', async () => {
+    const root = await scanDirectoryHandle(createHandle('repo', { 'gone.txt': new Error('NotFoundError') }));
+    assert.match(root.children[0].errors[0], /Could not read file metadata: NotFoundError/);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTreeBuilder } from '../../src/scanner/model.js';
+import { readIgnoreFiles } from '../../src/scanner/ignoreFiles.js';
+
+const textSource = (text) => ({ kind: 'file', file: new File([text], 'file') });
+const failingSource = () => ({
+  kind: 'file-handle',
+  handle: { getFile: () => Promise.reject(new Error('gone')) }
+});
+
+const buildTree = (entries) => {
+  const builder = createTreeBuilder('root');
+  entries.forEach(({ path, source }) => builder.add(path, { type: 'file', size: 1, source }));
+  return builder.build();
+};
+
+const findNode = (root, path) => {
+  if (root.path === path) return root;
+  for (const child of root.children ?? []) {
+    const match = findNode(child, path);
+    if (match) return match;
+  }
+  return null;
+};
+
+describe('readIgnoreFiles', () => {
+  it('stores the text of every .gitignore on its node', async () => {
+    const root = await readIgnoreFiles(buildTree([
+      { path: '.gitignore', source: textSource('dist/\n') },
+      { path: 'src/.gitignore', source: textSource('*.log\n') },
+      { path: 'src/index.js', source: textSource('code') }
+    ]));
+
+    assert.equal(findNode(root, '.gitignore').ignoreText, 'dist/\n');
+    assert.equal(findNode(root, 'src/.gitignore').ignoreText, '*.log\n');
+    assert.equal(findNode(root, 'src/index.js').ignoreText, undefined);
+  });
+
+  it('records unreadable ignore files as scan errors', async () => {
+    const root = await readIgnoreFiles(buildTree([{ path: '.gitignore', source: failingSource() }]));
+    const node = findNode(root, '.gitignore');
+
+    assert.equal(node.ignoreText, undefined);
+    assert.deepEqual(node.errors, ['Could not read ignore file: gone']);
+  });
+
+  it('leaves ignore files that were already read alone', async () => {
+    const root = buildTree([{ path: '.gitignore', source: failingSource() }]);
+    findNode(root, '.gitignore').ignoreText = 'node_modules/\n';
+
+    await readIgnoreFiles(root);
+    const node = findNode(root, '.gitignore');
+    assert.equal(node.ignoreText, 'node_modules/\n');
+    assert.equal(node.errors, undefined);
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  aggregateDirectory,
+  collectScanErrors,
+  compareNodes,
+  countItems,
+  createNode,
+  createTreeBuilder,
+  finalizeTree,
+  getAllFolderPaths,
+  joinPath,
+  rebaseTree,
+  replaceNode,
+  summarizeTree,
+  toNodeId
+} from '../../src/scanner/model.js';
+import { listPaths } from '../helpers.js';
+
+const file = (path, size = 1) => ({ path, type: 'file', size });
+
+const buildTree = (entries, rootName = 'root') => {
+  const builder = createTreeBuilder(rootName);
+  entries.forEach(({ path, ...entry }) => builder.add(path, entry));
+  return builder.build();
+};
+
+describe('node helpers', () => {
+  it('derives ids from paths', () => {
+    assert.equal(toNodeId(''), '/');
+    assert.equal(toNodeId('a/b.txt'), '/a/b.txt');
+  });
+
+  it('joins paths below the root', () => {
+    assert.equal(joinPath('', 'a'), 'a');
+    assert.equal(joinPath('a', 'b'), 'a/b');
+  });
+
+  it('creates directories with children and files without', () => {
+    const dir = createNode({ name: 'src', type: 'directory', path: 'src' });
+    const leaf = createNode({ name: 'a.js', type: 'file', path: 'src/a.js', size: 3 });
+    assert.deepEqual(dir.children, []);
+    assert.equal(leaf.children, undefined);
+    assert.deepEqual(
+      { id: leaf.id, size: leaf.size, mtime: leaf.mtime, source: leaf.source },
+      { id: '/src/a.js', size: 3, mtime: null, source: null }
+    );
+  });
+
+  it('sorts folders before files, then by name', () => {
+    const nodes = [
+      { name: 'b.txt', type: 'file' },
+      { name: 'z', type: 'directory' },
+      { name: 'a.txt', type: 'file' },
+      { name: 'c', type: 'directory' }
+    ];
+    assert.deepEqual(nodes.sort(compareNodes).map(node => node.name), ['c', 'z', 'a.txt', 'b.txt']);
+  });
+
+  it('aggregates sizes and file counts of direct children', () => {
+    const dir = {
+      children: [
+        { type: 'file', size: 5 },
+        { type: 'file', size: null },
+        { type: 'directory', size: 10, fileCount: 3 }
+      ]
+    };
+    aggregateDirectory(dir);
+    assert.equal(dir.size, 15);
+    assert.equal(dir.fileCount, 5);
+  });
+});
+
+describe('createTreeBuilder', () => {
+  it('creates missing parents and sorts on build', () => {
+    const root = buildTree([file('b.txt'), file('a/c/d.txt', 4), file('a/e.txt', 2)]);
+    assert.deepEqual(listPaths(root), ['a/', 'a/c/', 'a/c/d.txt', 'a/e.txt', 'b.txt']);
+    assert.equal(root.size, 7);
+    assert.equal(root.fileCount, 3);
+    assert.equal(root.children[0].fileCount, 2);
+  });
+
+  it('normalizes slashes and ignores duplicate files', () => {
+    const root = buildTree([file('/a//b.txt', 1), file('a/b.txt', 99), { path: 'a/', type: 'directory', mtime: 42 }]);
+    assert.deepEqual(listPaths(root), ['a/', 'a/b.txt']);
+    assert.equal(root.size, 1);
+    assert.equal(root.children[0].mtime, 42);
+  });
+
+  it('returns the root for empty paths', () => {
+    const builder = createTreeBuilder('root');
+    assert.equal(builder.add('/', { type: 'directory' }), builder.root);
+  });
+});
+
+describe('tree helpers', () => {
+  const tree = () => buildTree([file('a/b/c.txt', 2), file('a/d.txt', 3), file('e.txt', 5)]);
+
+  it('finalizes hand-built trees', () => {
+    const root = finalizeTree({
+      type: 'directory',
+      children: [
+        { name: 'z.txt', type: 'file', size: 1 },
+        { name: 'a', type: 'directory', children: [{ name: 'b.txt', type: 'file', size: 2 }] }
+      ]
+    });
+    assert.deepEqual(root.children.map(node => node.name), ['a', 'z.txt']);
+    assert.equal(root.size, 3);
+  });
+
+  it('counts items, files and folders', () => {
+    const root = tree();
+    assert.equal(countItems(root), 6);
+    assert.deepEqual(summarizeTree(root), { files: 3, folders: 2, size: 10 });
+    assert.deepEqual(getAllFolderPaths(root), ['', 'a', 'a/b']);
+  });
+
+  it('rebases a subtree under a path', () => {
+    const sub = rebaseTree(buildTree([file('x/y.txt')], 'inner.zip'), 'a/inner.zip');
+    assert.deepEqual(listPaths(sub), ['a/inner.zip/x/', 'a/inner.zip/x/y.txt']);
+    assert.equal(sub.path, 'a/inner.zip');
+    assert.equal(sub.children[0].children[0].id, '/a/inner.zip/x/y.txt');
+  });
+
+  it('replaces a node without mutating the original tree', () => {
+    const root = tree();
+    const replacement = { ...createNode({ name: 'd.txt', type: 'file', path: 'a/d.txt', size: 30 }) };
+    const next = replaceNode(root, 'a/d.txt', replacement);
+    assert.equal(next.size, 37);
+    assert.equal(root.size, 10);
+    assert.equal(next.children[1], root.children[1], 'untouched siblings are shared');
+    assert.equal(next.children[0].children[1], replacement);
+  });
+
+  it('collects nodes with read errors in tree order', () => {
+    const root = tree();
+    root.children[0].errors = ['Could not read folder contents'];
+    root.children[1].errors = ['Could not read file metadata'];
+    assert.deepEqual(collectScanErrors(root).map(({ node }) => node.path), ['a', 'e.txt']);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProgressTracker, isAbortError } from '../../src/scanner/progress.js';
+
+describe('createProgressTracker', () => {
+  it('accumulates entries and bytes', () => {
+    const reports = [];
+    const progress = createProgressTracker(state => reports.push(state), 3);
+    progress.record('a', 10);
+    progress.record('b');
+    progress.record('c', null);
+    progress.flush();
+    assert.deepEqual(reports.at(-1), { entries: 3, bytes: 10, currentPath: 'c', totalEntries: 3 });
+  });
+
+  it('throttles reports between flushes', () => {
+    mock.timers.enable({ apis: ['Date'], now: 1000 });
+    try {
+      const onProgress = mock.fn();
+      const progress = createProgressTracker(onProgress);
+      progress.record('a');
+      progress.record('b');
+      assert.equal(onProgress.mock.callCount(), 1);
+
+      mock.timers.tick(100);
+      progress.record('c');
+      assert.equal(onProgress.mock.callCount(), 2);
+      assert.equal(onProgress.mock.calls[1].arguments[0].entries, 3);
+
+      progress.flush();
+      assert.equal(onProgress.mock.callCount(), 3);
+    } finally {
+      mock.timers.reset();
+    }
+  });
+
+  it('reports copies of its state', () => {
+    const reports = [];
+    const progress = createProgressTracker(state => reports.push(state));
+    progress.flush();
+    progress.record('a', 1);
+    progress.flush();
+    assert.equal(reports[0].entries, 0);
+    assert.equal(reports[1].entries, 1);
+  });
+
+  it('works without a callback', () => {
+    const progress = createProgressTracker();
+    progress.record('a', 1);
+    progress.flush();
+  });
+});
+
+describe('isAbortError', () => {
+  it('recognizes abort reasons only', () => {
+    const controller = new AbortController();
+    controller.abort();
+    assert.equal(isAbortError(controller.signal.reason), true);
+    assert.equal(isAbortError(new Error('nope')), false);
+    assert.equal(isAbortError(undefined), false);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { listTarEntries, parsePaxRecords } from '../../src/scanner/tar.js';
+import { FIXTURE_DATE, readFixture } from '../helpers.js';
+
+const readTar = async (name) => new Blob([await readFixture(name)]);
+
+describe('parsePaxRecords', () => {
+  it('reads length-prefixed key=value records', () => {
+    const bytes = new TextEncoder().encode('12 size=500\n19 path=a/long.txt\n');
+    assert.deepEqual(parsePaxRecords(bytes), { size: '500', path: 'a/long.txt' });
+  });
+});
+
+describe('listTarEntries', () => {
+  it('uses pax and base-256 sizes to find the entries that follow', async () => {
+    const tar = await readTar('pax-size.tar');
+    const entries = await listTarEntries(tar);
+
+    assert.deepEqual(entries.map(({ path, size }) => ({ path, size })), [
+      { path: 'big.bin', size: 5000 },
+      { path: 'after.txt', size: 3 },
+      { path: 'base256.txt', size: 5 }
+    ]);
+    entries.forEach(entry => assert.equal(entry.mtime, FIXTURE_DATE.getTime()));
+
+    const readEntry = ({ offset, size }) => tar.slice(offset, offset + size).text();
+    assert.equal(await readEntry(entries[1]), 'abc');
+    assert.equal(await readEntry(entries[2]), '12345');
+  });
+
+  it('stops at the entry limit', async () => {
+    await assert.rejects(
+      listTarEntries(await readTar('pax-size.tar'), { maxEntries: 2 }),
+      /more than 2 entries/
+    );
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildZipTree, getZipEntrySize, loadZip, zipReader } from '../../src/scanner/zip.js';
+import { readNodeFile } from '../../src/scanner/source.js';
+import { FIXTURE_DATE, listPaths, readFixture } from '../helpers.js';
+
+describe('loadZip', () => {
+  it('accepts a Uint8Array, an ArrayBuffer or a Blob', async () => {
+    const bytes = await readFixture('basic.zip');
+    for (const archive of [bytes, bytes.slice().buffer, new Blob([bytes])]) {
+      const zip = await loadZip(archive);
+      assert.ok(zip.files['project/README.md']);
+    }
+  });
+
+  it('parses each archive once', async () => {
+    const bytes = await readFixture('basic.zip');
+    assert.equal(await loadZip(bytes), await loadZip(bytes));
+  });
+
+  it('rejects data that is not a ZIP and can be retried', async () => {
+    const garbage = new TextEncoder().encode('not a zip');
+    await assert.rejects(loadZip(garbage));
+    await assert.rejects(loadZip(garbage));
+  });
+});
+
+describe('zipReader', () => {
+  it('builds the tree with explicit and empty folders', async () => {
+    const root = await zipReader.read(await readFixture('basic.zip'), 'basic');
+    assert.equal(root.name, 'basic');
+    assert.deepEqual(listPaths(root), [
+      'project/',
+      'project/docs/',
+      'project/src/',
+      'project/src/lib/',
+      'project/src/lib/util.js',
+      'project/src/index.js',
+      'project/README.md'
+    ]);
+    assert.equal(root.fileCount, 3);
+    assert.equal(root.size, 'hello\n'.length + 'export default 1;\n'.length + 'export const x = 2;\n'.length);
+  });
+
+  it('infers folders that have no entry of their own', async () => {
+    const root = await zipReader.read(await readFixture('implicit-dirs.zip'), 'implicit');
+    assert.deepEqual(listPaths(root), ['a/', 'a/b/', 'a/b/c.txt', 'a/d.txt', 'b.txt']);
+    assert.deepEqual(root.children.map(node => node.size), [5, 1]);
+  });
+
+  it('keeps entry dates and sources', async () => {
+    const archive = await readFixture('basic.zip');
+    const root = await zipReader.read(archive, 'basic');
+    const readme = root.children[0].children.find(node => node.name === 'README.md');
+    assert.equal(readme.mtime, FIXTURE_DATE.getTime());
+    assert.deepEqual(readme.source, { kind: 'zip', archive, entryName: 'project/README.md' });
+    assert.equal(await (await readNodeFile(readme)).text(), 'hello\n');
+  });
+
+  it('records the nesting depth on sources', async () => {
+    const archive = await readFixture('implicit-dirs.zip');
+    const zip = await loadZip(archive);
+    const root = buildZipTree(zip, archive, 'nested', { depth: 2 });
+    assert.equal(root.children[1].source.depth, 2);
+  });
+
+  it('reports progress for every entry', async () => {
+    const reports = [];
+    await zipReader.read(await readFixture('implicit-dirs.zip'), 'implicit', {
+      onProgress: state => reports.push(state)
+    });
+    assert.deepEqual(reports.at(-1), { entries: 3, bytes: 6, currentPath: 'a/b/c.txt', totalEntries: 3 });
+  });
+
+  it('enforces entry and size limits before decompressing', async () => {
+    const archive = await readFixture('basic.zip');
+    await assert.rejects(
+      zipReader.read(archive, 'basic', { limits: { maxEntries: 2, maxExpandedBytes: Infinity } }),
+      /more than 2 entries/
+    );
+    await assert.rejects(
+      zipReader.read(archive, 'basic', { limits: { maxEntries: 100, maxExpandedBytes: 10 } }),
+      /would expand/
+    );
+  });
+
+  it('stops when the signal is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(
+      zipReader.read(await readFixture('basic.zip'), 'basic', { signal: controller.signal }),
+      { name: 'AbortError' }
+    );
+  });
+
+  it('reads declared sizes of file entries only', async () => {
+    const zip = await loadZip(await readFixture('basic.zip'));
+    assert.equal(getZipEntrySize(zip.files['project/README.md']), 6);
+    assert.equal(getZipEntrySize(zip.files['project/docs/']), null);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffTrees, hasSizeChanged, mergeDiffs } from '../../src/utils/diff.js';
+import { createTreeBuilder, replaceNode } from '../../src/scanner/model.js';
+
+const MTIME = 1700000000000;
+
+const buildTree = (entries) => {
+  const builder = createTreeBuilder('root');
+  entries.forEach(({ path, type = 'file', size = 1, mtime = MTIME }) => builder.add(path, { type, size, mtime }));
+  return builder.build();
+};
+
+const countsOf = (diff) => [diff.added, diff.removed, diff.modified];
+
+// basic.zip opened in place, as expandArchiveNode leaves it
+const withExpandedArchive = (root) => {
+  const file = root.children.find(child => child.name === 'basic.zip');
+  const archive = buildTree([{ path: 'README.md', size: 10 }]);
+  archive.children[0].path = 'basic.zip/README.md';
+  return replaceNode(root, 'basic.zip', {
+    ...archive,
+    name: 'basic.zip',
+    path: 'basic.zip',
+    mtime: file.mtime,
+    archive: 'zip',
+    archiveSize: file.size
+  });
+};
+
+describe('diffTrees', () => {
+  const before = buildTree([
+    { path: 'src/index.js' },
+    { path: 'src/old.js' },
+    { path: 'lib/a.js' },
+    { path: 'lib/b/c.js' },
+    { path: 'README.md', size: 10 }
+  ]);
+
+  it('finds nothing between equal trees', () => {
+    const diff = diffTrees(before, buildTree([
+      { path: 'src/index.js' },
+      { path: 'src/old.js' },
+      { path: 'lib/a.js' },
+      { path: 'lib/b/c.js' },
+      { path: 'README.md', size: 10 }
+    ]));
+    assert.equal(diff.changes.size, 0);
+    assert.deepEqual(diff.removedNodes, []);
+    assert.deepEqual(countsOf(diff), [0, 0, 0]);
+  });
+
+  it('marks added, removed and modified files and everything below added or removed folders', () => {
+    const after = buildTree([
+      { path: 'src/index.js', mtime: MTIME + 1000 },
+      { path: 'src/new.js' },
+      { path: 'docs/guide/intro.md' },
+      { path: 'README.md', size: 10 }
+    ]);
+    const diff = diffTrees(before, after);
+
+    assert.deepEqual(Object.fromEntries(diff.changes), {
+      'src/index.js': 'modified',
+      'src/new.js': 'added',
+      'src/old.js': 'removed',
+      docs: 'added',
+      'docs/guide': 'added',
+      'docs/guide/intro.md': 'added',
+      lib: 'removed',
+      'lib/a.js': 'removed',
+      'lib/b': 'removed',
+      'lib/b/c.js': 'removed'
+    });
+    assert.deepEqual(countsOf(diff), [4, 5, 1]);
+    // Only the topmost removed nodes, to show them in place
+    assert.deepEqual(diff.removedNodes.map(node => node.path).sort(), ['lib', 'src/old.js']);
+  });
+
+  it('reports a path that switched between file and folder as modified', () => {
+    const diff = diffTrees(before, buildTree([
+      { path: 'src/index.js' },
+      { path: 'src/old.js' },
+      { path: 'lib' },
+      { path: 'README.md/notes.txt' }
+    ]));
+
+    assert.deepEqual(Object.fromEntries(diff.changes), {
+      lib: 'modified',
+      'lib/a.js': 'removed',
+      'lib/b': 'removed',
+      'lib/b/c.js': 'removed',
+      'README.md': 'modified',
+      'README.md/notes.txt': 'added'
+    });
+    assert.deepEqual(countsOf(diff), [1, 3, 2]);
+    assert.deepEqual(diff.removedNodes.map(node => node.path).sort(), ['lib/a.js', 'lib/b']);
+  });
+
+  it('compares files with the given check', () => {
+    const after = buildTree([
+      { path: 'src/index.js', mtime: MTIME + 1000 },
+      { path: 'src/old.js', size: 2 },
+      { path: 'lib/a.js' },
+      { path: 'lib/b/c.js' },
+      { path: 'README.md', size: 10 }
+    ]);
+    const diff = diffTrees(before, after, hasSizeChanged);
+    assert.deepEqual([...diff.changes], [['src/old.js', 'modified']]);
+  });
+});
+
+describe('mergeDiffs', () => {
+  const v1 = buildTree([{ path: 'a.txt' }, { path: 'b.txt' }, { path: 'c.txt' }]);
+
+  it('returns the later diff when there is no earlier one', () => {
+    const later = diffTrees(v1, v1);
+    assert.equal(mergeDiffs(null, later), later);
+  });
+
+  it('keeps changes flagged across refreshes and recounts them', () => {
+    const v2 = buildTree([{ path: 'a.txt', size: 2 }, { path: 'b.txt' }, { path: 'new.txt' }, { path: 'tmp.txt' }]);
+    const v3 = buildTree([{ path: 'a.txt', size: 2 }, { path: 'b.txt', size: 3 }, { path: 'c.txt' }, { path: 'new.txt', size: 5 }]);
+    const merged = mergeDiffs(diffTrees(v1, v2), diffTrees(v2, v3));
+
+    assert.deepEqual(Object.fromEntries(merged.changes), {
+      'a.txt': 'modified',
+      'b.txt': 'modified',
+      // Removed, then added back
+      'c.txt': 'modified',
+      // Added, then modified
+      'new.txt': 'added'
+    });
+    assert.deepEqual(countsOf(merged), [1, 0, 3]);
+    assert.deepEqual(merged.removedNodes, []);
+  });
+
+  it('drops paths that were added and removed again', () => {
+    const v2 = buildTree([{ path: 'a.txt' }, { path: 'b.txt' }, { path: 'c.txt' }, { path: 'tmp/x.txt' }]);
+    const v3 = buildTree([{ path: 'a.txt' }, { path: 'c.txt' }]);
+    const merged = mergeDiffs(diffTrees(v1, v2), diffTrees(v2, v3));
+
+    assert.deepEqual([...merged.changes], [['b.txt', 'removed']]);
+    assert.deepEqual(countsOf(merged), [0, 1, 0]);
+    assert.deepEqual(merged.removedNodes.map(node => node.path), ['b.txt']);
+  });
+});
+
+describe('diffTrees with expanded archives', () => {
+  const before = withExpandedArchive(buildTree([{ path: 'basic.zip', size: 800 }]));
+
+  it('ignores an expanded archive whose file is unchanged', () => {
+    const diff = diffTrees(before, buildTree([{ path: 'basic.zip', size: 800 }]));
+    assert.equal(diff.changes.size, 0);
+  });
+
+  it('reports an expanded archive whose file changed as modified', () => {
+    for (const after of [
+      buildTree([{ path: 'basic.zip', size: 900 }]),
+      buildTree([{ path: 'basic.zip', size: 800, mtime: MTIME + 1000 }])
+    ]) {
+      const diff = diffTrees(before, after);
+      assert.deepEqual([...diff.changes], [['basic.zip', 'modified']]);
+      assert.deepEqual([diff.added, diff.removed, diff.modified], [0, 0, 1]);
+    }
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTextTree } from '../../src/utils/formats.js';
+import { createTreeBuilder } from '../../src/scanner/model.js';
+
+const buildTree = () => {
+  const builder = createTreeBuilder('root');
+  builder.add('src/index.js', { type: 'file', size: 1 });
+  builder.add('README.md', { type: 'file', size: 1 });
+  return builder.build();
+};
+
+describe('renderTextTree', () => {
+  it('draws the default four-wide unicode indent', () => {
+    assert.deepEqual(renderTextTree(buildTree()), [
+      'root/',
+      '    ├── src/',
+      '    │   └── index.js',
+      '    └── README.md'
+    ]);
+  });
+
+  it('draws two-column rows at indent width 2 in the unicode style', () => {
+    assert.deepEqual(renderTextTree(buildTree(), { style: 'unicode', indentWidth: 2 }), [
+      'root/',
+      '  ├─src/',
+      '  │ └─index.js',
+      '  └─README.md'
+    ]);
+  });
+
+  it('draws two-column rows at indent width 2 in the ASCII style', () => {
+    assert.deepEqual(renderTextTree(buildTree(), { style: 'ascii', indentWidth: 2 }), [
+      'root/',
+      '  |-src/',
+      '  | `-index.js',
+      '  `-README.md'
+    ]);
+  });
+
+  it('keeps a gap before names from indent width 3', () => {
+    assert.deepEqual(renderTextTree(buildTree(), { style: 'ascii', indentWidth: 3 }), [
+      'root/',
+      '   |- src/',
+      '   |  `- index.js',
+      '   `- README.md'
+    ]);
+  });
+});
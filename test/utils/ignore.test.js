@@ -0,0 +1,205 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildIgnoreMatcher,
+  createIgnoreMatcher,
+  filterTree,
+  getGitignoreRuleSets,
+  listIgnoredPaths,
+  parseRules,
+  ruleSetFromPaths
+} from '../../src/utils/ignore.js';
+import { createTreeBuilder } from '../../src/scanner/model.js';
+import { listPaths } from '../helpers.js';
+
+const buildTree = (paths) => {
+  const builder = createTreeBuilder('root');
+  paths.forEach(path => builder.add(path, { type: 'file', size: 1 }));
+  return builder.build();
+};
+
+// Matcher for a single .gitignore at the root
+const matcherFor = (text) => createIgnoreMatcher([{ base: '', rules: parseRules(text) }]);
+
+const findNode = (root, path) => {
+  if (root.path === path) return root;
+  for (const child of root.children ?? []) {
+    const match = findNode(child, path);
+    if (match) return match;
+  }
+  return null;
+};
+
+describe('parseRules', () => {
+  it('skips blank lines and comments and keeps escaped leading characters', () => {
+    const rules = parseRules('# comment\n\n   \n\\#hash\n\\!bang\n');
+    assert.equal(rules.length, 2);
+    assert.deepEqual(rules.map(rule => rule.negate), [false, false]);
+    assert.equal(rules[0].regex.test('#hash'), true);
+    assert.equal(rules[1].regex.test('!bang'), true);
+  });
+
+  it('trims trailing spaces unless they are escaped', () => {
+    const isIgnored = matcherFor('a.txt  \nb\\ \n');
+    assert.equal(isIgnored('a.txt', false), true);
+    assert.equal(isIgnored('b ', false), true);
+    assert.equal(isIgnored('b', false), false);
+  });
+});
+
+describe('createIgnoreMatcher', () => {
+  it('matches unanchored patterns at any depth', () => {
+    const isIgnored = matcherFor('*.log\n');
+    assert.equal(isIgnored('a.log', false), true);
+    assert.equal(isIgnored('src/deep/a.log', false), true);
+    assert.equal(isIgnored('a.log.txt', false), false);
+  });
+
+  it('anchors patterns with a leading or inner slash to the ignore file folder', () => {
+    const isIgnored = matcherFor('/build\ndocs/*.md\n');
+    assert.equal(isIgnored('build', true), true);
+    assert.equal(isIgnored('src/build', true), false);
+    assert.equal(isIgnored('docs/a.md', false), true);
+    assert.equal(isIgnored('src/docs/a.md', false), false);
+    assert.equal(isIgnored('docs/sub/a.md', false), false);
+  });
+
+  it('applies directory-only rules to folders only', () => {
+    const isIgnored = matcherFor('cache/\n');
+    assert.equal(isIgnored('cache', true), true);
+    assert.equal(isIgnored('src/cache', true), true);
+    assert.equal(isIgnored('cache', false), false);
+  });
+
+  it('matches ? and character classes within one path segment', () => {
+    const isIgnored = matcherFor('file?.txt\nlog[0-9]\nout[!a]\n');
+    assert.equal(isIgnored('file1.txt', false), true);
+    assert.equal(isIgnored('file.txt', false), false);
+    assert.equal(isIgnored('file/.txt', false), false);
+    assert.equal(isIgnored('log7', false), true);
+    assert.equal(isIgnored('logx', false), false);
+    assert.equal(isIgnored('outb', false), true);
+    assert.equal(isIgnored('outa', false), false);
+  });
+
+  it('keeps * within one path segment', () => {
+    const isIgnored = matcherFor('src/*.js\n');
+    assert.equal(isIgnored('src/index.js', false), true);
+    assert.equal(isIgnored('src/lib/index.js', false), false);
+  });
+
+  it('matches leading, trailing and inner ** across folders', () => {
+    const leading = matcherFor('**/temp\n');
+    assert.equal(leading('temp', true), true);
+    assert.equal(leading('a/b/temp', false), true);
+
+    const trailing = matcherFor('vendor/**\n');
+    assert.equal(trailing('vendor/a', false), true);
+    assert.equal(trailing('vendor/a/b.js', false), true);
+    assert.equal(trailing('vendor', true), false);
+
+    const inner = matcherFor('a/**/b\n');
+    assert.equal(inner('a/b', false), true);
+    assert.equal(inner('a/x/y/b', false), true);
+    assert.equal(inner('c/a/x/b', false), false);
+  });
+
+  it('lets later negations re-include and the last matching rule win', () => {
+    const isIgnored = matcherFor('*.log\n!keep.log\nsrc/keep.log\n');
+    assert.equal(isIgnored('a.log', false), true);
+    assert.equal(isIgnored('keep.log', false), false);
+    assert.equal(isIgnored('lib/keep.log', false), false);
+    assert.equal(isIgnored('src/keep.log', false), true);
+  });
+
+  it('ignores negations that match nothing ignored', () => {
+    assert.equal(matcherFor('!a.txt\n')('a.txt', false), false);
+  });
+});
+
+describe('getGitignoreRuleSets', () => {
+  const buildWithIgnoreFiles = (ignoreFiles, paths) => {
+    const root = buildTree([...Object.keys(ignoreFiles), ...paths]);
+    Object.entries(ignoreFiles).forEach(([path, text]) => {
+      findNode(root, path).ignoreText = text;
+    });
+    return root;
+  };
+
+  it('applies nested ignore files relative to their folder, over their parents', () => {
+    const root = buildWithIgnoreFiles(
+      { 'src/.gitignore': '!keep.log\n/generated\n', '.gitignore': '*.log\n' },
+      ['a.log', 'src/keep.log', 'src/generated/a.js', 'generated/b.js', 'lib/keep.log']
+    );
+    const ruleSets = getGitignoreRuleSets(root);
+    assert.deepEqual(ruleSets.map(set => set.base), ['', 'src']);
+
+    const isIgnored = createIgnoreMatcher(ruleSets);
+    assert.equal(isIgnored('a.log', false), true);
+    assert.equal(isIgnored('src/keep.log', false), false);
+    assert.equal(isIgnored('lib/keep.log', false), true);
+    assert.equal(isIgnored('src/generated', true), true);
+    assert.equal(isIgnored('generated', true), false);
+  });
+
+  it('skips ignore files without read text', () => {
+    const root = buildTree(['.gitignore', 'a.log']);
+    assert.deepEqual(getGitignoreRuleSets(root), []);
+  });
+});
+
+describe('buildIgnoreMatcher', () => {
+  it('returns null when there are no rules', () => {
+    assert.equal(buildIgnoreMatcher({ exclude: '# nothing\n' }), null);
+  });
+
+  it('applies excludes and lets includes win over ignore files and excludes', () => {
+    const isIgnored = buildIgnoreMatcher({
+      gitignoreRuleSets: [{ base: '', rules: parseRules('*.log\n') }],
+      exclude: 'tmp/\n*.bak',
+      include: 'important.log\nkeep.bak'
+    });
+    assert.equal(isIgnored('a.log', false), true);
+    assert.equal(isIgnored('important.log', false), false);
+    assert.equal(isIgnored('tmp', true), true);
+    assert.equal(isIgnored('a.bak', false), true);
+    assert.equal(isIgnored('keep.bak', false), false);
+  });
+});
+
+describe('filterTree', () => {
+  it('prunes ignored folders whole and recomputes sizes and counts', () => {
+    const tree = buildTree(['dist/app.js', 'dist/app.css', 'src/index.js', 'src/a.log', 'README.md']);
+    // An include can't re-show a file below an excluded folder
+    const isIgnored = buildIgnoreMatcher({ exclude: 'dist/\n*.log', include: 'dist/app.js' });
+    const { tree: filtered, hiddenCount } = filterTree(tree, isIgnored);
+
+    assert.deepEqual(listPaths(filtered), ['src/', 'src/index.js', 'README.md']);
+    assert.equal(hiddenCount, 4);
+    assert.equal(filtered.size, 2);
+    assert.equal(findNode(filtered, 'src').size, 1);
+  });
+});
+
+describe('ignored paths of saved sessions', () => {
+  const tree = buildTree(['dist/app.js', 'src/a.log', 'src/index.js', 'README.md']);
+  const ruleSets = [{ base: '', rules: parseRules('dist/\n*.log\n') }];
+
+  it('lists the topmost hidden paths only', () => {
+    assert.deepEqual(listIgnoredPaths(tree, ruleSets), ['dist', 'src/a.log']);
+  });
+
+  it('hides the same entries again from the listed paths alone', () => {
+    const fromRules = filterTree(tree, createIgnoreMatcher(ruleSets));
+    const fromPaths = filterTree(tree, createIgnoreMatcher([ruleSetFromPaths(listIgnoredPaths(tree, ruleSets))]));
+    assert.deepEqual(listPaths(fromPaths.tree), listPaths(fromRules.tree));
+    assert.equal(fromPaths.hiddenCount, fromRules.hiddenCount);
+  });
+
+  it('matches listed paths literally', () => {
+    const isIgnored = createIgnoreMatcher([ruleSetFromPaths(['a.b/c+d'])]);
+    assert.equal(isIgnored('a.b/c+d', false), true);
+    assert.equal(isIgnored('axb/c+d', false), false);
+    assert.equal(isIgnored('a.b/c+d2', false), false);
+  });
+});
@@ -0,0 +1,23 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { stripSources } from '../../src/utils/sessions.js';
+import { createTreeBuilder } from '../../src/scanner/model.js';
+
+describe('stripSources', () => {
+  it('drops file sources and .gitignore contents but keeps the metadata', () => {
+    const builder = createTreeBuilder('root');
+    const source = { kind: 'file', file: new File(['dist/\n'], '.gitignore') };
+    builder.add('src/.gitignore', { type: 'file', size: 6, mtime: 1, source });
+    const tree = builder.build();
+    const ignoreFile = tree.children[0].children[0];
+    ignoreFile.ignoreText = 'dist/\n';
+
+    const stripped = stripSources(tree).children[0].children[0];
+    assert.equal(stripped.source, null);
+    assert.equal('ignoreText' in stripped, false);
+    assert.deepEqual([stripped.path, stripped.size, stripped.mtime], ['src/.gitignore', 6, 1]);
+    // The scanned tree itself is left as it was
+    assert.equal(ignoreFile.source, source);
+    assert.equal(ignoreFile.ignoreText, 'dist/\n');
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SHARE_HASH_PREFIX, createShareLink, readShareLink } from '../../src/utils/share.js';
+import { createTreeBuilder } from '../../src/scanner/model.js';
+import { listPaths } from '../helpers.js';
+
+const BASE_URL = 'https://example.com/';
+
+const buildTree = () => {
+  const builder = createTreeBuilder('project');
+  builder.add('src/index.js', { type: 'file', size: 120 });
+  builder.add('src/lib/util.js', { type: 'file', size: 30 });
+  builder.add('empty', { type: 'directory' });
+  builder.add('README.md', { type: 'file', size: 50 });
+  return builder.build();
+};
+
+const findNode = (root, path) => {
+  if (root.path === path) return root;
+  for (const child of root.children ?? []) {
+    const match = findNode(child, path);
+    if (match) return match;
+  }
+  return null;
+};
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const gzip = async (data) => {
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('gzip'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// A share fragment holding `data` (JSON-encoded unless it's already bytes)
+const encodeHash = async (data) =>
+  `${SHARE_HASH_PREFIX}${toBase64Url(await gzip(data instanceof Uint8Array ? data : JSON.stringify(data)))}`;
+
+const hashOf = (url) => url.slice(url.indexOf('#'));
+
+describe('share links', () => {
+  it('round-trips names and types without sizes', async () => {
+    const tree = buildTree();
+    const { url, length } = await createShareLink(tree, { baseUrl: BASE_URL });
+    assert.ok(url.startsWith(`${BASE_URL}${SHARE_HASH_PREFIX}`));
+    assert.equal(length, url.length);
+
+    const shared = await readShareLink(hashOf(url));
+    assert.equal(shared.name, 'project');
+    assert.deepEqual(listPaths(shared), listPaths(tree));
+    assert.equal(findNode(shared, 'empty').type, 'directory');
+    assert.equal(findNode(shared, 'README.md').size, null);
+    assert.equal(findNode(shared, 'src').size, null);
+    assert.equal(findNode(shared, 'src/index.js').source, null);
+  });
+
+  it('round-trips file sizes and recomputes folder sizes when included', async () => {
+    const { url } = await createShareLink(buildTree(), { includeSizes: true, baseUrl: BASE_URL });
+    const shared = await readShareLink(hashOf(url));
+
+    assert.equal(findNode(shared, 'src/index.js').size, 120);
+    assert.equal(findNode(shared, 'src').size, 150);
+    assert.equal(shared.size, 200);
+  });
+
+  it('drops sizes the payload does not claim to carry', async () => {
+    const shared = await readShareLink(await encodeHash({ v: 1, sizes: false, root: ['root', [['a.txt', 5]]] }));
+    assert.equal(findNode(shared, 'a.txt').size, null);
+  });
+});
+
+describe('readShareLink with damaged links', () => {
+  it('rejects fragments that are not base64 or not gzip', async () => {
+    await assert.rejects(readShareLink(`${SHARE_HASH_PREFIX}%%%`), /damaged or incomplete/);
+    await assert.rejects(readShareLink(`${SHARE_HASH_PREFIX}${toBase64Url(new TextEncoder().encode('plain text'))}`), /damaged or incomplete/);
+  });
+
+  it('rejects cut-off links', async () => {
+    const { url } = await createShareLink(buildTree(), { baseUrl: BASE_URL });
+    await assert.rejects(readShareLink(hashOf(url).slice(0, -12)), /damaged or incomplete/);
+  });
+
+  it('rejects payloads that are not JSON', async () => {
+    await assert.rejects(readShareLink(await encodeHash(new TextEncoder().encode('{"v":1,'))), /damaged or incomplete/);
+  });
+
+  it('rejects payloads of another format version', async () => {
+    await assert.rejects(readShareLink(await encodeHash({ v: 2, root: ['root', []] })), /different version/);
+    await assert.rejects(readShareLink(await encodeHash(null)), /different version/);
+  });
+
+  it('rejects malformed entries', async () => {
+    for (const root of [['root', [42]], ['root', [null]], ['root', [['a', [{}]]]], [7, []]]) {
+      await assert.rejects(readShareLink(await encodeHash({ v: 1, root })), /Malformed entry/);
+    }
+  });
+
+  it('rejects a root that is not a folder', async () => {
+    await assert.rejects(readShareLink(await encodeHash({ v: 1, root: 'file.txt' })), /Malformed share link/);
+  });
+
+  it('stops decompressing past the size cap', async () => {
+    const hash = await encodeHash(new Uint8Array(51 * 1024 * 1024));
+    await assert.rejects(readShareLink(hash), /damaged or incomplete: .*more than 50MB/);
+  });
+});